@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+// CLI para operadores: la misma lógica de documentos que server.js (subida,
+// QR, metadatos, papelera, purga y reindexado) sin pasar por HTTP. Trabaja
+// sobre el almacenamiento configurado en el entorno (.env): UPLOAD_DIR en
+// disco local o el bucket S3, y el log de metadatos de DATA_DIR. Puede
+// correr junto al servidor: el log detecta los cambios de otro proceso.
+//
+// Uso: npx e-factura <comando> [opciones]   (o npm run cli -- <comando> ...)
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import {
+  parseDocumentQuery,
+  filterDocuments,
+  queryDocuments,
+  documentsToCsv,
+} from "../lib/documentQuery.js";
+import { linkStatus } from "../lib/linkPolicy.js";
+import { QR_OPTION_FIELDS } from "../lib/qrRender.js";
+
+const HELP = `Uso: e-factura <comando> [opciones]
+
+Comandos:
+  upload <archivo|carpeta>...   Sube PDFs (de una carpeta, los *.pdf que contiene)
+      --ttl <días>                vigencia del enlace de cada archivo (0 = sin vencimiento)
+      --max-views <n>             máximo de vistas del enlace
+      --duplicate ask|reuse|new   si el PDF ya fue subido (por defecto ask: error)
+  list                          Lista documentos
+      --q <texto> --status <estado> --from <AAAA-MM-DD> --to <AAAA-MM-DD>
+      --sort <columna> --dir asc|desc --limit <n> --trash (solo la papelera)
+  export [--out <archivo.csv>]  CSV de los documentos (mismos filtros que list)
+  delete <token>...             Envía a la papelera (--hard: borra definitivamente)
+  purge [--dry-run]             Vencidos a la papelera y papelera fuera de retención
+  reindex [--dry-run]           Registra los PDFs del almacenamiento sin token
+  qr <token>... [--out <dir>]   Guarda el QR en disco; admite --format png|svg|pdf,
+                                --size, --dpi, --size-mm, --margin, --ecl, --fg, --bg, --logo
+
+Opciones generales:
+  --tenant <RUC>   empresa (prefijo de archivos y alcance); sin ella, todas
+  --json           salida en JSON
+  -h, --help       esta ayuda`;
+
+const kebab = (name) => name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+const QR_FLAGS = Object.fromEntries(
+  QR_OPTION_FIELDS.map((f) => [kebab(f), { type: f === "logo" ? "boolean" : "string" }])
+);
+
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      tenant: { type: "string" },
+      json: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+      ttl: { type: "string" },
+      "max-views": { type: "string" },
+      duplicate: { type: "string" },
+      q: { type: "string" },
+      status: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      sort: { type: "string" },
+      dir: { type: "string" },
+      limit: { type: "string" },
+      trash: { type: "boolean" },
+      out: { type: "string" },
+      hard: { type: "boolean" },
+      "dry-run": { type: "boolean" },
+      ...QR_FLAGS,
+    },
+  });
+} catch (e) {
+  console.error(`❌ ${e.message}\n\n${HELP}`);
+  process.exit(2);
+}
+const { values: flags, positionals } = parsed;
+const [command, ...args] = positionals;
+const COMMANDS = ["upload", "list", "export", "delete", "purge", "reindex", "qr"];
+if (flags.help || !COMMANDS.includes(command)) {
+  console.log(HELP);
+  process.exit(flags.help ? 0 : 2);
+}
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+const print = (data, text) => console.log(flags.json ? JSON.stringify(data, null, 2) : text());
+
+// Al cargar server.js se abren el almacenamiento y los logs; sus mensajes de
+// arranque van a stderr para no mezclarse con la salida (p. ej. --json)
+const stdoutLog = console.log;
+console.log = console.error;
+const core = await import("../server.js");
+console.log = stdoutLog;
+
+const tenant = flags.tenant ? await core.accounts.getTenant(flags.tenant.replace(/\D/g, "")) : null;
+if (flags.tenant && !tenant) fail(`No existe la empresa ${flags.tenant}.`);
+const req = core.localRequest(tenant);
+const baseUrl = core.getBaseUrl(req);
+const scope = tenant?.ruc ?? null;
+
+// Ubicación de un objeto: ruta en disco o URL s3://
+const locationOf = (key) =>
+  core.storage.kind === "s3" ? `s3://${core.storage.bucket}/${key}` : path.join(core.uploadDir, key);
+const viewUrlOf = (entry) => `${baseUrl}/view/${encodeURIComponent(entry.token)}`;
+const nameOf = (entry) => entry.originalName || entry.filename || "-";
+const date = (iso) => (iso ? new Date(iso).toISOString().slice(0, 16).replace("T", " ") : "-");
+
+// Entrada de un token dentro del alcance de --tenant (o error)
+async function entryOf(token) {
+  const entry = await core.findEntry(token);
+  if (!entry || (scope !== null && entry.tenant !== scope)) throw new Error(`Token no encontrado: ${token}`);
+  return entry;
+}
+
+// PDFs indicados: archivos sueltos o los *.pdf de cada carpeta
+function pdfPaths(inputs) {
+  return inputs.flatMap((input) => {
+    const stat = fs.statSync(input, { throwIfNoEntry: false });
+    if (!stat) fail(`No existe: ${input}`);
+    if (!stat.isDirectory()) return [input];
+    return fs
+      .readdirSync(input)
+      .filter((name) => name.toLowerCase().endsWith(".pdf"))
+      .sort()
+      .map((name) => path.join(input, name));
+  });
+}
+
+async function upload() {
+  if (!args.length) fail("Indica al menos un archivo o carpeta.");
+  const options = core.parseUploadOptions(
+    { ttlDays: flags.ttl, maxViews: flags["max-views"], duplicate: flags.duplicate },
+    { tenant }
+  );
+  if (options.errors) fail(Object.values(options.errors).join(" "));
+  const results = [];
+  for (const file of pdfPaths(args)) {
+    const buffer = fs.readFileSync(file);
+    const upload = { buffer, originalname: path.basename(file), mimetype: "application/pdf", size: buffer.length };
+    try {
+      const entry = await core.createDocument(req, upload, options);
+      results.push({
+        file,
+        token: entry.token,
+        viewUrl: viewUrlOf(entry),
+        qr: locationOf(core.qrKeyOf(entry)),
+        expiresAt: entry.expiresAt,
+        reused: Boolean(entry.reused),
+      });
+    } catch (e) {
+      results.push({ file, error: e.message, code: e.code || null, token: e.entry?.token });
+    }
+  }
+  print(results, () =>
+    results
+      .map((r) =>
+        r.error
+          ? `❌ ${r.file}: ${r.error}${r.token ? ` (token existente: ${r.token})` : ""}`
+          : `✅ ${r.file}${r.reused ? " (ya estaba subido)" : ""}\n   token: ${r.token}\n   url:   ${r.viewUrl}\n   qr:    ${r.qr}\n   vence: ${r.expiresAt ? date(r.expiresAt) : "sin vencimiento"}`
+      )
+      .join("\n")
+  );
+  return results.some((r) => r.error) ? 1 : 0;
+}
+
+// Documentos filtrados con las mismas reglas que /manage
+async function filteredEntries() {
+  const { query, errors } = parseDocumentQuery({
+    q: flags.q,
+    status: flags.status,
+    from: flags.from,
+    to: flags.to,
+    sort: flags.sort,
+    dir: flags.dir,
+  });
+  if (errors) fail(Object.values(errors).join(" "));
+  const limit = flags.limit ? Number(flags.limit) : Infinity;
+  if (!(limit > 0)) fail("--limit debe ser un número mayor que 0.");
+  const entries = await core.listAllEntries(Infinity, scope, { trash: flags.trash ? "only" : "exclude" });
+  return { query, entries, items: queryDocuments(entries, { ...query, limit }).items };
+}
+
+async function list() {
+  const { items } = await filteredEntries();
+  const rows = items.map(({ passwordHash, ...e }) => ({ ...e, status: linkStatus(e), viewUrl: viewUrlOf(e) }));
+  print(rows, () => {
+    if (!rows.length) return "Sin documentos que coincidan.";
+    const lines = rows.map((e) =>
+      [e.token.slice(0, 12), req.i18n.t(`status.${e.status}`).padEnd(10), date(e.createdAt), date(e.expiresAt).padEnd(16), String(e.views || 0).padStart(5), nameOf(e)].join("  ")
+    );
+    return [["TOKEN".padEnd(12), "ESTADO".padEnd(10), "SUBIDO".padEnd(16), "VENCE".padEnd(16), "VISTAS", "NOMBRE"].join("  "), ...lines, `${rows.length} documento(s)`].join("\n");
+  });
+  return 0;
+}
+
+async function exportCsv() {
+  const { query, entries } = await filteredEntries();
+  const csv = documentsToCsv(filterDocuments(entries, query), { baseUrl });
+  if (!flags.out) process.stdout.write(csv);
+  else {
+    fs.writeFileSync(flags.out, csv);
+    console.error(`📄 ${flags.out}`);
+  }
+  return 0;
+}
+
+async function remove() {
+  if (!args.length) fail("Indica al menos un token.");
+  const results = [];
+  for (const token of args) {
+    try {
+      const entry = await entryOf(token);
+      if (flags.hard) await core.purgeEntry(entry);
+      else if (!(await core.removeByToken(token, { by: "cli" })).ok) throw new Error(`El token ya está en la papelera: ${token}`);
+      results.push({ token, name: nameOf(entry), deleted: flags.hard ? "hard" : "trash" });
+    } catch (e) {
+      results.push({ token, error: e.message });
+    }
+  }
+  print(results, () =>
+    results
+      .map((r) => (r.error ? `❌ ${r.error}` : `🗑️ ${r.name}: ${r.deleted === "hard" ? "borrado definitivamente" : `en la papelera (${core.TRASH_RETENTION_DAYS} día(s) para restaurar)`}`))
+      .join("\n")
+  );
+  return results.some((r) => r.error) ? 1 : 0;
+}
+
+async function purge() {
+  if (flags["dry-run"]) {
+    const summary = (e) => ({ token: e.token, name: nameOf(e), expiresAt: e.expiresAt, deletedAt: e.deletedAt || null });
+    const result = {
+      toTrash: (await core.expiredEntries(scope)).map(summary),
+      toDelete: (await core.trashDue(scope)).map(summary),
+    };
+    print(result, () =>
+      [
+        `Simulación: ${result.toTrash.length} vencido(s) irían a la papelera y ${result.toDelete.length} se borrarían definitivamente.`,
+        ...result.toTrash.map((e) => `  → papelera  ${e.token.slice(0, 12)}  ${e.name}`),
+        ...result.toDelete.map((e) => `  ✗ borrar    ${e.token.slice(0, 12)}  ${e.name}`),
+      ].join("\n")
+    );
+    return 0;
+  }
+  const result = { trashed: await core.purgeExpired(scope), deleted: await core.purgeTrash(scope) };
+  print(result, () => `🧹 ${result.trashed} vencido(s) enviado(s) a la papelera y ${result.deleted} borrado(s) definitivamente.`);
+  return 0;
+}
+
+async function reindex() {
+  const dryRun = Boolean(flags["dry-run"]);
+  const result = await core.reindexStorage(req, { dryRun });
+  print({ dryRun, ...result }, () =>
+    [
+      `${dryRun ? "Simulación" : "Reindex listo"}: tokens creados ${result.created.length}, QRs creados ${result.qrCreated.length}, asignados a su empresa ${result.assigned.length}.`,
+      ...result.created.map((k) => `  + token  ${k}`),
+      ...result.qrCreated.map((k) => `  + QR     ${k}`),
+      ...result.assigned.map((k) => `  ~ empresa ${k}`),
+    ].join("\n")
+  );
+  return 0;
+}
+
+async function qr() {
+  if (!args.length) fail("Indica al menos un token.");
+  const out = flags.out || ".";
+  fs.mkdirSync(out, { recursive: true });
+  const query = Object.fromEntries(
+    QR_OPTION_FIELDS.filter((f) => flags[kebab(f)] !== undefined).map((f) => [f, f === "logo" ? "1" : flags[kebab(f)]])
+  );
+  const results = [];
+  for (const token of args) {
+    try {
+      const entry = await entryOf(token);
+      if (entry.deletedAt) throw new Error(`El documento está en la papelera: ${token}`);
+      const { key, ext } = await core.ensureQr(req, entry, query);
+      const file = path.join(out, `qr-${entry.token.slice(0, 12)}.${ext}`);
+      fs.writeFileSync(file, await core.storage.get(key));
+      results.push({ token, name: nameOf(entry), file });
+    } catch (e) {
+      results.push({ token, error: e.message });
+    }
+  }
+  print(results, () => results.map((r) => (r.error ? `❌ ${r.error}` : `🔳 ${r.name} → ${r.file}`)).join("\n"));
+  return results.some((r) => r.error) ? 1 : 0;
+}
+
+const run = { upload, list, export: exportCsv, delete: remove, purge, reindex, qr }[command];
+let code;
+try {
+  code = await run();
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  code = 1;
+}
+// El servidor importado deja recursos abiertos (logs, cliente S3): salir explícitamente
+process.exit(code);
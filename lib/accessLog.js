@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Registro de accesos a /view/:token en un log append-only (JSONL), una línea
+// por acceso:
+//   {"at":"...","token":"...","outcome":"served","source":"qr","referrer":null,
+//    "ipHash":"...","userAgent":"..."}
+// La IP nunca se guarda en claro: se usa un HMAC truncado con una sal propia
+// de la instalación (permite contar visitantes distintos, no identificarlos).
+// La retención se aplica con prune(), que reescribe el archivo (temporal + rename).
+
+// Resultados y orígenes de un acceso (etiquetas en lib/locales: accessOutcome.*
+// y accessSource.*)
+export const ACCESS_OUTCOMES = ["served", "expired", "revoked", "exhausted", "password_required", "not_found", "missing_file"];
+export const ACCESS_SOURCES = ["qr", "consulta", "email", "referrer", "direct"];
+
+const CSV_COLUMNS = ["at", "token", "outcome", "source", "referrer", "ipHash", "userAgent"];
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const accessesToCsv = (records) =>
+  [CSV_COLUMNS.join(","), ...records.map((r) => CSV_COLUMNS.map((c) => csvCell(r[c])).join(","))].join("\r\n") + "\r\n";
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file  ruta del log (p. ej. DATA_DIR/access.log)
+ * @param {string} opts.salt  sal para el hash de las IPs
+ */
+export function createAccessLog({ file, salt }) {
+  let records = []; // en orden de llegada (más antiguos primero)
+  let queue = Promise.resolve();
+
+  const exclusive = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const hashIp = (ip) =>
+    ip ? crypto.createHmac("sha256", salt).update(String(ip)).digest("hex").slice(0, 16) : null;
+
+  // Origen del acceso: ?src=qr (URL codificada en el QR), ?src=consulta,
+  // ?src=email (botón del correo al cliente) o el host del Referer si el navegador lo envía
+  const sourceOf = (req) => {
+    const src = String(req.query?.src || "");
+    if (src === "qr" || src === "consulta" || src === "email") return { source: src, referrer: null };
+    const ref = String(req.get?.("referer") || "");
+    let host = null;
+    try {
+      host = ref ? new URL(ref).host : null;
+    } catch {}
+    return { source: host ? "referrer" : "direct", referrer: host };
+  };
+
+  const byNewest = (a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0);
+
+  return {
+    file,
+    async load() {
+      let text = "";
+      try {
+        text = await fs.promises.readFile(file, "utf8");
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+      records = [];
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          records.push(JSON.parse(line));
+        } catch {
+          // línea corrupta: se descarta
+        }
+      }
+      return records.length;
+    },
+    // Registra un acceso a partir de la petición HTTP
+    record(req, token, outcome) {
+      const rec = {
+        at: new Date().toISOString(),
+        token,
+        outcome,
+        ...sourceOf(req),
+        ipHash: hashIp(req.ip),
+        userAgent: String(req.get?.("user-agent") || "").slice(0, 300) || null,
+      };
+      return exclusive(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(rec)}\n`, "utf8");
+        records.push(rec);
+        return rec;
+      });
+    },
+    // Accesos (más recientes primero), opcionalmente de un solo token
+    list({ token, limit = Infinity } = {}) {
+      const all = token ? records.filter((r) => r.token === token) : records.slice();
+      return all.sort(byNewest).slice(0, limit);
+    },
+    // Resumen de un token: total, por resultado, visitantes distintos y último acceso
+    summary(token) {
+      const own = records.filter((r) => r.token === token);
+      const byOutcome = {};
+      for (const r of own) byOutcome[r.outcome] = (byOutcome[r.outcome] || 0) + 1;
+      const served = own.filter((r) => r.outcome === "served");
+      return {
+        total: own.length,
+        byOutcome,
+        visitors: new Set(served.map((r) => r.ipHash).filter(Boolean)).size,
+        qrScans: served.filter((r) => r.source === "qr").length,
+        lastAt: own.length ? own.reduce((a, r) => (r.at > a ? r.at : a), "") : null,
+      };
+    },
+    // Elimina los accesos anteriores a `before` (Date). Devuelve cuántos quitó.
+    prune(before) {
+      return exclusive(async () => {
+        const cutoff = before.toISOString();
+        const kept = records.filter((r) => r.at >= cutoff);
+        const removed = records.length - kept.length;
+        if (!removed) return 0;
+        const tmp = `${file}.${process.pid}.tmp`;
+        const body = kept.map((r) => JSON.stringify(r)).join("\n");
+        await fs.promises.writeFile(tmp, body ? `${body}\n` : "", "utf8");
+        await fs.promises.rename(tmp, file);
+        records = kept;
+        return removed;
+      });
+    },
+  };
+}
@@ -0,0 +1,249 @@
+import express from "express";
+import { parseNewUser, parseTenant, isValidPassword, ROLES } from "./auth.js";
+import { retryMessage } from "./rateLimit.js";
+import { isLocale } from "./i18n.js";
+import * as views from "./views/accounts.js";
+import { messagePage } from "./views/layout.js";
+
+// Rutas de cuentas: inicio y cierre de sesión, cambio de contraseña propia,
+// usuarios de la empresa (administrador) y empresas (superadministrador).
+
+// Solo se vuelve a rutas locales tras el login (evita redirecciones abiertas)
+const safeNext = (value) => {
+  const next = String(value || "");
+  return next.startsWith("/") && !next.startsWith("//") && !next.startsWith("/\\") ? next : "/manage";
+};
+
+// Error de un formulario: un mensaje por campo, desde el catálogo (`prefix.<campo>`)
+const fieldErrors = (t, prefix, errors) => Object.keys(errors).map((field) => t(`${prefix}.${field}`)).join(" ");
+
+// 404 de un usuario o empresa que no existe (o no es visible para quien pide)
+const notFound = (req, res, key) =>
+  res.status(404).send(messagePage(req.i18n, { title: req.i18n.t(key), back: { href: "/manage", label: `← ${req.i18n.t("manage.title")}` } }));
+
+/**
+ * @param {object} deps
+ * @param {object} deps.accounts     ver createAccounts (lib/auth.js)
+ * @param {object} deps.sessions     ver createSessions (lib/auth.js)
+ * @param {Function} deps.requireRole middleware por rol mínimo
+ * @param {Function} deps.scopeOf    RUC de la empresa activa (null = todas)
+ * @param {Function} deps.uploadLogo      middleware multer del campo "logo"
+ * @param {Function} deps.saveTenantLogo  (tenant, file) guarda el logo del QR
+ * @param {Function} deps.removeTenantLogo (tenant) lo quita
+ * @param {Function} deps.loginLimit  límite de intentos de login por IP
+ * @param {object} deps.authLockout   bloqueo tras fallos seguidos (ver createLockout en lib/rateLimit.js)
+ */
+export function createAccountsRouter({
+  accounts,
+  sessions,
+  requireRole,
+  scopeOf,
+  uploadLogo,
+  saveTenantLogo,
+  removeTenantLogo,
+  loginLimit,
+  authLockout,
+}) {
+  const router = express.Router();
+
+  // Los fallos se cuentan por usuario y por IP; basta que uno esté bloqueado
+  const lockKeys = (req, username) => [
+    `login-user:${String(username || "").trim().toLowerCase()}`,
+    `login-ip:${req.ip}`,
+  ];
+  const locked = (req, res, retryAfter) => {
+    res.setHeader("Retry-After", retryAfter);
+    return `${req.i18n.t("rateLimit.login")} ${retryMessage(req.i18n, retryAfter)}`;
+  };
+
+  const loginPage = (req, next, message = "") => views.loginPage(req.i18n, { next, message });
+
+  router.get("/login", (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    if (req.user) return res.redirect(safeNext(req.query.next));
+    res.send(loginPage(req, safeNext(req.query.next)));
+  });
+
+  router.post("/login", loginLimit, async (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    const next = safeNext(req.body?.next);
+    const keys = lockKeys(req, req.body?.username);
+    const wait = await authLockout.check(keys);
+    if (wait) return res.status(429).send(loginPage(req, next, locked(req, res, wait)));
+    const user = await accounts.authenticate(req.body?.username, req.body?.password);
+    if (!user) {
+      const lockedNow = await authLockout.fail(keys);
+      if (lockedNow) return res.status(429).send(loginPage(req, next, locked(req, res, lockedNow)));
+      return res.status(401).send(loginPage(req, next, req.i18n.t("login.failed")));
+    }
+    await authLockout.succeed(keys);
+    sessions.issue(req, res, user);
+    res.redirect(303, next);
+  });
+
+  router.post("/logout", (req, res) => {
+    sessions.clear(req, res);
+    res.redirect(303, "/login");
+  });
+
+  // --- Cuenta propia ---
+  const accountPage = (req, message = "") => views.accountPage(req.i18n, { session: req, message });
+
+  router.get("/account", requireRole("viewer"), (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.send(accountPage(req));
+  });
+
+  router.post("/account/password", requireRole("viewer"), async (req, res) => {
+    const keys = lockKeys(req, req.user.username);
+    const wait = await authLockout.check(keys);
+    if (wait) return res.status(429).send(accountPage(req, locked(req, res, wait)));
+    if (!(await accounts.authenticate(req.user.username, req.body?.current))) {
+      const lockedNow = await authLockout.fail(keys);
+      if (lockedNow) return res.status(429).send(accountPage(req, locked(req, res, lockedNow)));
+      return res.status(422).send(accountPage(req, req.i18n.t("account.password.wrong")));
+    }
+    await authLockout.succeed(keys);
+    if (!isValidPassword(req.body?.password)) {
+      return res.status(422).send(accountPage(req, req.i18n.t("account.password.short")));
+    }
+    const user = await accounts.setPassword(req.user.username, req.body.password);
+    // La sesión actual sigue abierta con la nueva versión
+    sessions.issue(req, res, user, { tenant: req.user.role === "superadmin" ? req.tenant?.ruc ?? null : null });
+    res.redirect(303, "/account");
+  });
+
+  router.post("/account/locale", requireRole("viewer"), async (req, res) => {
+    const locale = String(req.body?.locale || "");
+    if (locale && !isLocale(locale)) return res.status(422).send(accountPage(req, req.i18n.t("account.language.invalid")));
+    await accounts.setLocale(req.user.username, locale);
+    res.redirect(303, "/account");
+  });
+
+  // --- Usuarios ---
+  // Un administrador gestiona los usuarios de su empresa (sin superadministradores)
+  const canManage = (req, target) => {
+    if (!target) return false;
+    if (req.user.role === "superadmin") return true;
+    return target.role !== "superadmin" && target.tenant === req.user.tenant;
+  };
+  const assignableRoles = (req) =>
+    Object.keys(ROLES).filter((r) => r !== "superadmin" || req.user.role === "superadmin");
+
+  async function usersPage(req, message = "") {
+    const scope = scopeOf(req);
+    const users = await accounts.listUsers(scope === null ? {} : { tenant: scope });
+    return views.usersPage(req.i18n, {
+      session: req,
+      users: users.sort((a, b) => a.username.localeCompare(b.username)),
+      tenants: await accounts.listTenants(),
+      scope,
+      roles: assignableRoles(req),
+      canManage: (user) => canManage(req, user),
+      message,
+    });
+  }
+
+  router.get("/admin/users", requireRole("admin"), async (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.send(await usersPage(req));
+  });
+
+  router.post("/admin/users", requireRole("admin"), async (req, res) => {
+    const { user, password, errors } = parseNewUser(req.body || {}, { allowedRoles: assignableRoles(req) });
+    if (errors) return res.status(422).send(await usersPage(req, fieldErrors(req.i18n.t, "users.invalid", errors)));
+    // Solo el superadministrador en la vista global elige la empresa
+    const tenant = scopeOf(req) ?? (String(req.body?.tenant || "").trim() || null);
+    if (user.role !== "superadmin") {
+      if (!tenant) return res.status(422).send(await usersPage(req, req.i18n.t("users.tenantRequired")));
+      if (!(await accounts.getTenant(tenant))) return res.status(422).send(await usersPage(req, req.i18n.t("tenants.notFound")));
+    }
+    const created = await accounts.addUser({ ...user, tenant }, password);
+    if (!created) return res.status(409).send(await usersPage(req, req.i18n.t("users.exists")));
+    res.redirect(303, "/admin/users");
+  });
+
+  router.post("/admin/users/:username/:action", requireRole("admin"), async (req, res, next) => {
+    const { username, action } = req.params;
+    const target = await accounts.getUser(username);
+    const scope = scopeOf(req);
+    if (!canManage(req, target) || (scope !== null && target.tenant !== scope)) {
+      return notFound(req, res, "users.notFound");
+    }
+    const self = target.username === req.user.username;
+    if (action === "password") {
+      if (!isValidPassword(req.body?.password)) {
+        return res.status(422).send(await usersPage(req, req.i18n.t("users.invalid.password")));
+      }
+      const updated = await accounts.setPassword(target.username, req.body.password);
+      if (self) sessions.issue(req, res, updated, { tenant: req.user.role === "superadmin" ? scope : null });
+    } else if (action === "toggle" && !self) {
+      await accounts.setDisabled(target.username, !target.disabled);
+    } else if (action === "delete" && !self) {
+      await accounts.removeUser(target.username);
+    } else return next();
+    res.redirect(303, "/admin/users");
+  });
+
+  // --- Empresas (superadministrador) ---
+  async function tenantsPage(req, message = "") {
+    return views.tenantsPage(req.i18n, {
+      session: req,
+      tenants: (await accounts.listTenants()).sort((a, b) => a.name.localeCompare(b.name)),
+      current: scopeOf(req),
+      message,
+    });
+  }
+
+  router.get("/admin/tenants", requireRole("superadmin"), async (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.send(await tenantsPage(req));
+  });
+
+  router.post("/admin/tenants", requireRole("superadmin"), async (req, res) => {
+    const { tenant, errors } = parseTenant(req.body || {});
+    if (errors) return res.status(422).send(await tenantsPage(req, fieldErrors(req.i18n.t, "tenants.invalid", errors)));
+    if (!(await accounts.addTenant(tenant))) {
+      return res.status(409).send(await tenantsPage(req, req.i18n.t("tenants.exists")));
+    }
+    res.redirect(303, "/admin/tenants");
+  });
+
+  router.post("/admin/tenants/:ruc", requireRole("superadmin"), async (req, res) => {
+    const existing = await accounts.getTenant(req.params.ruc);
+    if (!existing) return notFound(req, res, "tenants.notFound");
+    const { tenant, errors } = parseTenant(req.body || {}, { existing });
+    if (errors) return res.status(422).send(await tenantsPage(req, fieldErrors(req.i18n.t, "tenants.invalid", errors)));
+    await accounts.updateTenant(existing.ruc, tenant);
+    res.redirect(303, "/admin/tenants");
+  });
+
+  // Logo de la empresa para el centro del QR (multipart "logo"; remove=1 lo quita)
+  router.post("/admin/tenants/:ruc/logo", requireRole("superadmin"), uploadLogo, async (req, res) => {
+    const tenant = await accounts.getTenant(req.params.ruc);
+    if (!tenant) return notFound(req, res, "tenants.notFound");
+    if (req.body?.remove) {
+      await removeTenantLogo(tenant);
+    } else {
+      if (!req.file) return res.status(400).send(await tenantsPage(req, req.i18n.t("tenants.logo.missing")));
+      try {
+        await saveTenantLogo(tenant, req.file);
+      } catch (e) {
+        if (e.status !== 422) throw e;
+        return res.status(422).send(await tenantsPage(req, req.i18n.t("tenants.logo.invalid")));
+      }
+    }
+    res.redirect(303, "/admin/tenants");
+  });
+
+  // Empresa activa del superadministrador (vacío = todas)
+  router.post("/admin/tenant", requireRole("superadmin"), async (req, res) => {
+    const ruc = String(req.body?.ruc || "").trim();
+    if (ruc && !(await accounts.getTenant(ruc))) return notFound(req, res, "tenants.notFound");
+    sessions.issue(req, res, req.user, { tenant: ruc || null });
+    res.redirect(303, "/manage");
+  });
+
+  return router;
+}
+
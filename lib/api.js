@@ -0,0 +1,329 @@
+import crypto from "crypto";
+import express from "express";
+import { retryMessage } from "./rateLimit.js";
+import { httpErrorOf } from "./errors.js";
+
+// API REST v1 (JSON) para integraciones (ERP/facturación).
+// Autenticación con API keys; en el servidor solo se guardan sus hashes SHA-256.
+
+export const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(String(key), "utf8").digest("hex");
+
+// API_KEYS="erp:<sha256hex>,otro@20123456789:<sha256hex>" (el nombre es opcional).
+// Con "@RUC" la key queda limitada a los documentos de esa empresa.
+export function parseApiKeys(raw = "") {
+  return String(raw)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const i = item.lastIndexOf(":");
+      const label = i > 0 ? item.slice(0, i) : "default";
+      const hash = (i > 0 ? item.slice(i + 1) : item).toLowerCase();
+      const [name, tenant = null] = label.split("@");
+      return { name: name || "default", tenant, hash };
+    })
+    .filter((k) => /^[0-9a-f]{64}$/.test(k.hash));
+}
+
+// Error con código HTTP y código de máquina para las respuestas JSON
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Mensajes (claves del catálogo) de los errores que no vienen de la API (multer, almacenamiento)
+const API_ERROR_MESSAGES = {
+  file_too_large: "api.error.fileTooLarge",
+  too_many_files: "error.tooManyFiles",
+  storage_unavailable: "error.storage",
+  email_disabled: "api.error.emailDisabled",
+};
+
+function requireApiKey(keys, lockout) {
+  return async (req, res, next) => {
+    if (!keys.length) {
+      return next(new ApiError(503, "api_disabled", req.i18n.t("api.error.disabled")));
+    }
+    const hdr = req.headers.authorization || "";
+    const m = hdr.match(/^Bearer\s+(.+)$/i);
+    const presented = m ? m[1].trim() : (req.headers["x-api-key"] || "").toString().trim();
+    if (!presented) return next(new ApiError(401, "unauthorized", req.i18n.t("api.error.missingKey")));
+    // Tras varias API keys inválidas seguidas desde una IP, se bloquea un tiempo
+    const lockKeys = [`api-ip:${req.ip}`];
+    const locked = lockout ? await lockout.check(lockKeys) : 0;
+    if (locked) return next(lockedError(req, res, locked));
+    const hash = Buffer.from(hashApiKey(presented), "hex");
+    const match = keys.find((k) => crypto.timingSafeEqual(hash, Buffer.from(k.hash, "hex")));
+    if (!match) {
+      const lockedNow = lockout ? await lockout.fail(lockKeys) : 0;
+      return next(lockedNow ? lockedError(req, res, lockedNow) : new ApiError(401, "unauthorized", req.i18n.t("api.error.invalidKey")));
+    }
+    if (lockout) await lockout.succeed(lockKeys);
+    req.apiKey = { name: match.name, tenant: match.tenant };
+    next();
+  };
+}
+
+const lockedError = (req, res, retryAfter) => {
+  res.setHeader("Retry-After", retryAfter);
+  return new ApiError(429, "rate_limited", `${req.i18n.t("rateLimit.apiKey")} ${retryMessage(req.i18n, retryAfter)}`, {
+    retryAfter,
+  });
+};
+
+const parseIntParam = (value, fallback, { min, max }) => {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+};
+
+/**
+ * Crea el router de /api/v1. Recibe las operaciones del servidor para
+ * reutilizar exactamente la misma lógica que las rutas HTML.
+ */
+export function createApiRouter({
+  apiKeys,
+  scopeOf,
+  tenantOf,
+  uploadFields,
+  getBaseUrl,
+  createDocument,
+  findEntry,
+  listAllEntries,
+  removeByToken,
+  linkStatus,
+  updateLinkPolicy,
+  revokeToken,
+  reissueToken,
+  listAccesses,
+  accessSummary,
+  sendQr,
+  sendAttachment,
+  parseUploadOptions,
+  parseBatchOptions,
+  createBatch,
+  presentBatch,
+  uploadBatch,
+  uploadLimits = [],
+  authLockout = null,
+  emailEnabled = false,
+  sendEmail,
+  listEmails,
+  emailLimit = [],
+}) {
+  const router = express.Router();
+  router.use(requireApiKey(apiKeys, authLockout));
+
+  // Entrada de token tal como se guarda, más estado y enlaces públicos
+  const present = (req, entry) => {
+    const base = getBaseUrl(req);
+    const token = encodeURIComponent(entry.token);
+    const links = {
+      self: `${base}/api/v1/documents/${token}`,
+      view: `${base}/view/${token}`, // página con visor
+      pdf: `${base}/view/${token}?raw=1`, // PDF directo (cuenta una vista)
+      qr: `${base}/api/v1/documents/${token}/qr`,
+      verify: `${base}/verify/${token}`,
+    };
+    if (entry.stampedS3Key) links.original = `${base}/view/${token}?raw=1&version=original`;
+    if (entry.xmlS3Key) links.xml = `${base}/api/v1/documents/${token}/xml`;
+    if (entry.cdrS3Key) links.cdr = `${base}/api/v1/documents/${token}/cdr`;
+    const { passwordHash, ...rest } = entry; // el hash nunca sale por la API
+    return {
+      ...rest,
+      hasPassword: Boolean(passwordHash),
+      status: linkStatus(entry),
+      links,
+    };
+  };
+
+  const UNAVAILABLE = {
+    expired: (req, e) => new ApiError(410, "expired", req.i18n.t("api.error.expired"), { expiresAt: e.expiresAt }),
+    revoked: (req, e) => new ApiError(410, "revoked", req.i18n.t("api.error.revoked"), { revokedAt: e.revokedAt }),
+    exhausted: (req, e) =>
+      new ApiError(410, "exhausted", req.i18n.t("api.error.exhausted"), { maxViews: e.maxViews, views: e.views }),
+    deleted: (req, e) => new ApiError(410, "deleted", req.i18n.t("api.error.deleted"), { deletedAt: e.deletedAt }),
+  };
+
+  // Los documentos de otra empresa responden igual que los inexistentes;
+  // los que están en la papelera, 410 deleted (solo se restauran desde /manage/trash)
+  const loadEntry = async (req, token) => {
+    const entry = await findEntry(token);
+    const scope = scopeOf(req);
+    if (!entry || (scope !== null && entry.tenant !== scope)) {
+      throw new ApiError(404, "not_found", req.i18n.t("api.error.documentNotFound"));
+    }
+    if (entry.deletedAt) throw UNAVAILABLE.deleted(req, entry);
+    return entry;
+  };
+
+  const loadActive = async (req, token) => {
+    const entry = await loadEntry(req, token);
+    const status = linkStatus(entry);
+    if (status !== "active") throw UNAVAILABLE[status](req, entry);
+    return entry;
+  };
+
+  // Crear (multipart: campo "file" con el PDF; opcionales "xml" con el UBL
+  // firmado, "cdr" con el ZIP de SUNAT y los datos del comprobante:
+  // rucEmisor, tipo, serie, numero, igv, total, fechaEmision,
+  // tipoDocAdquirente, numDocAdquirente, hash y qrMode; el estampado del
+  // QR: stamp, stampPage, stampCorner, stampSize, stampCaption, stampUrl; y el
+  // acceso al enlace: ttlDays, noExpiry, maxViews, password; y duplicate =
+  // ask | reuse | new si el PDF ya fue subido: ask responde 409 con el token
+  // existente, reuse lo devuelve con 200 y reused: true).
+  // Con el encabezado Idempotency-Key, repetir la misma petición devuelve el
+  // mismo documento (con Idempotent-Replayed: true) en vez de crear otro; la
+  // misma clave con otro contenido responde 422 y mientras la primera sigue en
+  // curso, 409.
+  router.post("/documents", uploadLimits, uploadFields("file"), async (req, res) => {
+    const file = req.files?.file?.[0];
+    if (!file) throw new ApiError(400, "file_required", req.i18n.t("api.error.fileRequired"));
+    const options = parseUploadOptions(req.body, {
+      xml: req.files.xml?.[0],
+      cdr: req.files.cdr?.[0],
+      tenant: await tenantOf(req),
+    });
+    if (options.errors) {
+      throw new ApiError(422, "validation_failed", req.i18n.t("api.error.invalidDocument"), { errors: options.errors });
+    }
+    const entry = await createDocument(req, file, options);
+    if (entry.replayed) res.setHeader("Idempotent-Replayed", "true");
+    const body = present(req, entry);
+    res.status(entry.reused ? 200 : 201).location(body.links.self).json(body);
+  });
+
+  // Lote (multipart, campo "files" repetido: PDFs o ZIPs con PDFs; admite
+  // las mismas opciones de estampado y de enlace y el encabezado Idempotency-Key).
+  // Responde el reporte por archivo.
+  router.post("/documents/batch", uploadLimits, uploadBatch, async (req, res) => {
+    const files = req.files || [];
+    if (!files.length) throw new ApiError(400, "file_required", req.i18n.t("api.error.filesRequired"));
+    const options = parseBatchOptions(req.body, { tenant: await tenantOf(req) });
+    if (options.errors) {
+      throw new ApiError(422, "validation_failed", req.i18n.t("api.error.invalidBatch"), { errors: options.errors });
+    }
+    const batch = await createBatch(req, files, options);
+    if (batch.replayed) res.setHeader("Idempotent-Replayed", "true");
+    res.status(201).json(presentBatch(req, batch));
+  });
+
+  // Listar con paginación (?limit=&offset=)
+  router.get("/documents", async (req, res) => {
+    const limit = parseIntParam(req.query.limit, 50, { min: 1, max: 500 });
+    const offset = parseIntParam(req.query.offset, 0, { min: 0, max: Number.MAX_SAFE_INTEGER });
+    const all = await listAllEntries(offset + limit + 1, scopeOf(req));
+    const page = all.slice(offset, offset + limit);
+    res.json({
+      data: page.map((e) => present(req, e)),
+      paging: { limit, offset, hasMore: all.length > offset + limit },
+    });
+  });
+
+  router.get("/documents/:token", async (req, res) => {
+    const entry = await loadActive(req, req.params.token);
+    res.json(present(req, entry));
+  });
+
+  // Cambiar la política del enlace (JSON o formulario): extendDays, expiresAt,
+  // noExpiry, maxViews ("0" = sin límite), resetViews, password, removePassword
+  router.patch("/documents/:token", async (req, res) => {
+    await loadEntry(req, req.params.token);
+    const result = await updateLinkPolicy(req.params.token, req.body || {});
+    if (!result) throw new ApiError(404, "not_found", req.i18n.t("api.error.documentNotFound"));
+    if (result.errors) {
+      throw new ApiError(422, "validation_failed", req.i18n.t("api.error.invalidPolicy"), { errors: result.errors });
+    }
+    res.json(present(req, result.entry));
+  });
+
+  router.post("/documents/:token/revoke", async (req, res) => {
+    await loadEntry(req, req.params.token);
+    res.json(present(req, await revokeToken(req.params.token)));
+  });
+
+  // Token nuevo para el mismo archivo; el anterior queda revocado
+  router.post("/documents/:token/reissue", async (req, res) => {
+    const entry = await loadEntry(req, req.params.token);
+    if (entry.replacedBy) {
+      throw new ApiError(409, "already_reissued", req.i18n.t("api.error.alreadyReissued"), { replacedBy: entry.replacedBy });
+    }
+    const next = await reissueToken(req, req.params.token);
+    const body = present(req, next);
+    res.status(201).location(body.links.self).json(body);
+  });
+
+  // Envía el documento a la papelera (se borra definitivamente pasada la retención)
+  router.delete("/documents/:token", async (req, res) => {
+    await loadEntry(req, req.params.token);
+    const result = await removeByToken(req.params.token, { by: `api:${req.apiKey.name}` });
+    if (!result.ok) throw new ApiError(404, "not_found", req.i18n.t("api.error.documentNotFound"));
+    res.status(204).end();
+  });
+
+  // QR en PNG por defecto; admite las opciones de lib/qrRender.js en la query
+  // (format=png|svg|pdf, size, dpi + sizeMm, margin, ecl, fg, bg, logo=1)
+  router.get("/documents/:token/qr", async (req, res) => {
+    const entry = await loadActive(req, req.params.token);
+    const sent = await sendQr(req, res, entry);
+    if (!sent) throw new ApiError(404, "not_found", req.i18n.t("qr.notFound"));
+  });
+
+  // Registro de accesos a /view/:token (más recientes primero, ?limit=)
+  router.get("/documents/:token/accesses", async (req, res) => {
+    const entry = await loadEntry(req, req.params.token);
+    const limit = parseIntParam(req.query.limit, 500, { min: 1, max: 10000 });
+    res.json({
+      summary: accessSummary(entry.token),
+      data: listAccesses(entry.token).slice(0, limit),
+    });
+  });
+
+  // Envía el enlace y el QR del documento por correo (JSON: to = lista o texto
+  // con comas, message, attachPdf, locale). Cada destinatario es un envío en la
+  // cola con reintentos: responde 202 con los envíos pendientes.
+  router.post("/documents/:token/email", emailLimit, async (req, res) => {
+    const entry = await loadActive(req, req.params.token);
+    if (!emailEnabled) throw new ApiError(503, "email_disabled", req.i18n.t("api.error.emailDisabled"));
+    const result = await sendEmail(req, entry, req.body || {});
+    if (result.errors) {
+      throw new ApiError(422, "validation_failed", req.i18n.t("api.error.invalidEmail"), { errors: result.errors });
+    }
+    res.status(202).json({ data: result.records });
+  });
+
+  // Historial de envíos por correo (más recientes primero)
+  router.get("/documents/:token/emails", async (req, res) => {
+    const entry = await loadEntry(req, req.params.token);
+    res.json({ data: await listEmails(entry.token) });
+  });
+
+  router.get("/documents/:token/:kind", async (req, res, next) => {
+    if (!["xml", "cdr"].includes(req.params.kind)) return next();
+    const entry = await loadActive(req, req.params.token);
+    const sent = await sendAttachment(res, entry, req.params.kind);
+    if (!sent) throw new ApiError(404, "not_found", req.i18n.t("api.error.attachmentNotFound"));
+  });
+
+  router.use((req, res, next) => next(new ApiError(404, "not_found", req.i18n.t("api.error.routeNotFound"))));
+
+  // Errores siempre en JSON: { error: { code, message, requestId, details? } }
+  // (códigos según httpErrorOf, igual que en el resto del sitio)
+  router.use((err, req, res, next) => {
+    const { status, code, message, expose, details } = httpErrorOf(err);
+    if (status >= 500) req.log.error("request_failed", { code, err });
+    if (res.headersSent) return next(err);
+    if (status === 503) res.setHeader("Retry-After", 30);
+    const text = API_ERROR_MESSAGES[code]
+      ? req.i18n.t(API_ERROR_MESSAGES[code])
+      : expose ? message : req.i18n.t("error.internal", { id: req.id });
+    res.status(status).json({ error: { code, message: text, requestId: req.id, ...(details ? { details } : {}) } });
+  });
+
+  return router;
+}
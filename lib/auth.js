@@ -0,0 +1,190 @@
+import crypto from "crypto";
+import path from "path";
+import { createMetadataStore } from "./metadataStore.js";
+import { hashPassword, verifyPassword } from "./linkPolicy.js";
+import { isValidRuc } from "./sunat.js";
+
+// Cuentas multiempresa: empresas (tenants) identificadas por RUC emisor y
+// usuarios con rol dentro de una empresa. El superadministrador no pertenece a
+// ninguna empresa y puede trabajar con todas.
+//
+// Empresas y usuarios se guardan en logs append-only (lib/metadataStore.js).
+// Las sesiones son cookies firmadas (HMAC) sin estado en el servidor; cambiar
+// la contraseña o desactivar al usuario invalida las sesiones abiertas.
+
+export const ROLES = { viewer: 1, uploader: 2, admin: 3, superadmin: 4 };
+
+export const hasRole = (user, role) => Boolean(user) && ROLES[user.role] >= ROLES[role];
+
+const USERNAME_RE = /^[a-z0-9._@-]{3,64}$/;
+const PREFIX_RE = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+const PASSWORD_MIN_LENGTH = 8;
+
+const clean = (v) => (v == null ? "" : String(v).trim());
+
+// Datos de una empresa. Devuelve { tenant } o { errors }.
+export function parseTenant(body = {}, { existing = null } = {}) {
+  const errors = {};
+  const ruc = existing ? existing.ruc : clean(body.ruc);
+  if (!existing && !isValidRuc(ruc)) errors.ruc = "RUC inválido.";
+  const name = clean(body.name).slice(0, 200);
+  if (!name) errors.name = "Falta la razón social.";
+  const s3Prefix = clean(body.s3Prefix).replace(/^\/+|\/+$/g, "");
+  if (s3Prefix && !PREFIX_RE.test(s3Prefix)) errors.s3Prefix = "Prefijo inválido (letras, números, . _ - y /).";
+  let defaultTtlDays = null;
+  const rawTtl = clean(body.defaultTtlDays);
+  if (rawTtl) {
+    defaultTtlDays = /^\d+$/.test(rawTtl) ? Number(rawTtl) : NaN;
+    if (!Number.isInteger(defaultTtlDays) || defaultTtlDays > 3650) {
+      errors.defaultTtlDays = "Vigencia por defecto inválida (0 a 3650 días; 0 = sin vencimiento).";
+    }
+  }
+  if (Object.keys(errors).length) return { errors };
+  return { tenant: { ruc, name, s3Prefix: s3Prefix || null, defaultTtlDays } };
+}
+
+// Datos de un usuario nuevo. Devuelve { user, password } o { errors }.
+export function parseNewUser(body = {}, { allowedRoles = Object.keys(ROLES) } = {}) {
+  const errors = {};
+  const username = clean(body.username).toLowerCase();
+  if (!USERNAME_RE.test(username)) errors.username = "Usuario inválido (3 a 64 caracteres: letras, números, . _ @ -).";
+  const role = clean(body.role) || "viewer";
+  if (!allowedRoles.includes(role)) errors.role = "Rol no permitido.";
+  const password = body.password == null ? "" : String(body.password);
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    errors.password = `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres.`;
+  }
+  if (Object.keys(errors).length) return { errors };
+  return { user: { username, role }, password };
+}
+
+export const isValidPassword = (password) => String(password ?? "").length >= PASSWORD_MIN_LENGTH;
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir carpeta de los logs (DATA_DIR)
+ */
+export function createAccounts({ dir }) {
+  const tenants = createMetadataStore({ file: path.join(dir, "tenants.log"), key: "ruc" });
+  const users = createMetadataStore({
+    file: path.join(dir, "users.log"),
+    key: "username",
+    indexes: { tenant: (u) => u.tenant },
+  });
+  // Hash de referencia para no revelar por el tiempo de respuesta si el usuario existe
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+  return {
+    async load() {
+      await tenants.load();
+      await users.load();
+    },
+
+    listTenants: () => tenants.list(),
+    getTenant: (ruc) => (ruc ? tenants.get(ruc) : Promise.resolve(null)),
+    async addTenant(data) {
+      if (await tenants.get(data.ruc)) return null;
+      return tenants.put({ ...data, createdAt: new Date().toISOString() });
+    },
+    updateTenant: (ruc, patch) => tenants.update(ruc, patch),
+
+    countUsers: () => users.count(),
+    listUsers: ({ tenant } = {}) => (tenant ? users.findBy("tenant", tenant) : users.list()),
+    getUser: (username) => users.get(String(username || "").toLowerCase()),
+    async addUser({ username, role, tenant = null }, password) {
+      if (await users.get(username)) return null;
+      return users.put({
+        username,
+        role,
+        tenant: role === "superadmin" ? null : tenant,
+        passwordHash: await hashPassword(password),
+        sessionVersion: 1,
+        disabled: false,
+        createdAt: new Date().toISOString(),
+      });
+    },
+    // Cambiar la contraseña cierra las sesiones abiertas del usuario
+    async setPassword(username, password) {
+      const passwordHash = await hashPassword(password);
+      return users.update(username, (u) => ({ passwordHash, sessionVersion: (u.sessionVersion || 1) + 1 }));
+    },
+    setDisabled: (username, disabled) =>
+      users.update(username, (u) => ({ disabled, sessionVersion: (u.sessionVersion || 1) + 1 })),
+    removeUser: (username) => users.delete(username),
+    // Idioma de las páginas (null = según el navegador)
+    setLocale: (username, locale) => users.update(username, { locale: locale || null }),
+
+    // Usuario si las credenciales son válidas y está activo; null si no
+    async authenticate(username, password) {
+      const user = await users.get(String(username || "").trim().toLowerCase());
+      const ok = await verifyPassword(password, user?.passwordHash || (await dummyHash));
+      return ok && user && !user.disabled ? user : null;
+    },
+  };
+}
+
+/**
+ * Sesiones en cookie firmada: base64url(JSON) + "." + HMAC.
+ * Contenido: { u: usuario, v: versión de sesión, t: empresa elegida (superadmin), exp }
+ * El token CSRF de los formularios es otro HMAC de la misma cookie, así cambia
+ * con cada sesión emitida y no hace falta guardarlo.
+ */
+export function createSessions({ secret, maxAgeHours = 12, cookieName = "sid" }) {
+  const sign = (data) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+  const readCookie = (req) => {
+    for (const part of String(req.headers.cookie || "").split(";")) {
+      const i = part.indexOf("=");
+      if (i > 0 && part.slice(0, i).trim() === cookieName) return part.slice(i + 1).trim();
+    }
+    return "";
+  };
+
+  const csrfOf = (req) => {
+    const data = readCookie(req).split(".")[0];
+    return data ? sign(`csrf.${data}`) : null;
+  };
+
+  const write = (req, res, value, maxAge) => {
+    const secure = req.secure ? "; Secure" : "";
+    res.append("Set-Cookie", `${cookieName}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`);
+  };
+
+  return {
+    issue(req, res, user, { tenant = null } = {}) {
+      const payload = {
+        u: user.username,
+        v: user.sessionVersion || 1,
+        t: tenant,
+        exp: Date.now() + maxAgeHours * 60 * 60 * 1000,
+      };
+      const data = Buffer.from(JSON.stringify(payload)).toString("base64url");
+      write(req, res, `${data}.${sign(data)}`, maxAgeHours * 60 * 60);
+    },
+    // Contenido de la sesión si la firma es válida y no venció; null si no
+    read(req) {
+      const [data, mac] = readCookie(req).split(".");
+      if (!data || !mac) return null;
+      const expected = Buffer.from(sign(data));
+      const presented = Buffer.from(mac);
+      if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) return null;
+      try {
+        const payload = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+        return payload.exp > Date.now() ? payload : null;
+      } catch {
+        return null;
+      }
+    },
+    clear(req, res) {
+      write(req, res, "", 0);
+    },
+    // Token CSRF de la sesión actual (null sin cookie)
+    csrfToken: csrfOf,
+    verifyCsrf(req, token) {
+      const expected = csrfOf(req);
+      const presented = Buffer.from(String(token || ""));
+      if (!expected || Buffer.from(expected).length !== presented.length) return false;
+      return crypto.timingSafeEqual(Buffer.from(expected), presented);
+    },
+  };
+}
@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+
+// Estado del servidor (metadatos de tokens, usuarios y empresas, registros de
+// accesos, webhooks, cuarentena, Idempotency-Key y correos) en DATA_DIR, fuera
+// de UPLOAD_DIR: UPLOAD_DIR guarda los documentos del almacenamiento local y el
+// estado no debe quedar junto a ellos.
+
+// Archivos de estado que versiones anteriores guardaban en UPLOAD_DIR
+export const STATE_FILES = [
+  "metadata.log",
+  "metadata.json",
+  "metadata.json.migrated",
+  "access.log",
+  "webhooks.log",
+  "webhook-deliveries.log",
+  "tenants.log",
+  "users.log",
+  "quarantine.log",
+  "idempotency.log",
+  "emails.log",
+];
+
+const isInside = (dir, parent) => {
+  const rel = path.relative(parent, dir);
+  return !rel || (!rel.startsWith("..") && !path.isAbsolute(rel));
+};
+
+/**
+ * Carpeta de estado: DATA_DIR o, si no se define, "data" junto a UPLOAD_DIR.
+ * Lanza si queda dentro de UPLOAD_DIR.
+ * @param {string} uploadDir  ruta absoluta de UPLOAD_DIR
+ * @param {string} [raw]      valor de DATA_DIR
+ */
+export function resolveDataDir(uploadDir, raw = "") {
+  const dataDir = raw ? path.resolve(raw) : path.join(path.dirname(uploadDir), "data");
+  if (isInside(dataDir, uploadDir)) {
+    throw new Error(`DATA_DIR (${dataDir}) no puede estar dentro de UPLOAD_DIR (${uploadDir}).`);
+  }
+  return dataDir;
+}
+
+/**
+ * Crea DATA_DIR y mueve ahí los archivos de estado que sigan en UPLOAD_DIR
+ * (solo si no existen ya en DATA_DIR). Devuelve los nombres movidos.
+ */
+export function moveStateFiles(uploadDir, dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const moved = [];
+  for (const name of STATE_FILES) {
+    const from = path.join(uploadDir, name);
+    const to = path.join(dataDir, name);
+    if (!fs.existsSync(from) || fs.existsSync(to)) continue;
+    try {
+      fs.renameSync(from, to);
+    } catch (e) {
+      if (e.code !== "EXDEV") throw e;
+      // Otro disco: copiar y borrar el original
+      fs.copyFileSync(from, to);
+      fs.unlinkSync(from);
+    }
+    moved.push(name);
+  }
+  return moved;
+}
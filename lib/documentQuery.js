@@ -0,0 +1,222 @@
+import { linkStatus } from "./linkPolicy.js";
+import { invoiceLabel } from "./sunat.js";
+
+// Búsqueda, filtros, orden y paginación de los listados de documentos
+// (/manage y /tokens). Se trabaja sobre las entradas en memoria del
+// repositorio de metadatos.
+//
+// Parámetros (query string):
+//   q              texto: nombre original, inicio del token o datos del comprobante
+//   status         active | expired | exhausted | revoked
+//   from, to       fecha de subida (AAAA-MM-DD, ambos inclusive)
+//   minKb, maxKb   tamaño del PDF en KB
+//   sort, dir      columna (DOCUMENT_SORTS) y asc | desc
+//   limit          filas por página (PAGE_SIZES)
+//   after, before  cursor de la página siguiente o anterior
+//
+// La paginación es por cursor (último valor de la columna + token), así las
+// páginas no se corren cuando se suben o eliminan documentos entre una y otra.
+
+export const DOCUMENT_SORTS = {
+  createdAt: "Subido",
+  originalName: "Nombre",
+  size: "Tamaño",
+  expiresAt: "Vencimiento",
+  views: "Vistas",
+};
+export const DOCUMENT_STATUSES = ["active", "expired", "exhausted", "revoked"];
+export const PAGE_SIZES = [25, 50, 100, 200];
+export const QUERY_FIELDS = ["q", "status", "from", "to", "minKb", "maxKb", "sort", "dir"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const clean = (v) => (v == null ? "" : String(v).trim());
+// Minúsculas y sin tildes para buscar "páginas" con "paginas"
+const fold = (s) => String(s ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+// Valor de orden de una entrada; sin vencimiento va después de cualquier fecha
+const SORT_VALUES = {
+  createdAt: (e) => e.createdAt || "",
+  originalName: (e) => fold(e.originalName || e.filename),
+  size: (e) => e.size || 0,
+  expiresAt: (e) => e.expiresAt || "9999",
+  views: (e) => e.views || 0,
+};
+
+const encodeCursor = (value, token) => Buffer.from(JSON.stringify([value, token])).toString("base64url");
+const decodeCursor = (raw) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(clean(raw), "base64url").toString("utf8"));
+    return Array.isArray(cursor) && cursor.length === 2 && typeof cursor[1] === "string" ? cursor : null;
+  } catch {
+    return null;
+  }
+};
+
+const parseDay = (raw) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw)) return NaN;
+  return Date.parse(`${raw}T00:00:00Z`);
+};
+
+/**
+ * Valida los parámetros del listado. Devuelve { query } o { errors }.
+ * query: { q, status, from, to, minKb, maxKb, sort, dir, limit, after, before }
+ */
+export function parseDocumentQuery(input = {}) {
+  const errors = {};
+  const q = clean(input.q).slice(0, 100);
+  const status = clean(input.status);
+  if (status && !DOCUMENT_STATUSES.includes(status)) errors.status = "Estado inválido.";
+
+  const from = clean(input.from);
+  const to = clean(input.to);
+  if (from && Number.isNaN(parseDay(from))) errors.from = "Fecha inicial inválida (AAAA-MM-DD).";
+  if (to && Number.isNaN(parseDay(to))) errors.to = "Fecha final inválida (AAAA-MM-DD).";
+  if (from && to && !errors.from && !errors.to && from > to) errors.to = "La fecha final es anterior a la inicial.";
+
+  const sizes = {};
+  for (const field of ["minKb", "maxKb"]) {
+    const raw = clean(input[field]);
+    if (!raw) continue;
+    sizes[field] = Number(raw);
+    if (!Number.isFinite(sizes[field]) || sizes[field] < 0) errors[field] = "Tamaño inválido (KB).";
+  }
+
+  const sort = SORT_VALUES[clean(input.sort)] ? clean(input.sort) : "createdAt";
+  const dir = clean(input.dir) === "asc" ? "asc" : "desc";
+  const limit = PAGE_SIZES.includes(Number(input.limit)) ? Number(input.limit) : PAGE_SIZES[1];
+  if (Object.keys(errors).length) return { errors };
+  return {
+    query: {
+      q,
+      status: status || null,
+      from: from || null,
+      to: to || null,
+      minKb: sizes.minKb ?? null,
+      maxKb: sizes.maxKb ?? null,
+      sort,
+      dir,
+      limit,
+      after: decodeCursor(input.after),
+      before: input.after ? null : decodeCursor(input.before),
+    },
+  };
+}
+
+// Texto en el que se busca: nombre, comprobante y datos de emisor y adquirente
+const searchText = (e) => {
+  const i = e.invoice;
+  return fold([
+    e.originalName,
+    e.filename,
+    i && invoiceLabel(i),
+    i?.rucEmisor,
+    i?.nombreEmisor,
+    i?.numDocAdquirente,
+    i?.nombreAdquirente,
+    i?.fechaEmision,
+    i?.total,
+  ].filter(Boolean).join(" "));
+};
+
+// Entradas que cumplen los filtros (sin ordenar ni paginar)
+export function filterDocuments(entries, query, now = Date.now()) {
+  const needle = fold(query.q);
+  const fromMs = query.from ? parseDay(query.from) : null;
+  const toMs = query.to ? parseDay(query.to) + DAY_MS : null;
+  return entries.filter((e) => {
+    if (needle && !e.token.startsWith(query.q) && !searchText(e).includes(needle)) return false;
+    if (query.status && linkStatus(e, now) !== query.status) return false;
+    const created = Date.parse(e.createdAt);
+    if (fromMs !== null && !(created >= fromMs)) return false;
+    if (toMs !== null && !(created < toMs)) return false;
+    const kb = (e.size || 0) / 1024;
+    if (query.minKb !== null && kb < query.minKb) return false;
+    if (query.maxKb !== null && kb > query.maxKb) return false;
+    return true;
+  });
+}
+
+/**
+ * Filtra, ordena y devuelve una página.
+ * @returns {{ items: object[], total: number, next: string|null, prev: string|null }}
+ *   next/prev: cursores para ?after= y ?before= (null si no hay más)
+ */
+export function queryDocuments(entries, query, now = Date.now()) {
+  const valueOf = SORT_VALUES[query.sort];
+  const sign = query.dir === "asc" ? 1 : -1;
+  const compareKeys = ([va, ta], [vb, tb]) => {
+    if (va < vb) return -sign;
+    if (va > vb) return sign;
+    return ta < tb ? -1 : ta > tb ? 1 : 0;
+  };
+  const keyOf = (e) => [valueOf(e), e.token];
+  const sorted = filterDocuments(entries, query, now).sort((a, b) => compareKeys(keyOf(a), keyOf(b)));
+
+  let start = 0;
+  let end = Math.min(sorted.length, query.limit);
+  if (query.after) {
+    start = sorted.findIndex((e) => compareKeys(keyOf(e), query.after) > 0);
+    if (start < 0) start = sorted.length;
+    end = Math.min(sorted.length, start + query.limit);
+  } else if (query.before) {
+    end = sorted.findIndex((e) => compareKeys(keyOf(e), query.before) >= 0);
+    if (end < 0) end = sorted.length;
+    start = Math.max(0, end - query.limit);
+  }
+  const items = sorted.slice(start, end);
+  return {
+    items,
+    total: sorted.length,
+    next: end < sorted.length && items.length ? encodeCursor(...keyOf(items[items.length - 1])) : null,
+    prev: start > 0 && items.length ? encodeCursor(...keyOf(items[0])) : null,
+  };
+}
+
+// Query string con los filtros actuales más `extra` (los valores vacíos se omiten)
+export function queryString(query, extra = {}) {
+  const params = new URLSearchParams();
+  const values = { ...Object.fromEntries(QUERY_FIELDS.map((k) => [k, query[k]])), ...extra };
+  if (query.limit !== PAGE_SIZES[1] && !("limit" in extra)) values.limit = query.limit;
+  for (const [k, v] of Object.entries(values)) {
+    if (v != null && v !== "") params.set(k, v);
+  }
+  const s = params.toString();
+  return s ? `?${s}` : "";
+}
+
+const CSV_COLUMNS = [
+  "token",
+  "originalName",
+  "status",
+  "createdAt",
+  "expiresAt",
+  "size",
+  "views",
+  "maxViews",
+  "lastViewedAt",
+  "tenant",
+  "invoice",
+  "rucEmisor",
+  "total",
+  "sha256",
+  "viewUrl",
+];
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// CSV de los documentos (todas las filas filtradas, no solo la página)
+export function documentsToCsv(entries, { baseUrl = "", now = Date.now() } = {}) {
+  const rows = entries.map((e) => ({
+    ...e,
+    originalName: e.originalName || e.filename,
+    status: linkStatus(e, now),
+    invoice: e.invoice ? invoiceLabel(e.invoice) : "",
+    rucEmisor: e.invoice?.rucEmisor,
+    total: e.invoice?.total,
+    viewUrl: baseUrl ? `${baseUrl}/view/${encodeURIComponent(e.token)}` : "",
+  }));
+  return [CSV_COLUMNS.join(","), ...rows.map((r) => CSV_COLUMNS.map((c) => csvCell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
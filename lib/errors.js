@@ -0,0 +1,58 @@
+import multer from "multer";
+
+// Código HTTP y código de máquina de un error que llega a un manejador de
+// errores de Express. Cubre:
+//   - límites de multer (archivo demasiado grande, demasiados archivos o campos)
+//   - cuerpos JSON/formularios inválidos o demasiado grandes (body-parser)
+//   - errores de validación de los módulos (PdfError, StampError, QrOptionsError,
+//     DuplicateError, ScanError, ApiError...), que ya traen status y code
+//   - fallos del almacenamiento (S3 o disco), marcados por instrumentStorage()
+//     en lib/storage.js: 503, el cliente puede reintentar
+// Todo lo demás es un 500 cuyo mensaje no se muestra al cliente.
+//
+// Devuelve { status, code, message, expose, details? }: con expose = false el
+// mensaje es interno (se registra en los logs pero no se envía).
+
+const MULTER_CODES = {
+  LIMIT_FILE_SIZE: [413, "file_too_large"],
+  LIMIT_FIELD_VALUE: [413, "field_too_large"],
+  LIMIT_PART_COUNT: [413, "too_many_parts"],
+  LIMIT_FILE_COUNT: [413, "too_many_files"],
+  LIMIT_FIELD_COUNT: [413, "too_many_fields"],
+  LIMIT_FIELD_KEY: [400, "invalid_upload"],
+  LIMIT_UNEXPECTED_FILE: [400, "unexpected_file"],
+  MISSING_FIELD_NAME: [400, "invalid_upload"],
+};
+
+const BODY_PARSER_CODES = {
+  "entity.too.large": "body_too_large",
+  "entity.parse.failed": "invalid_body",
+  "encoding.unsupported": "unsupported_encoding",
+  "charset.unsupported": "unsupported_charset",
+  "request.aborted": "request_aborted",
+  "parameters.too.many": "too_many_parameters",
+};
+
+export function httpErrorOf(err) {
+  if (err instanceof multer.MulterError) {
+    const [status, code] = MULTER_CODES[err.code] || [400, "invalid_upload"];
+    return { status, code, message: err.message, expose: true, details: err.field ? { field: err.field } : undefined };
+  }
+  if (err?.type && BODY_PARSER_CODES[err.type]) {
+    return { status: err.status || 400, code: BODY_PARSER_CODES[err.type], message: err.message, expose: true };
+  }
+  if (err?.storageOperation) {
+    return { status: 503, code: "storage_unavailable", message: err.message, expose: false };
+  }
+  const status = Number(err?.status || err?.statusCode);
+  if (status >= 400 && status < 600) {
+    const expose = status < 500 || Boolean(err.expose);
+    const code = err.code && typeof err.code === "string" ? err.code : defaultCodeOf(status);
+    return { status, code, message: err.message, expose, details: err.details };
+  }
+  return { status: 500, code: "internal_error", message: err?.message || String(err), expose: false };
+}
+
+const defaultCodeOf = (status) =>
+  ({ 400: "bad_request", 401: "unauthorized", 403: "forbidden", 404: "not_found", 413: "payload_too_large", 415: "unsupported_media_type", 422: "validation_failed" })[status] ||
+  (status >= 500 ? "internal_error" : "request_failed");
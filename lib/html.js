@@ -0,0 +1,44 @@
+// Plantillas HTML con escape automático.
+//
+//   html`<td>${entry.originalName}</td>`
+//
+// escapa todo lo que se interpola salvo lo que ya es HTML: otro html`` o
+// raw(...) (solo para HTML que arma el propio servidor). Los arreglos se unen
+// sin separador y null, undefined y false no se muestran, así funcionan
+// `${items.map(...)}` y `${cond && html`...`}`.
+//
+// html`` devuelve un SafeHtml; las páginas completas se convierten con String()
+// antes de res.send.
+
+export class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+  toString() {
+    return this.value;
+  }
+}
+
+export const escapeHtml = (v) =>
+  String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+export const raw = (value) => new SafeHtml(String(value ?? ""));
+
+const render = (v) => {
+  if (v instanceof SafeHtml) return v.value;
+  if (Array.isArray(v)) return v.map(render).join("");
+  if (v == null || v === false) return "";
+  return escapeHtml(v);
+};
+
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((v, i) => {
+    out += render(v) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+// Atributo onsubmit/onclick que pide confirmación con `text` (texto plano:
+// se pasa como literal JSON y el escape del atributo lo protege)
+export const confirmJs = (text) => `return confirm(${JSON.stringify(String(text))});`;
@@ -0,0 +1,93 @@
+import { SafeHtml, escapeHtml } from "./html.js";
+import esPE from "./locales/es-PE.js";
+import en from "./locales/en.js";
+
+// Idiomas de las páginas y formato de fechas e importes.
+//
+// El idioma sale de la preferencia del usuario (Mi cuenta) o, sin ella, del
+// encabezado Accept-Language; si no coincide ninguno se usa el por defecto.
+// Los catálogos están en lib/locales/: claves planas ("view.expired.title") y
+// variables entre llaves ("{date}"). Si a un catálogo le falta una clave se
+// usa la del español.
+
+export const LOCALES = { "es-PE": "Español (Perú)", en: "English" };
+const CATALOGS = { "es-PE": esPE, en };
+const FALLBACK = "es-PE";
+
+export const isLocale = (value) => Object.hasOwn(LOCALES, value);
+
+// Mejor idioma disponible para Accept-Language ("en-US,en;q=0.9,es;q=0.8")
+export function negotiateLocale(header, fallback = FALLBACK) {
+  const wanted = String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q[1]) : 1, i };
+    })
+    .filter((w) => w.tag && w.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  const available = Object.keys(LOCALES);
+  for (const { tag } of wanted) {
+    const exact = available.find((l) => l.toLowerCase() === tag);
+    if (exact) return exact;
+    const base = tag.split("-")[0];
+    const sameLanguage = available.find((l) => l.toLowerCase().split("-")[0] === base);
+    if (sameLanguage) return sameLanguage;
+  }
+  return fallback;
+}
+
+const fill = (text, vars, encode) => text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? encode(vars[name]) : m));
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.defaultLocale] idioma si no hay preferencia ni coincidencia
+ * @param {string} [opts.timeZone]      zona horaria de las fechas mostradas
+ */
+export function createI18n({ defaultLocale = FALLBACK, timeZone = "America/Lima" } = {}) {
+  if (!isLocale(defaultLocale)) throw new Error(`Idioma no soportado: ${defaultLocale} (${Object.keys(LOCALES).join(", ")}).`);
+  const translators = new Map();
+
+  // Traductor y formatos de un idioma (se crean una vez por idioma)
+  const translator = (locale) => {
+    if (!translators.has(locale)) {
+      const catalog = CATALOGS[locale];
+      const message = (key) => catalog[key] ?? CATALOGS[FALLBACK][key] ?? key;
+      const dateTimeFormat = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short", timeZone });
+      const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeZone });
+      const toDate = (v) => (v instanceof Date ? v : new Date(v));
+      translators.set(locale, {
+        locale,
+        // Texto plano (se escapa al interpolarlo en html``)
+        t: (key, vars = {}) => fill(message(key), vars, String),
+        // HTML: escapa el mensaje y las variables, salvo las que ya son SafeHtml
+        h: (key, vars = {}) =>
+          new SafeHtml(fill(escapeHtml(message(key)), vars, (v) => (v instanceof SafeHtml ? v.value : escapeHtml(v)))),
+        dateTime: (v) => dateTimeFormat.format(toDate(v)),
+        date: (v) => dateFormat.format(toDate(v)),
+        number: (n, options) => new Intl.NumberFormat(locale, options).format(n),
+        // Importe con su moneda (PEN por defecto); si no es numérico se muestra tal cual
+        money: (amount, currency) => {
+          currency ||= "PEN";
+          const n = Number(amount);
+          if (amount === "" || amount == null || !Number.isFinite(n)) return String(amount ?? "");
+          try {
+            return new Intl.NumberFormat(locale, { style: "currency", currency }).format(n);
+          } catch {
+            return `${currency} ${amount}`;
+          }
+        },
+      });
+    }
+    return translators.get(locale);
+  };
+
+  return {
+    defaultLocale,
+    translator,
+    // Traductor de una petición: preferencia del usuario o Accept-Language
+    forRequest: (req) =>
+      translator(isLocale(req.user?.locale) ? req.user.locale : negotiateLocale(req.headers["accept-language"], defaultLocale)),
+  };
+}
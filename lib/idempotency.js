@@ -0,0 +1,127 @@
+import crypto from "crypto";
+
+// Idempotency-Key en las subidas (web, API y lotes): repetir una petición con
+// la misma clave devuelve el resultado de la primera en vez de crear otro token.
+//
+// Cada clave queda registrada (metadataStore con key "id") como:
+//   { id, fingerprint, status: "pending" | "done", result, createdAt, expiresAt }
+// id = SHA-256 de "<cuenta>\n<clave>": cada usuario o API key tiene sus propias claves.
+// fingerprint resume la petición (ruta, campos y huellas de los archivos): la
+// misma clave con otro contenido es un error (422), no una repetición.
+// Mientras la primera petición sigue en curso las repeticiones reciben 409; si
+// falla, el registro se borra y la misma clave se puede volver a intentar.
+
+export class IdempotencyError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sha256hex = (text) => crypto.createHash("sha256").update(text, "utf8").digest("hex");
+
+// Clave del encabezado o del formulario; null si no viene. Lanza si no es válida.
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+export function parseIdempotencyKey(raw) {
+  const key = String(raw ?? "").trim();
+  if (!key) return null;
+  if (!KEY_RE.test(key)) {
+    throw new IdempotencyError(400, "invalid_idempotency_key", "Idempotency-Key inválida: de 1 a 255 caracteres ASCII visibles.");
+  }
+  return key;
+}
+
+// Campos que no forman parte de la petición en sí
+const IGNORED_FIELDS = new Set(["_csrf", "idempotencyKey"]);
+
+/**
+ * Huella de una petición para comparar repeticiones.
+ * @param {object} req
+ * @param {string} req.route  ruta (la misma clave en otra ruta es otra petición)
+ * @param {object} [req.body] campos del formulario
+ * @param {Array<[string, string]>} [req.files] [campo, sha256] de cada archivo
+ */
+export function requestFingerprint({ route, body = {}, files = [] }) {
+  const fields = Object.keys(body)
+    .filter((k) => !IGNORED_FIELDS.has(k))
+    .sort()
+    .map((k) => [k, body[k]]);
+  return sha256hex(JSON.stringify({ route, fields, files }));
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store     metadataStore de los registros
+ * @param {number} opts.ttlMs     cuánto se recuerda cada clave
+ * @param {number} [opts.pendingMs] tras este tiempo una petición "pending" se da
+ *   por abandonada (el proceso se cortó a la mitad) y la clave se puede reusar
+ */
+export function createIdempotency({ store, ttlMs, pendingMs = 15 * 60 * 1000 }) {
+  // Claves en curso en este proceso: la comprobación y el alta no son atómicas en el store
+  const inFlight = new Set();
+
+  /**
+   * Ejecuta `execute` una sola vez por clave. Devuelve { value, replayed }.
+   * @param {object} opts
+   * @param {string} opts.scope        cuenta que hace la petición
+   * @param {string|null} opts.key     Idempotency-Key (null: se ejecuta sin registro)
+   * @param {string} opts.fingerprint  ver requestFingerprint
+   * @param {() => Promise<any>} opts.execute
+   * @param {(value) => object} opts.save          lo que se guarda del resultado (JSON)
+   * @param {(saved) => Promise<any>} opts.restore resultado a partir de lo guardado;
+   *   null si ya no existe (p. ej. el documento se borró) y hay que ejecutar de nuevo
+   */
+  async function run({ scope, key, fingerprint, execute, save, restore }) {
+    if (!key) return { value: await execute(), replayed: false };
+    const id = sha256hex(`${scope}\n${key}`);
+    if (inFlight.has(id)) throw inProgress();
+    inFlight.add(id);
+    try {
+      const now = Date.now();
+      const record = await store.get(id);
+      if (record && Date.parse(record.expiresAt) > now) {
+        if (record.fingerprint !== fingerprint) {
+          throw new IdempotencyError(422, "idempotency_key_reused", "Esta Idempotency-Key ya se usó con otra petición.");
+        }
+        if (record.status === "done") {
+          const value = await restore(record.result);
+          if (value) return { value, replayed: true };
+        } else if (now - Date.parse(record.createdAt) < pendingMs) {
+          throw inProgress();
+        }
+      }
+      await store.put({
+        id,
+        fingerprint,
+        status: "pending",
+        result: null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString(),
+      });
+      let value;
+      try {
+        value = await execute();
+      } catch (e) {
+        await store.delete(id).catch(() => {});
+        throw e;
+      }
+      await store.update(id, { status: "done", result: save(value), completedAt: new Date().toISOString() });
+      return { value, replayed: false };
+    } finally {
+      inFlight.delete(id);
+    }
+  }
+
+  // Borra los registros vencidos; devuelve cuántos
+  async function prune(now = Date.now()) {
+    const expired = await store.list({ filter: (r) => !(Date.parse(r.expiresAt) > now) });
+    for (const r of expired) await store.delete(r.id);
+    return expired.length;
+  }
+
+  return { run, prune };
+}
+
+const inProgress = () =>
+  new IdempotencyError(409, "idempotency_in_progress", "Hay una petición con esta Idempotency-Key en curso; reintenta en unos segundos.");
@@ -0,0 +1,43 @@
+import crypto from "crypto";
+
+// Huella SHA-256 de los PDFs y detección de subidas repetidas.
+//
+// Campos en la entrada del token:
+//   sha256         huella del PDF subido (también en la metadata "sha256" del objeto S3)
+//   stampedSha256  huella de la copia con el QR estampado, si existe
+// Las entradas anteriores a este cambio no tienen huella.
+
+export const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// Qué hacer si ya hay un documento activo con los mismos bytes:
+//   ask   rechazar y avisar (por defecto), reuse devolver el existente, new crear otro token
+export const DUPLICATE_MODES = ["ask", "reuse", "new"];
+
+export class DuplicateError extends Error {
+  constructor(entry) {
+    super("Ya existe un documento activo con el mismo contenido.");
+    this.status = 409;
+    this.code = "duplicate";
+    this.entry = entry;
+    this.details = { token: entry.token, createdAt: entry.createdAt, sha256: entry.sha256 };
+  }
+}
+
+// Modo de duplicados del formulario/API (campo "duplicate"). Devuelve { duplicate } o { errors }.
+export function parseDuplicateMode(body = {}) {
+  const duplicate = String(body.duplicate ?? "").trim().toLowerCase() || "ask";
+  if (!DUPLICATE_MODES.includes(duplicate)) {
+    return { errors: { duplicate: `Opción de duplicados inválida (${DUPLICATE_MODES.join(", ")}).` } };
+  }
+  return { duplicate };
+}
+
+/**
+ * Compara la huella de un archivo con la registrada en la entrada.
+ * Devuelve "original", "stamped" (coincide con la copia estampada) o null.
+ */
+export function matchOf(entry, hash) {
+  if (entry.sha256 && entry.sha256 === hash) return "original";
+  if (entry.stampedSha256 && entry.stampedSha256 === hash) return "stamped";
+  return null;
+}
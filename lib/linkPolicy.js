@@ -0,0 +1,219 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+// Políticas de acceso por documento: vencimiento propio (o sin vencimiento),
+// máximo de vistas, contraseña opcional y revocación.
+//
+// Campos en la entrada del token:
+//   expiresAt     ISO o null (sin vencimiento)
+//   maxViews      número o null (sin límite); views cuenta las vistas del PDF
+//   passwordHash  "scrypt$<sal>$<hash>" o null
+//   revokedAt     ISO o null; replacedBy = token nuevo si se reemitió
+//   deletedAt     ISO o null; el documento está en la papelera (deleteReason:
+//                 deleted | expired, deletedBy: usuario)
+
+const scrypt = promisify(crypto.scrypt);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_TTL_DAYS = 3650;
+export const MAX_VIEWS_LIMIT = 100000;
+export const PASSWORD_MIN_LENGTH = 4;
+
+/**
+ * Estado del enlace: active | deleted | revoked | expired | exhausted.
+ * La papelera tiene prioridad; luego la revocación, el vencimiento y el límite de vistas.
+ */
+export function linkStatus(entry, now = Date.now()) {
+  if (entry?.deletedAt) return "deleted";
+  if (entry?.revokedAt) return "revoked";
+  const exp = Date.parse(entry?.expiresAt || "");
+  if (Number.isFinite(exp) && now > exp) return "expired";
+  if (entry?.maxViews && (entry.views || 0) >= entry.maxViews) return "exhausted";
+  return "active";
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 32);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const actual = await scrypt(String(password ?? ""), Buffer.from(salt, "base64url"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const isChecked = (v) => ["1", "true", "on", "yes", "si", "sí"].includes(String(v ?? "").trim().toLowerCase());
+const clean = (v) => (v == null ? "" : String(v).trim());
+
+const parseInteger = (raw, min, max) => {
+  if (!/^\d+$/.test(raw)) return null;
+  const n = Number(raw);
+  return n >= min && n <= max ? n : null;
+};
+
+// Fecha AAAA-MM-DD (fin del día en hora de Lima) o ISO completo
+const parseDate = (raw) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return Date.parse(`${raw}T23:59:59-05:00`);
+  return /^\d{4}-\d{2}-\d{2}T/.test(raw) ? Date.parse(raw) : NaN;
+};
+
+/**
+ * Política del enlace al subir: ttlDays (0 = sin vencimiento), noExpiry,
+ * maxViews y password. Los campos vacíos toman los valores por defecto.
+ * Devuelve { link: { expiresAt, maxViews, password } } o { errors }.
+ * La contraseña se devuelve en claro para que el llamador la convierta
+ * con hashPassword(); nunca debe guardarse así.
+ */
+export function parseLinkPolicy(body = {}, { defaultTtlDays = 365, now = Date.now() } = {}) {
+  const errors = {};
+  let ttlDays = defaultTtlDays;
+  const rawTtl = clean(body.ttlDays);
+  if (isChecked(body.noExpiry)) {
+    ttlDays = 0;
+  } else if (rawTtl) {
+    ttlDays = parseInteger(rawTtl, 0, MAX_TTL_DAYS);
+    if (ttlDays === null) errors.ttlDays = `Vigencia inválida (0 a ${MAX_TTL_DAYS} días; 0 = sin vencimiento).`;
+  }
+
+  let maxViews = null;
+  const rawViews = clean(body.maxViews);
+  if (rawViews && rawViews !== "0") {
+    maxViews = parseInteger(rawViews, 1, MAX_VIEWS_LIMIT);
+    if (maxViews === null) errors.maxViews = `Máximo de vistas inválido (1 a ${MAX_VIEWS_LIMIT}).`;
+  }
+
+  const password = body.password == null ? "" : String(body.password);
+  if (password && password.length < PASSWORD_MIN_LENGTH) {
+    errors.password = `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres.`;
+  }
+
+  if (Object.keys(errors).length) return { errors };
+  return {
+    link: {
+      expiresAt: ttlDays > 0 ? new Date(now + ttlDays * DAY_MS).toISOString() : null,
+      maxViews,
+      password: password || null,
+    },
+  };
+}
+
+/**
+ * Cambios de política sobre una entrada existente:
+ *  extendDays   suma días al vencimiento actual (o a hoy si ya venció)
+ *  expiresAt    nueva fecha de vencimiento (AAAA-MM-DD o ISO)
+ *  noExpiry     quita el vencimiento
+ *  maxViews     nuevo máximo ("0" quita el límite); resetViews pone el contador en 0
+ *  password     nueva contraseña; removePassword la quita
+ * Devuelve { changes, password } o { errors }.
+ */
+export function parseLinkChanges(body = {}, entry = {}, { now = Date.now() } = {}) {
+  const errors = {};
+  const changes = {};
+
+  const rawExtend = clean(body.extendDays);
+  const rawDate = clean(body.expiresAt);
+  if (isChecked(body.noExpiry)) {
+    changes.expiresAt = null;
+  } else if (rawExtend) {
+    const days = parseInteger(rawExtend, 1, MAX_TTL_DAYS);
+    if (days === null) {
+      errors.extendDays = `Días a extender inválidos (1 a ${MAX_TTL_DAYS}).`;
+    } else if (!entry.expiresAt) {
+      errors.extendDays = "El enlace no tiene vencimiento.";
+    } else {
+      const current = Date.parse(entry.expiresAt);
+      changes.expiresAt = new Date(Math.max(now, current) + days * DAY_MS).toISOString();
+    }
+  } else if (rawDate) {
+    const at = parseDate(rawDate);
+    if (!Number.isFinite(at) || at <= now) errors.expiresAt = "La nueva fecha de vencimiento debe ser futura.";
+    else if (at > now + MAX_TTL_DAYS * DAY_MS) errors.expiresAt = `Vencimiento máximo: ${MAX_TTL_DAYS} días.`;
+    else changes.expiresAt = new Date(at).toISOString();
+  }
+
+  const rawViews = clean(body.maxViews);
+  if (rawViews === "0") {
+    changes.maxViews = null;
+  } else if (rawViews) {
+    const maxViews = parseInteger(rawViews, 1, MAX_VIEWS_LIMIT);
+    if (maxViews === null) errors.maxViews = `Máximo de vistas inválido (1 a ${MAX_VIEWS_LIMIT}).`;
+    else changes.maxViews = maxViews;
+  }
+  if (isChecked(body.resetViews)) changes.views = 0;
+
+  let password = null;
+  if (isChecked(body.removePassword)) {
+    changes.passwordHash = null;
+  } else if (body.password != null && String(body.password) !== "") {
+    password = String(body.password);
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      errors.password = `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres.`;
+    }
+  }
+
+  if (Object.keys(errors).length) return { errors };
+  return { changes, password };
+}
+
+/**
+ * Cookies de acceso para documentos con contraseña. El valor es un HMAC del
+ * token y del hash de la contraseña: cambiarla invalida los accesos previos.
+ */
+export function createAccessCookies({ secret, maxAgeSeconds = 12 * 60 * 60 }) {
+  const nameOf = (token) => `doc_${crypto.createHash("sha256").update(token).digest("hex").slice(0, 16)}`;
+  const valueOf = (entry) =>
+    crypto.createHmac("sha256", secret).update(`${entry.token}:${entry.passwordHash}`).digest("base64url");
+
+  const readCookie = (req, name) => {
+    for (const part of String(req.headers.cookie || "").split(";")) {
+      const i = part.indexOf("=");
+      if (i > 0 && part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+    }
+    return "";
+  };
+
+  return {
+    // true si el documento no tiene contraseña o ya se desbloqueó en este navegador
+    isUnlocked(req, entry) {
+      if (!entry.passwordHash) return true;
+      const presented = Buffer.from(readCookie(req, nameOf(entry.token)));
+      const expected = Buffer.from(valueOf(entry));
+      return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+    },
+    unlock(req, res, entry) {
+      const secure = req.secure ? "; Secure" : "";
+      res.append(
+        "Set-Cookie",
+        `${nameOf(entry.token)}=${valueOf(entry)}; Path=/; Max-Age=${maxAgeSeconds}; HttpOnly; SameSite=Lax${secure}`
+      );
+    },
+  };
+}
+
+/**
+ * Tickets de descarga de la página de /view/:token: la visita cuenta una vista
+ * y el visor obtiene el PDF con un ticket firmado de corta duración, así
+ * descargar o imprimir desde la misma página no consume vistas adicionales.
+ * Formato: "<vence en ms>.<HMAC(token.vence)>".
+ */
+export function createFileTickets({ secret, ttlSeconds = 30 * 60 }) {
+  const sign = (token, exp) => crypto.createHmac("sha256", secret).update(`ticket:${token}.${exp}`).digest("base64url");
+  return {
+    issue(token, now = Date.now()) {
+      const exp = now + ttlSeconds * 1000;
+      return `${exp}.${sign(token, exp)}`;
+    },
+    // true si el ticket es de este token y no venció
+    verify(token, ticket, now = Date.now()) {
+      const [exp, mac] = String(ticket || "").split(".");
+      if (!/^\d+$/.test(exp) || !mac || Number(exp) < now) return false;
+      const expected = Buffer.from(sign(token, exp));
+      const presented = Buffer.from(mac);
+      return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+    },
+  };
+}
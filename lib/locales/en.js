@@ -0,0 +1,583 @@
+// Catálogo de mensajes en inglés (mismas claves que es-PE.js)
+export default {
+  "common.noExpiry": "No expiry",
+  "common.yes": "Yes",
+  "common.no": "No",
+  "common.cancel": "Cancel",
+  "common.notFound": "Not found.",
+
+  "session.users": "Users",
+  "session.tenants": "Companies",
+  "session.account": "My account",
+  "session.allTenants": "All companies",
+  "session.logout": "Log out",
+  "role.viewer": "Viewer",
+  "role.uploader": "Uploader",
+  "role.admin": "Administrator",
+  "role.superadmin": "Super administrator",
+  "auth.loginRequired": "Log in to continue",
+  "auth.login": "Log in",
+  "auth.forbidden": "Your role ({role}) does not allow this action.",
+
+  "account.language": "Language",
+  "account.language.auto": "Browser default",
+  "account.language.save": "Save",
+
+  "login.username": "Username",
+  "login.password": "Password",
+  "login.failed": "Incorrect username or password.",
+  "account.role": "Role",
+  "account.password": "Change password",
+  "account.password.current": "Current",
+  "account.password.new": "New",
+  "account.password.note": "Changing it signs out your other open sessions.",
+  "account.password.wrong": "The current password is not correct.",
+  "account.password.short": "The new password must be at least 8 characters long.",
+  "account.language.invalid": "Language not available.",
+
+  "users.you": "you",
+  "users.allTenants": "All",
+  "users.active": "Active",
+  "users.disabled": "Disabled",
+  "users.newPassword": "New password",
+  "users.enable": "Enable",
+  "users.disable": "Disable",
+  "users.deleteConfirm": "Delete this user?",
+  "users.tenant": "Company",
+  "users.noTenant": "(superadministrator only)",
+  "users.empty": "No users",
+  "users.new": "New user",
+  "users.create": "Create",
+  "users.tenantRequired": "Choose the user's company.",
+  "users.exists": "The user already exists.",
+  "users.notFound": "User not found.",
+  "users.invalid.username": "Invalid username (3 to 64 characters: letters, digits, . _ @ -).",
+  "users.invalid.role": "Role not allowed.",
+  "users.invalid.password": "The password must be at least 8 characters long.",
+
+  "tenants.workWith": "Work with",
+  "tenants.switch": "Switch",
+  "tenants.name": "Business name",
+  "tenants.prefix": "Storage prefix",
+  "tenants.prefix.short": "Prefix",
+  "tenants.prefix.placeholder": "(default: prefix/RUC)",
+  "tenants.defaultPrefix": "(default)",
+  "tenants.ttl": "Default validity (days)",
+  "tenants.ttl.short": "Validity (days)",
+  "tenants.globalTtl": "(global)",
+  "tenants.logo": "QR logo (PNG)",
+  "tenants.logo.upload": "Upload",
+  "tenants.logo.remove": "Remove",
+  "tenants.logo.note": "The logo is used in QR codes requested with {param} (with high error correction).",
+  "tenants.logo.missing": "The logo file is missing.",
+  "tenants.logo.invalid": "The logo must be a readable PNG image of up to 512 KB.",
+  "tenants.empty": "No companies",
+  "tenants.note": "Changing the prefix only affects new documents. Validity 0 = no expiry; empty = TOKEN_TTL_DAYS.",
+  "tenants.new": "New company",
+  "tenants.exists": "A company with that RUC already exists.",
+  "tenants.notFound": "Company not found.",
+  "tenants.invalid.ruc": "Invalid RUC.",
+  "tenants.invalid.name": "The business name is missing.",
+  "tenants.invalid.s3Prefix": "Invalid prefix (letters, digits, . _ - and /).",
+  "tenants.invalid.defaultTtlDays": "Invalid default validity (0 to 3650 days; 0 = no expiry).",
+
+  "delete.action": "Delete",
+  "delete.confirm": "Move this PDF to the trash?",
+  "delete.confirmNamed": "Move {name} to the trash?",
+  "delete.title": "Move to the trash",
+  "delete.body": "{name} will be moved to the trash; it can be restored for {days} day(s).",
+
+  "status.active": "Active",
+  "status.deleted": "Deleted",
+  "status.expired": "Expired",
+  "status.revoked": "Revoked",
+  "status.exhausted": "No views left",
+
+  "sort.createdAt": "Uploaded",
+  "sort.originalName": "Name",
+  "sort.size": "Size",
+  "sort.expiresAt": "Expires",
+  "sort.views": "Views",
+
+  "invoiceType.01": "Invoice",
+  "invoiceType.03": "Sales receipt",
+  "invoiceType.07": "Credit note",
+  "invoiceType.08": "Debit note",
+  "idType.0": "No document / non-resident",
+  "idType.1": "DNI (national ID)",
+  "idType.4": "Foreigner ID card",
+  "idType.6": "RUC (tax ID)",
+  "idType.7": "Passport",
+  "idType.A": "Diplomatic ID",
+  "idType.B": "Country-of-residence ID",
+
+  "invoice.rucEmisor": "Issuer RUC",
+  "invoice.tipo": "Type",
+  "invoice.serie": "Series",
+  "invoice.numero": "Number",
+  "invoice.igv": "IGV (VAT)",
+  "invoice.total": "Total",
+  "invoice.fechaEmision": "Issue date",
+  "invoice.tipoDocAdquirente": "Buyer ID type",
+  "invoice.numDocAdquirente": "Buyer ID number",
+  "invoice.hash": "Hash (digest value)",
+
+  "qrMode.url": "Link only",
+  "qrMode.sunat": "SUNAT format",
+  "qrMode.combined": "SUNAT + link",
+  "stampPage.first": "First",
+  "stampPage.last": "Last",
+  "stampCorner.bottom-right": "Bottom right",
+  "stampCorner.bottom-left": "Bottom left",
+  "stampCorner.top-right": "Top right",
+  "stampCorner.top-left": "Top left",
+  "duplicate.ask": "Warn me",
+  "duplicate.reuse": "Use the existing document",
+  "duplicate.new": "Create a new one",
+
+  "home.title": "PDF QR generator",
+  "home.pdf": "Choose your PDF:",
+  "home.xml": "Signed UBL XML (optional):",
+  "home.cdr": "SUNAT CDR (ZIP, optional):",
+  "home.invoice": "Invoice data (SUNAT QR, optional)",
+  "home.qrMode": "QR content",
+  "home.qrMode.default": "Default ({mode})",
+  "home.stamp": "Stamp the QR on the PDF (optional)",
+  "home.stamp.enable": "Create a copy with the QR",
+  "home.stamp.page": "Page",
+  "home.stamp.corner": "Corner",
+  "home.stamp.size": "Size (mm)",
+  "home.stamp.caption": "\"Representación impresa\" caption",
+  "home.stamp.url": "Include the link",
+  "home.access": "Link access (optional)",
+  "home.access.ttlDays": "Valid for (days)",
+  "home.access.maxViews": "Maximum views",
+  "home.access.noLimit": "No limit",
+  "home.access.password": "Password",
+  "home.access.noPassword": "No password",
+  "home.duplicate": "If the PDF was already uploaded",
+  "home.submit": "Upload and generate QR",
+  "home.links.tokens": "Saved tokens",
+  "home.links.batch": "Batch upload",
+  "home.links.consulta": "Look up an invoice",
+  "home.links.verify": "Verify a PDF",
+
+  "upload.missingFile": "No file was uploaded.",
+  "upload.invalid": "Invalid invoice data",
+  "upload.blocked": "File blocked",
+  "upload.rejected": "The file could not be accepted",
+  "upload.stampFailed": "The QR could not be stamped",
+  "upload.backToForm": "Back to the form",
+  "upload.duplicate.title": "This PDF was already uploaded",
+  "upload.duplicate.body": "{name}, registered on {date}, has the same bytes and its link is still active.",
+  "upload.duplicate.hint": "To issue another token, upload it again choosing \"Create a new one\" under \"If the PDF was already uploaded\".",
+  "upload.done": "File uploaded successfully",
+  "upload.another": "Upload another PDF",
+  "upload.reused": "This PDF was already registered: the existing link is shown (the options of this upload were not applied).",
+  "upload.file": "File",
+  "upload.invoice": "Invoice",
+  "upload.expires": "Expires",
+  "upload.password": "The link asks for a password",
+  "upload.publicVerify": "Public verification",
+  "upload.url": "Document URL",
+  "upload.stamped": "The link shows the PDF with the stamped QR",
+  "upload.original": "View original",
+  "upload.qrPreview": "QR preview",
+  "upload.qrDownload": "Download QR (PNG)",
+  "upload.svgLogo": "SVG with logo",
+  "upload.xml": "Download XML",
+  "upload.cdr": "Download CDR",
+  "upload.delete": "Delete this PDF",
+  "upload.configure": "Configure the link",
+  "upload.manage": "Manage files",
+  "upload.email.title": "Send to customer",
+  "upload.email.to": "Customer email(s)",
+  "upload.email.message": "Note (optional)",
+  "upload.email.attachPdf": "Attach the PDF",
+  "upload.email.send": "Send link and QR",
+  "upload.email.disabled": "Email sending is not configured (SMTP_URL).",
+
+  "view.expired.title": "Link expired",
+  "view.expired.body": "This link expired on {date}.",
+  "view.revoked.title": "Link revoked",
+  "view.revoked.body": "The issuer revoked this link. Ask whoever sent you the document for a new one.",
+  "view.exhausted.title": "Link used up",
+  "view.exhausted.body": "This link reached the maximum of {max} allowed view(s).",
+  "view.deleted.title": "Document deleted",
+  "view.deleted.body": "The issuer deleted this document and it is no longer available. If you need it, ask whoever sent it to you.",
+  "view.uploadNew": "Upload a new PDF",
+  "view.password.title": "Protected document",
+  "view.password.body": "Enter the password to view the document.",
+  "view.password.submit": "View document",
+  "view.password.wrong": "Wrong password.",
+  "view.error.notFound": "Invalid token or PDF not found.",
+  "view.error.fileMissing": "The PDF file no longer exists.",
+  "view.error.attachmentMissing": "This document does not have that file.",
+  "view.invoiceTitle": "Electronic {type} {number}",
+  "view.document": "Document",
+  "view.issuerFallback": "Electronic document",
+  "view.total": "Total amount",
+  "view.buyer": "Buyer",
+  "view.validUntil": "Link valid until",
+  "view.views": "Views",
+  "view.viewsOf": "{views} of {max}",
+  "view.download": "Download PDF",
+  "view.print": "Print",
+  "view.original": "Original PDF",
+  "view.loading": "Loading document… If it does not show up,",
+  "view.loadFailed": "The document could not be shown on this page;",
+  "view.openHere": "open it here",
+  "view.verify": "Verify authenticity",
+  "view.ticketNotice": "This page expires in {minutes} minutes; reload it to keep viewing the document.",
+
+  "qr.notFound": "QR not found",
+  "view.logo.notFound": "No logo",
+  "qr.expired": "QR expired",
+  "qr.revoked": "QR revoked",
+  "qr.exhausted": "QR used up: the link reached its maximum views",
+  "qr.deleted": "QR of a deleted document",
+  "qr.password": "Password-protected QR",
+
+  "list.search": "Name, token, series-number, RUC…",
+  "list.allStatuses": "All statuses",
+  "list.uploadedFrom": "Uploaded from",
+  "list.uploadedTo": "to",
+  "list.size": "Size",
+  "list.sizeTo": "to",
+  "list.min": "min",
+  "list.max": "max",
+  "list.perPage": "{n} per page",
+  "list.searchButton": "Search",
+  "list.clear": "Clear",
+  "list.exportCsv": "Export CSV",
+  "list.total": "{n} document(s)",
+  "list.first": "First",
+  "list.prev": "Previous",
+  "list.next": "Next",
+  "list.links": "Links",
+  "list.viewPdf": "View PDF",
+  "list.viewQr": "View QR",
+
+  "tokens.title": "Saved tokens",
+  "tokens.manage": "Manage",
+  "tokens.file": "File",
+  "tokens.empty": "No matching tokens",
+
+  "manage.title": "Manage files",
+  "manage.notFound": "File not found or already deleted.",
+  "manage.notFoundOrReplaced": "File not found or token already replaced.",
+  "manage.accesses": "Accesses",
+  "manage.quarantine": "Quarantine",
+  "manage.reconcile": "Reconcile",
+  "manage.trash": "Trash",
+  "manage.purge": "Purge expired",
+  "manage.bulk.delete": "{n} document(s) moved to the trash.",
+  "manage.bulk.extend": "{n} document(s) extended.",
+  "manage.bulk.failed": "Some documents could not be extended",
+  "manage.bulk.invalid": "Invalid action.",
+  "manage.selected": "Selected",
+  "manage.extend": "Extend",
+  "manage.days": "days",
+  "manage.bulkDeleteConfirm": "Move the selected documents to the trash?",
+  "manage.status": "Status",
+  "manage.lastView": "Last view",
+  "manage.actions": "Actions",
+  "manage.detail": "Details",
+  "manage.never": "Never",
+  "manage.empty": "No matching files",
+  "manage.emails": "Emails",
+  "manage.emails.send": "Send",
+
+  "detail.document": "Document",
+  "detail.pdfInfo": "Version {version} · {pages} page(s)",
+  "detail.scanned": "scanned by the antivirus",
+  "detail.noHash": "Not recorded",
+  "detail.replacedBy": "Replaced by",
+  "detail.newToken": "new token",
+  "detail.replaces": "Replaces",
+  "detail.oldToken": "previous token",
+  "detail.policy": "Link expiry and views",
+  "detail.or": "or",
+  "detail.expiresOn": "expires on",
+  "detail.zeroNoLimit": "0 = no limit",
+  "detail.resetViews": "Reset counter",
+  "detail.save": "Save",
+  "detail.newPassword": "New password",
+  "detail.removePassword": "Remove password",
+  "detail.accesses.total": "{n} access(es)",
+  "detail.accesses.visitors": "{n} unique visitor(s)",
+  "detail.accesses.qrScans": "{n} from QR scans",
+  "detail.accesses.last": "Last",
+  "detail.accesses.export": "Export",
+  "detail.accesses.retention": "kept for {n} days",
+  "detail.accesses.date": "Date",
+  "detail.accesses.outcome": "Outcome",
+  "detail.accesses.source": "Source",
+  "detail.accesses.ip": "IP (hash)",
+  "detail.accesses.browser": "Browser",
+  "detail.accesses.empty": "No accesses recorded",
+  "detail.accesses.shown": "Showing the {n} most recent.",
+  "detail.emails": "Emails",
+  "detail.emails.to": "Recipient",
+  "detail.emails.date": "Date",
+  "detail.emails.attempts": "Attempts",
+  "detail.emails.detail": "Detail",
+  "detail.emails.retry": "Retry",
+  "detail.emails.empty": "No emails sent",
+  "detail.emails.notFound": "Email not found.",
+  "detail.emails.inactive": "The link is not active ({status}): it cannot be sent.",
+  "detail.revokeOrReissue": "Revoke or reissue",
+  "detail.revoke": "Revoke link",
+  "detail.revokeConfirm": "Revoke this link? The printed QR will stop working.",
+  "detail.reissue": "Reissue token and QR",
+  "detail.reissueConfirm": "Issue a new token? The current link and QR will be revoked.",
+
+  "accessOutcome.served": "Served",
+  "accessOutcome.expired": "Expired",
+  "accessOutcome.revoked": "Revoked",
+  "accessOutcome.exhausted": "No views left",
+  "accessOutcome.password_required": "Password requested",
+  "accessOutcome.not_found": "Not found",
+  "accessOutcome.missing_file": "Missing file",
+  "accessSource.qr": "QR scan",
+  "accessSource.consulta": "Public lookup",
+  "accessSource.email": "Email link",
+  "accessSource.referrer": "External link",
+  "accessSource.direct": "Direct",
+
+  "trash.intro": "Deleted or expired documents can be restored for {days} day(s); after that they are permanently deleted with their files. Meanwhile their link and QR answer \"document deleted\".",
+  "trash.by": "by {user}",
+  "trash.restore": "Restore",
+  "trash.purge": "Delete permanently",
+  "trash.purgeConfirm": "Permanently delete {name}? It cannot be recovered.",
+  "trash.purgeAt": "Deleted on",
+  "trash.empty": "The trash is empty",
+  "trash.done.restored": "Document restored.",
+  "trash.done.purged": "Document permanently deleted.",
+  "trash.notFound": "The document is not in the trash.",
+
+  "purge.expired": "{n} expired item(s) will be moved to the trash.",
+  "purge.due": "{n} item(s) in the trash will be permanently deleted (more than {days} day(s) there).",
+  "purge.logs": "Access and webhook delivery logs past retention will be trimmed.",
+  "purge.confirm": "Purge now?",
+  "purge.run": "Purge now",
+  "purge.done": "{removed} expired item(s) moved to the trash and {purged} permanently deleted from the trash.",
+  "purge.doneLogs": "{accesses} access(es) and {deliveries} webhook delivery(ies) past retention removed.",
+
+  "reindex.title": "Reindex storage",
+  "reindex.created": "Tokens to create for PDFs without a token: {n}",
+  "reindex.qrCreated": "QRs to create: {n}",
+  "reindex.assigned": "Tokens to assign to their company: {n}",
+  "reindex.run": "Reindex",
+  "reindex.done": "Reindex finished",
+  "reindex.doneCreated": "Tokens created: {n}",
+  "reindex.doneQr": "QRs created: {n}",
+  "reindex.doneAssigned": "Assigned to their company: {n}",
+
+  "reconcile.title": "Storage reconciliation",
+  "reconcile.uploaded": "Uploaded",
+  "reconcile.fix": "Fix",
+  "reconcile.object": "Object",
+  "reconcile.result": "Result",
+  "reconcile.applied": "{ok} fix(es) applied, {failed} skipped or failed.",
+  "reconcile.skipped": "skipped",
+  "reconcile.scanned": "Checked: {entries} token(s) in the log, {backups} backup(s) and {objects} file(s).",
+  "reconcile.issues": "{n} issue(s).",
+  "reconcile.dryRun": "Nothing changes until you apply.",
+  "reconcile.clean": "No issues.",
+  "reconcile.confirm": "Apply the selected fixes?",
+  "reconcile.apply": "Apply selected",
+  "reconcile.kind.missing_pdf": "Token whose PDF no longer exists",
+  "reconcile.kind.missing_qr": "Token without its QR",
+  "reconcile.kind.missing_stamped": "Token without its QR-stamped copy",
+  "reconcile.kind.missing_attachment": "Token with a missing XML or CDR",
+  "reconcile.kind.orphan_pdf": "PDF without a token",
+  "reconcile.kind.orphan_qr": "QR whose PDF no longer exists",
+  "reconcile.kind.orphan_file": "Derived file without a token (stamped copy, XML, CDR or old QR)",
+  "reconcile.kind.backup_only": "tokens/*.json backup not in the local log",
+  "reconcile.kind.log_only": "Local log token without a backup in storage",
+  "reconcile.kind.mismatch": "Local log and backup differ",
+  "reconcile.fix.missing_pdf.delete_entry": "Delete the token and its remaining files",
+  "reconcile.fix.missing_qr.regenerate_qr": "Regenerate the QR",
+  "reconcile.fix.missing_stamped.regenerate_stamped": "Stamp again from the original",
+  "reconcile.fix.missing_attachment.unlink": "Remove the file reference",
+  "reconcile.fix.orphan_pdf.restore_entry": "Create the token (keeps the upload date and its expiry)",
+  "reconcile.fix.orphan_pdf.delete": "Delete the PDF",
+  "reconcile.fix.orphan_qr.delete": "Delete the QR",
+  "reconcile.fix.orphan_file.delete": "Delete the file",
+  "reconcile.fix.backup_only.restore_entry": "Restore into the local log",
+  "reconcile.fix.backup_only.delete_backup": "Delete the backup",
+  "reconcile.fix.log_only.write_backup": "Write the backup",
+  "reconcile.fix.mismatch.write_backup": "Keep the local log",
+  "reconcile.fix.mismatch.use_backup": "Keep the backup",
+
+  "quarantine.scanner": "Antivirus",
+  "quarantine.action.reject": "infected files: rejected",
+  "quarantine.action.quarantine": "infected files: kept here",
+  "quarantine.disabled": "not configured (SCANNER_URL)",
+  "quarantine.download": "Download",
+  "quarantine.deleteConfirm": "Permanently delete this file?",
+  "quarantine.signature": "Detection",
+  "quarantine.uploadedBy": "Uploaded by",
+  "quarantine.tenant": "Company",
+  "quarantine.empty": "No files in quarantine",
+  "quarantine.notFound": "Quarantined file not found.",
+  "quarantine.fileMissing": "The file no longer exists.",
+  "quarantine.warning": "The download is served as binary; open it only in an isolated environment.",
+
+  "webhooks.active": "Active",
+  "webhooks.paused": "Paused",
+  "webhooks.show": "Show",
+  "webhooks.deliveries": "Deliveries",
+  "webhooks.ping": "Test",
+  "webhooks.pause": "Pause",
+  "webhooks.activate": "Activate",
+  "webhooks.rotate": "Rotate secret",
+  "webhooks.rotateConfirm": "Rotate the secret? The receiver will have to use the new one.",
+  "webhooks.deleteConfirm": "Delete this webhook?",
+  "webhooks.log": "Delivery log",
+  "webhooks.events": "Events",
+  "webhooks.secret": "Secret",
+  "webhooks.empty": "No webhooks",
+  "webhooks.notFound": "Webhook not found.",
+  "webhooks.new": "New webhook",
+  "webhooks.description": "Description",
+  "webhooks.eventsHint": "Events (none = all):",
+  "webhooks.register": "Register",
+  "webhooks.signature": "Each delivery is a signed JSON POST:",
+  "webhooks.retries": "Failures are retried with exponential backoff (at most {n} attempts).",
+  "webhookEvent.document.uploaded": "Document uploaded",
+  "webhookEvent.document.viewed": "First view of the document",
+  "webhookEvent.document.expired": "Document expired (moved to the trash)",
+  "webhookEvent.document.deleted": "Document moved to the trash",
+  "webhookEvent.document.restored": "Document restored from the trash",
+  "deliveryStatus.pending": "Pending",
+  "deliveryStatus.delivered": "Delivered",
+  "deliveryStatus.failed": "Failed",
+  "deliveries.title": "Webhook deliveries",
+  "deliveries.all": "All",
+  "deliveries.redelivery": "redelivery",
+  "deliveries.created": "Created",
+  "deliveries.event": "Event",
+  "deliveries.attempts": "Attempts",
+  "deliveries.attemptsCount": "{n} attempt(s)",
+  "deliveries.lastResponse": "Last response",
+  "deliveries.nextAttempt": "Next attempt",
+  "deliveries.next": "next",
+  "deliveries.empty": "No deliveries",
+  "deliveries.delivery": "Delivery",
+  "deliveries.eventId": "Event id",
+  "deliveries.redeliveryOf": "Redelivery of",
+  "deliveries.original": "original delivery",
+  "deliveries.redeliver": "Redeliver",
+  "deliveries.duration": "Duration",
+  "deliveries.noAttempts": "No attempts yet",
+  "deliveries.body": "Body",
+  "deliveries.notFound": "Delivery not found.",
+
+  "batch.files": "PDFs or a ZIP with PDFs (max. {n} documents):",
+  "batch.stamp": "Stamp the QR on each PDF (first page, bottom right corner)",
+  "batch.duplicate": "Already uploaded PDFs",
+  "batch.duplicate.ask": "Mark them as errors",
+  "batch.submit": "Upload batch",
+  "batch.single": "Single upload",
+  "batch.result": "Batch result",
+  "batch.summary": "{ok} of {total} file(s) uploaded successfully",
+  "batch.failed": "{n} with errors",
+  "batch.sheet": "Download QR sheet (PDF)",
+  "batch.json": "JSON report",
+  "batch.another": "Upload another batch",
+  "batch.reused": "already registered",
+  "batch.viewExisting": "View existing",
+  "batch.linksOrError": "Links / error",
+  "batch.empty": "No files",
+  "batch.notFound": "Batch not found.",
+  "batch.invalid": "Invalid batch options",
+  "batch.backToForm": "Back to the batch form",
+  "batch.sheet.heading": "Batch {id} · {date}",
+  "batch.sheet.expires": "Expires: {date}",
+
+  "consulta.title": "Document lookup",
+  "consulta.intro": "Enter the details exactly as they appear on the printed document.",
+  "consulta.submit": "Look up",
+  "consulta.home": "Home",
+  "consulta.notFound": "No document was found with those details.",
+
+  "verify.title": "Document verification",
+  "verify.intro": "Upload the PDF you received to check whether it is identical to a registered one. The file is not stored.",
+  "verify.submit": "Verify",
+  "verify.registered": "Registered",
+  "verify.issuer": "Issuer",
+  "verify.link": "Link",
+  "verify.integrity": "Integrity",
+  "verify.integrity.intact": "The stored file matches the registered fingerprint",
+  "verify.integrity.altered": "The stored file does NOT match the registered fingerprint",
+  "verify.integrity.missing": "The file is no longer available",
+  "verify.stampedCopy": "QR-stamped copy",
+  "verify.match.original": "Matches the registered PDF",
+  "verify.match.stamped": "Matches the QR-stamped copy",
+  "verify.noMatch": "The uploaded PDF does not match this document",
+  "verify.noHash": "Document registered before fingerprints were stored: it cannot be verified.",
+  "verify.compare": "Compare a PDF",
+  "verify.another": "Verify another PDF",
+  "verify.missingFile": "No PDF was received.",
+  "verify.notFound": "This PDF does not match any registered document.",
+  "verify.documentNotFound": "Document not found.",
+
+  "emailStatus.pending": "Pending",
+  "emailStatus.sent": "Sent",
+  "emailStatus.failed": "Failed",
+
+  "email.document": "Document",
+  "email.documentLabel": "Document",
+  "email.subject": "Electronic document: {document}",
+  "email.subject.from": "{document} from {company}",
+  "email.greeting": "Hello,",
+  "email.intro": "Please find the following electronic document:",
+  "email.intro.from": "{company} has sent you the following electronic document:",
+  "email.expires": "Available until",
+  "email.button": "View document",
+  "email.qr": "You can also open it by scanning this QR code:",
+  "email.password": "The link asks for a password; request it from the sender of the document.",
+  "email.attached": "The PDF is attached to this email.",
+  "email.linkFallback": "If the button does not work, copy this link into your browser:",
+  "email.footer": "This is an automated message; please do not reply to this email.",
+
+  "error.title": "The request could not be completed",
+  "error.title.server": "Something went wrong",
+  "error.back": "Back",
+  "error.internal": "Internal server error. Reference code: {id}",
+  "error.storage": "File storage is unavailable right now. Please try again in a few seconds.",
+  "error.fileTooLarge": "The file exceeds the maximum allowed size ({mb} MB).",
+  "error.tooManyFiles": "Too many files were sent.",
+  "error.invalidUpload": "The submitted form is not valid.",
+  "error.invalidBody": "The request body is invalid or too large.",
+  "error.csrf": "The form expired or is not valid. Reload the page and try again.",
+  "api.error.disabled": "No API keys are configured (API_KEYS).",
+  "api.error.missingKey": "The API key is missing.",
+  "api.error.invalidKey": "Invalid API key.",
+  "api.error.expired": "The document has expired.",
+  "api.error.revoked": "The document link was revoked.",
+  "api.error.exhausted": "The link reached its maximum number of views.",
+  "api.error.deleted": "The document was deleted.",
+  "api.error.documentNotFound": "Document not found.",
+  "api.error.fileRequired": "The file is missing (field \"file\").",
+  "api.error.filesRequired": "At least one file is required (field \"files\").",
+  "api.error.invalidDocument": "Invalid invoice data.",
+  "api.error.invalidBatch": "Invalid batch options.",
+  "api.error.invalidPolicy": "Invalid link changes.",
+  "api.error.alreadyReissued": "The token was already replaced.",
+  "api.error.invalidEmail": "Invalid email data.",
+  "api.error.emailDisabled": "Email delivery is not configured (SMTP_URL).",
+  "api.error.attachmentNotFound": "The document does not have that file.",
+  "api.error.routeNotFound": "Route not found.",
+  "api.error.fileTooLarge": "The file exceeds the maximum allowed size.",
+
+  "rateLimit.title": "Please wait a moment",
+  "rateLimit.requests": "Too many requests.",
+  "rateLimit.password": "Too many attempts with a wrong password.",
+  "rateLimit.login": "Too many failed attempts.",
+  "rateLimit.apiKey": "Too many attempts with invalid API keys.",
+  "rateLimit.retrySeconds": "Try again in {n} second(s).",
+  "rateLimit.retryMinutes": "Try again in {n} minute(s).",
+};
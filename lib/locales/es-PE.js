@@ -0,0 +1,584 @@
+// Catálogo de mensajes en español (Perú). Es el idioma de referencia: toda
+// clave nueva se agrega primero aquí (ver lib/i18n.js).
+export default {
+  "common.noExpiry": "Sin vencimiento",
+  "common.yes": "Sí",
+  "common.no": "No",
+  "common.cancel": "Cancelar",
+  "common.notFound": "No encontrado.",
+
+  "session.users": "Usuarios",
+  "session.tenants": "Empresas",
+  "session.account": "Mi cuenta",
+  "session.allTenants": "Todas las empresas",
+  "session.logout": "Salir",
+  "role.viewer": "Consulta",
+  "role.uploader": "Carga de documentos",
+  "role.admin": "Administrador",
+  "role.superadmin": "Superadministrador",
+  "auth.loginRequired": "Inicia sesión para continuar",
+  "auth.login": "Ingresar",
+  "auth.forbidden": "Tu rol ({role}) no permite esta acción.",
+
+  "account.language": "Idioma",
+  "account.language.auto": "Según el navegador",
+  "account.language.save": "Guardar",
+
+  "login.username": "Usuario",
+  "login.password": "Contraseña",
+  "login.failed": "Usuario o contraseña incorrectos.",
+  "account.role": "Rol",
+  "account.password": "Cambiar contraseña",
+  "account.password.current": "Actual",
+  "account.password.new": "Nueva",
+  "account.password.note": "Al cambiarla se cierran las demás sesiones abiertas.",
+  "account.password.wrong": "La contraseña actual no es correcta.",
+  "account.password.short": "La contraseña nueva debe tener al menos 8 caracteres.",
+  "account.language.invalid": "Idioma no disponible.",
+
+  "users.you": "tú",
+  "users.allTenants": "Todas",
+  "users.active": "Activo",
+  "users.disabled": "Desactivado",
+  "users.newPassword": "Nueva contraseña",
+  "users.enable": "Activar",
+  "users.disable": "Desactivar",
+  "users.deleteConfirm": "¿Eliminar este usuario?",
+  "users.tenant": "Empresa",
+  "users.noTenant": "(solo superadministrador)",
+  "users.empty": "Sin usuarios",
+  "users.new": "Nuevo usuario",
+  "users.create": "Crear",
+  "users.tenantRequired": "Elige la empresa del usuario.",
+  "users.exists": "El usuario ya existe.",
+  "users.notFound": "Usuario no encontrado.",
+  "users.invalid.username": "Usuario inválido (3 a 64 caracteres: letras, números, . _ @ -).",
+  "users.invalid.role": "Rol no permitido.",
+  "users.invalid.password": "La contraseña debe tener al menos 8 caracteres.",
+
+  "tenants.workWith": "Trabajar con",
+  "tenants.switch": "Cambiar",
+  "tenants.name": "Razón social",
+  "tenants.prefix": "Prefijo de almacenamiento",
+  "tenants.prefix.short": "Prefijo",
+  "tenants.prefix.placeholder": "(por defecto: prefijo/RUC)",
+  "tenants.defaultPrefix": "(por defecto)",
+  "tenants.ttl": "Vigencia por defecto (días)",
+  "tenants.ttl.short": "Vigencia (días)",
+  "tenants.globalTtl": "(global)",
+  "tenants.logo": "Logo del QR (PNG)",
+  "tenants.logo.upload": "Subir",
+  "tenants.logo.remove": "Quitar",
+  "tenants.logo.note": "El logo se usa en los QR pedidos con {param} (con corrección de errores alta).",
+  "tenants.logo.missing": "Falta el archivo del logo.",
+  "tenants.logo.invalid": "El logo debe ser una imagen PNG legible de hasta 512 KB.",
+  "tenants.empty": "Sin empresas",
+  "tenants.note": "Cambiar el prefijo solo afecta a los documentos nuevos. Vigencia 0 = sin vencimiento; vacía = TOKEN_TTL_DAYS.",
+  "tenants.new": "Nueva empresa",
+  "tenants.exists": "Ya existe una empresa con ese RUC.",
+  "tenants.notFound": "Empresa no encontrada.",
+  "tenants.invalid.ruc": "RUC inválido.",
+  "tenants.invalid.name": "Falta la razón social.",
+  "tenants.invalid.s3Prefix": "Prefijo inválido (letras, números, . _ - y /).",
+  "tenants.invalid.defaultTtlDays": "Vigencia por defecto inválida (0 a 3650 días; 0 = sin vencimiento).",
+
+  "delete.action": "Eliminar",
+  "delete.confirm": "¿Enviar este PDF a la papelera?",
+  "delete.confirmNamed": "¿Enviar {name} a la papelera?",
+  "delete.title": "Enviar a la papelera",
+  "delete.body": "{name} se enviará a la papelera; se puede restaurar durante {days} día(s).",
+
+  "status.active": "Activo",
+  "status.deleted": "Eliminado",
+  "status.expired": "Vencido",
+  "status.revoked": "Revocado",
+  "status.exhausted": "Sin vistas disponibles",
+
+  "sort.createdAt": "Subido",
+  "sort.originalName": "Nombre",
+  "sort.size": "Tamaño",
+  "sort.expiresAt": "Vencimiento",
+  "sort.views": "Vistas",
+
+  "invoiceType.01": "Factura",
+  "invoiceType.03": "Boleta de venta",
+  "invoiceType.07": "Nota de crédito",
+  "invoiceType.08": "Nota de débito",
+  "idType.0": "Sin documento / no domiciliado",
+  "idType.1": "DNI",
+  "idType.4": "Carnet de extranjería",
+  "idType.6": "RUC",
+  "idType.7": "Pasaporte",
+  "idType.A": "Cédula diplomática",
+  "idType.B": "Documento de identidad del país de residencia",
+
+  "invoice.rucEmisor": "RUC emisor",
+  "invoice.tipo": "Tipo",
+  "invoice.serie": "Serie",
+  "invoice.numero": "Número",
+  "invoice.igv": "IGV",
+  "invoice.total": "Total",
+  "invoice.fechaEmision": "Fecha de emisión",
+  "invoice.tipoDocAdquirente": "Tipo doc. adquirente",
+  "invoice.numDocAdquirente": "Nº doc. adquirente",
+  "invoice.hash": "Hash (valor resumen)",
+
+  "qrMode.url": "Solo enlace",
+  "qrMode.sunat": "Formato SUNAT",
+  "qrMode.combined": "SUNAT + enlace",
+  "stampPage.first": "Primera",
+  "stampPage.last": "Última",
+  "stampCorner.bottom-right": "Inferior derecha",
+  "stampCorner.bottom-left": "Inferior izquierda",
+  "stampCorner.top-right": "Superior derecha",
+  "stampCorner.top-left": "Superior izquierda",
+  "duplicate.ask": "Avisarme",
+  "duplicate.reuse": "Usar el documento existente",
+  "duplicate.new": "Crear uno nuevo",
+
+  "home.title": "Generador de QR para PDFs",
+  "home.pdf": "Selecciona tu PDF:",
+  "home.xml": "XML UBL firmado (opcional):",
+  "home.cdr": "CDR de SUNAT (ZIP, opcional):",
+  "home.invoice": "Datos del comprobante (QR SUNAT, opcional)",
+  "home.qrMode": "Contenido del QR",
+  "home.qrMode.default": "Por defecto ({mode})",
+  "home.stamp": "Estampar el QR en el PDF (opcional)",
+  "home.stamp.enable": "Generar copia con QR",
+  "home.stamp.page": "Página",
+  "home.stamp.corner": "Esquina",
+  "home.stamp.size": "Tamaño (mm)",
+  "home.stamp.caption": "Leyenda \"Representación impresa\"",
+  "home.stamp.url": "Incluir el enlace",
+  "home.access": "Acceso al enlace (opcional)",
+  "home.access.ttlDays": "Vigencia (días)",
+  "home.access.maxViews": "Máximo de vistas",
+  "home.access.noLimit": "Sin límite",
+  "home.access.password": "Contraseña",
+  "home.access.noPassword": "Sin contraseña",
+  "home.duplicate": "Si el PDF ya fue subido",
+  "home.submit": "Subir y Generar QR",
+  "home.links.tokens": "Ver tokens guardados",
+  "home.links.batch": "Subida por lotes",
+  "home.links.consulta": "Consultar un comprobante",
+  "home.links.verify": "Verificar un PDF",
+
+  "upload.missingFile": "No se subió ningún archivo.",
+  "upload.invalid": "Datos del comprobante inválidos",
+  "upload.blocked": "Archivo bloqueado",
+  "upload.rejected": "No se pudo aceptar el archivo",
+  "upload.stampFailed": "No se pudo estampar el QR",
+  "upload.backToForm": "Volver al formulario",
+  "upload.duplicate.title": "Este PDF ya fue subido",
+  "upload.duplicate.body": "{name}, registrado el {date}, tiene los mismos bytes y su enlace sigue activo.",
+  "upload.duplicate.hint": "Para emitir otro token, vuelve a subirlo eligiendo \"Crear uno nuevo\" en \"Si el PDF ya fue subido\".",
+  "upload.done": "Archivo subido correctamente",
+  "upload.another": "Subir otro PDF",
+  "upload.reused": "Este PDF ya estaba registrado: se muestra el enlace existente (las opciones de esta subida no se aplicaron).",
+  "upload.file": "Archivo",
+  "upload.invoice": "Comprobante",
+  "upload.expires": "Vencimiento",
+  "upload.password": "El enlace pide contraseña",
+  "upload.publicVerify": "Verificación pública",
+  "upload.url": "URL del documento",
+  "upload.stamped": "El enlace muestra el PDF con el QR estampado",
+  "upload.original": "Ver original",
+  "upload.qrPreview": "Vista previa del QR",
+  "upload.qrDownload": "Descargar QR (PNG)",
+  "upload.svgLogo": "SVG con logo",
+  "upload.xml": "Descargar XML",
+  "upload.cdr": "Descargar CDR",
+  "upload.delete": "Eliminar este PDF",
+  "upload.configure": "Configurar el enlace",
+  "upload.manage": "Administrar archivos",
+  "upload.email.title": "Enviar al cliente",
+  "upload.email.to": "Correo(s) del cliente",
+  "upload.email.message": "Nota (opcional)",
+  "upload.email.attachPdf": "Adjuntar el PDF",
+  "upload.email.send": "Enviar enlace y QR",
+  "upload.email.disabled": "El envío por correo no está configurado (SMTP_URL).",
+
+  "view.expired.title": "Enlace vencido",
+  "view.expired.body": "Este enlace expiró el {date}.",
+  "view.revoked.title": "Enlace revocado",
+  "view.revoked.body": "El emisor revocó este enlace. Solicita uno nuevo a quien te envió el documento.",
+  "view.exhausted.title": "Enlace agotado",
+  "view.exhausted.body": "Este enlace alcanzó el máximo de {max} vista(s) permitidas.",
+  "view.deleted.title": "Documento eliminado",
+  "view.deleted.body": "El emisor eliminó este documento y ya no está disponible. Si lo necesitas, solicítalo a quien te lo envió.",
+  "view.uploadNew": "Subir un nuevo PDF",
+  "view.password.title": "Documento protegido",
+  "view.password.body": "Ingresa la contraseña para ver el documento.",
+  "view.password.submit": "Ver documento",
+  "view.password.wrong": "Contraseña incorrecta.",
+  "view.error.notFound": "Token inválido o PDF no encontrado.",
+  "view.error.fileMissing": "El archivo PDF ya no existe.",
+  "view.error.attachmentMissing": "Este documento no tiene ese archivo.",
+  "view.invoiceTitle": "{type} electrónica {number}",
+  "view.document": "Documento",
+  "view.issuerFallback": "Documento electrónico",
+  "view.total": "Importe total",
+  "view.buyer": "Adquirente",
+  "view.validUntil": "Enlace válido hasta",
+  "view.views": "Vistas",
+  "view.viewsOf": "{views} de {max}",
+  "view.download": "Descargar PDF",
+  "view.print": "Imprimir",
+  "view.original": "PDF original",
+  "view.loading": "Cargando documento… Si no se muestra,",
+  "view.loadFailed": "No se pudo mostrar el documento en esta página;",
+  "view.openHere": "ábrelo aquí",
+  "view.verify": "Verificar autenticidad",
+  "view.ticketNotice": "Esta página caduca en {minutes} minutos; recárgala para seguir viendo el documento.",
+
+  "qr.notFound": "QR no encontrado",
+  "view.logo.notFound": "Sin logo",
+  "qr.expired": "QR vencido",
+  "qr.revoked": "QR revocado",
+  "qr.exhausted": "QR agotado: el enlace alcanzó su máximo de vistas",
+  "qr.deleted": "QR de un documento eliminado",
+  "qr.password": "QR protegido con contraseña",
+
+  "list.search": "Nombre, token, serie-número, RUC…",
+  "list.allStatuses": "Todos los estados",
+  "list.uploadedFrom": "Subido del",
+  "list.uploadedTo": "al",
+  "list.size": "Tamaño",
+  "list.sizeTo": "a",
+  "list.min": "mín",
+  "list.max": "máx",
+  "list.perPage": "{n} por página",
+  "list.searchButton": "Buscar",
+  "list.clear": "Limpiar",
+  "list.exportCsv": "Exportar CSV",
+  "list.total": "{n} documento(s)",
+  "list.first": "Primera",
+  "list.prev": "Anterior",
+  "list.next": "Siguiente",
+  "list.links": "Enlaces",
+  "list.viewPdf": "Ver PDF",
+  "list.viewQr": "Ver QR",
+
+  "tokens.title": "Tokens guardados",
+  "tokens.manage": "Administrar",
+  "tokens.file": "Archivo",
+  "tokens.empty": "Sin tokens que coincidan",
+
+  "manage.title": "Administrar archivos",
+  "manage.notFound": "Archivo no encontrado o ya eliminado.",
+  "manage.notFoundOrReplaced": "Archivo no encontrado o token ya reemplazado.",
+  "manage.accesses": "Accesos",
+  "manage.quarantine": "Cuarentena",
+  "manage.reconcile": "Conciliar",
+  "manage.trash": "Papelera",
+  "manage.purge": "Purgar vencidos",
+  "manage.bulk.delete": "{n} documento(s) enviado(s) a la papelera.",
+  "manage.bulk.extend": "{n} documento(s) extendido(s).",
+  "manage.bulk.failed": "Algunos documentos no se pudieron extender",
+  "manage.bulk.invalid": "Acción inválida.",
+  "manage.selected": "Seleccionados",
+  "manage.extend": "Extender",
+  "manage.days": "días",
+  "manage.bulkDeleteConfirm": "¿Enviar los documentos seleccionados a la papelera?",
+  "manage.status": "Estado",
+  "manage.lastView": "Última vista",
+  "manage.actions": "Acciones",
+  "manage.detail": "Detalle",
+  "manage.never": "Nunca",
+  "manage.empty": "Sin archivos que coincidan",
+  "manage.emails": "Correos",
+  "manage.emails.send": "Enviar",
+
+  "detail.document": "Documento",
+  "detail.pdfInfo": "Versión {version} · {pages} página(s)",
+  "detail.scanned": "analizado por el antivirus",
+  "detail.noHash": "No registrada",
+  "detail.replacedBy": "Reemplazado por",
+  "detail.newToken": "token nuevo",
+  "detail.replaces": "Reemplaza a",
+  "detail.oldToken": "token anterior",
+  "detail.policy": "Vencimiento y vistas del enlace",
+  "detail.or": "o",
+  "detail.expiresOn": "vence el",
+  "detail.zeroNoLimit": "0 = sin límite",
+  "detail.resetViews": "Reiniciar contador",
+  "detail.save": "Guardar",
+  "detail.newPassword": "Nueva contraseña",
+  "detail.removePassword": "Quitar contraseña",
+  "detail.accesses.total": "{n} acceso(s)",
+  "detail.accesses.visitors": "{n} visitante(s) distinto(s)",
+  "detail.accesses.qrScans": "{n} por escaneo de QR",
+  "detail.accesses.last": "Último",
+  "detail.accesses.export": "Exportar",
+  "detail.accesses.retention": "se conservan {n} días",
+  "detail.accesses.date": "Fecha",
+  "detail.accesses.outcome": "Resultado",
+  "detail.accesses.source": "Origen",
+  "detail.accesses.ip": "IP (hash)",
+  "detail.accesses.browser": "Navegador",
+  "detail.accesses.empty": "Sin accesos registrados",
+  "detail.accesses.shown": "Se muestran los {n} más recientes.",
+  "detail.emails": "Envíos por correo",
+  "detail.emails.to": "Destinatario",
+  "detail.emails.date": "Fecha",
+  "detail.emails.attempts": "Intentos",
+  "detail.emails.detail": "Detalle",
+  "detail.emails.retry": "Reintentar",
+  "detail.emails.empty": "Sin envíos por correo",
+  "detail.emails.notFound": "Envío no encontrado.",
+  "detail.emails.inactive": "El enlace no está activo ({status}): no se puede enviar.",
+  "detail.revokeOrReissue": "Revocar o reemitir",
+  "detail.revoke": "Revocar enlace",
+  "detail.revokeConfirm": "¿Revocar este enlace? El QR impreso dejará de funcionar.",
+  "detail.reissue": "Reemitir token y QR",
+  "detail.reissueConfirm": "¿Emitir un token nuevo? El enlace y el QR actuales quedarán revocados.",
+
+  "accessOutcome.served": "Servido",
+  "accessOutcome.expired": "Vencido",
+  "accessOutcome.revoked": "Revocado",
+  "accessOutcome.exhausted": "Sin vistas",
+  "accessOutcome.password_required": "Pidió contraseña",
+  "accessOutcome.not_found": "No encontrado",
+  "accessOutcome.missing_file": "Archivo faltante",
+  "accessSource.qr": "Escaneo de QR",
+  "accessSource.consulta": "Consulta pública",
+  "accessSource.email": "Enlace del correo",
+  "accessSource.referrer": "Enlace externo",
+  "accessSource.direct": "Directo",
+
+  "trash.intro": "Los documentos eliminados o vencidos se pueden restaurar durante {days} día(s); luego se borran definitivamente con sus archivos. Mientras tanto su enlace y su QR responden \"documento eliminado\".",
+  "trash.by": "por {user}",
+  "trash.restore": "Restaurar",
+  "trash.purge": "Borrar definitivamente",
+  "trash.purgeConfirm": "¿Borrar definitivamente {name}? No se podrá recuperar.",
+  "trash.purgeAt": "Se borra el",
+  "trash.empty": "La papelera está vacía",
+  "trash.done.restored": "Documento restaurado.",
+  "trash.done.purged": "Documento borrado definitivamente.",
+  "trash.notFound": "El documento no está en la papelera.",
+
+  "purge.expired": "{n} elemento(s) vencido(s) se enviarán a la papelera.",
+  "purge.due": "{n} elemento(s) de la papelera se borrarán definitivamente (más de {days} día(s) en ella).",
+  "purge.logs": "Se recortarán los registros de accesos y de entregas de webhooks fuera de retención.",
+  "purge.confirm": "¿Purgar ahora?",
+  "purge.run": "Purgar ahora",
+  "purge.done": "{removed} elemento(s) vencido(s) enviado(s) a la papelera y {purged} borrado(s) definitivamente de la papelera.",
+  "purge.doneLogs": "{accesses} acceso(s) y {deliveries} entrega(s) de webhooks fuera de retención eliminados.",
+
+  "reindex.title": "Reindexar almacenamiento",
+  "reindex.created": "Tokens a crear para PDFs sin token: {n}",
+  "reindex.qrCreated": "QRs a crear: {n}",
+  "reindex.assigned": "Tokens a asignar a su empresa: {n}",
+  "reindex.run": "Reindexar",
+  "reindex.done": "Reindex listo",
+  "reindex.doneCreated": "Tokens creados: {n}",
+  "reindex.doneQr": "QRs creados: {n}",
+  "reindex.doneAssigned": "Asignados a su empresa: {n}",
+
+  "reconcile.title": "Conciliación del almacenamiento",
+  "reconcile.uploaded": "Subido",
+  "reconcile.fix": "Corrección",
+  "reconcile.object": "Objeto",
+  "reconcile.result": "Resultado",
+  "reconcile.applied": "{ok} corrección(es) aplicada(s), {failed} omitida(s) o con error.",
+  "reconcile.skipped": "omitida",
+  "reconcile.scanned": "Revisados: {entries} token(s) en el log, {backups} respaldo(s) y {objects} archivo(s).",
+  "reconcile.issues": "{n} inconsistencia(s).",
+  "reconcile.dryRun": "Nada se cambia hasta aplicar.",
+  "reconcile.clean": "Sin inconsistencias.",
+  "reconcile.confirm": "¿Aplicar las correcciones seleccionadas?",
+  "reconcile.apply": "Aplicar seleccionadas",
+  "reconcile.kind.missing_pdf": "Token cuyo PDF ya no existe",
+  "reconcile.kind.missing_qr": "Token sin su QR",
+  "reconcile.kind.missing_stamped": "Token sin su copia con QR estampado",
+  "reconcile.kind.missing_attachment": "Token con XML o CDR faltante",
+  "reconcile.kind.orphan_pdf": "PDF sin token",
+  "reconcile.kind.orphan_qr": "QR cuyo PDF ya no existe",
+  "reconcile.kind.orphan_file": "Archivo derivado sin token (copia estampada, XML, CDR o QR antiguo)",
+  "reconcile.kind.backup_only": "Respaldo tokens/*.json que no está en el log local",
+  "reconcile.kind.log_only": "Token del log local sin respaldo en el almacenamiento",
+  "reconcile.kind.mismatch": "Log local y respaldo no coinciden",
+  "reconcile.fix.missing_pdf.delete_entry": "Eliminar el token y sus archivos restantes",
+  "reconcile.fix.missing_qr.regenerate_qr": "Regenerar el QR",
+  "reconcile.fix.missing_stamped.regenerate_stamped": "Volver a estampar desde el original",
+  "reconcile.fix.missing_attachment.unlink": "Quitar la referencia al archivo",
+  "reconcile.fix.orphan_pdf.restore_entry": "Crear el token (conserva la fecha de subida y su vencimiento)",
+  "reconcile.fix.orphan_pdf.delete": "Eliminar el PDF",
+  "reconcile.fix.orphan_qr.delete": "Eliminar el QR",
+  "reconcile.fix.orphan_file.delete": "Eliminar el archivo",
+  "reconcile.fix.backup_only.restore_entry": "Restaurar en el log local",
+  "reconcile.fix.backup_only.delete_backup": "Eliminar el respaldo",
+  "reconcile.fix.log_only.write_backup": "Escribir el respaldo",
+  "reconcile.fix.mismatch.write_backup": "Conservar el log local",
+  "reconcile.fix.mismatch.use_backup": "Conservar el respaldo",
+
+  "quarantine.scanner": "Antivirus",
+  "quarantine.action.reject": "archivos infectados: se rechazan",
+  "quarantine.action.quarantine": "archivos infectados: se guardan aquí",
+  "quarantine.disabled": "no configurado (SCANNER_URL)",
+  "quarantine.download": "Descargar",
+  "quarantine.deleteConfirm": "¿Eliminar definitivamente este archivo?",
+  "quarantine.signature": "Detección",
+  "quarantine.uploadedBy": "Subido por",
+  "quarantine.tenant": "Empresa",
+  "quarantine.empty": "Sin archivos en cuarentena",
+  "quarantine.notFound": "Archivo en cuarentena no encontrado.",
+  "quarantine.fileMissing": "El archivo ya no existe.",
+  "quarantine.warning": "La descarga se entrega como binario; ábrela solo en un entorno aislado.",
+
+  "webhooks.active": "Activo",
+  "webhooks.paused": "Pausado",
+  "webhooks.show": "Ver",
+  "webhooks.deliveries": "Entregas",
+  "webhooks.ping": "Probar",
+  "webhooks.pause": "Pausar",
+  "webhooks.activate": "Activar",
+  "webhooks.rotate": "Rotar secreto",
+  "webhooks.rotateConfirm": "¿Rotar el secreto? El receptor deberá usar el nuevo.",
+  "webhooks.deleteConfirm": "¿Eliminar este webhook?",
+  "webhooks.log": "Registro de entregas",
+  "webhooks.events": "Eventos",
+  "webhooks.secret": "Secreto",
+  "webhooks.empty": "Sin webhooks",
+  "webhooks.notFound": "Webhook no encontrado.",
+  "webhooks.new": "Nuevo webhook",
+  "webhooks.description": "Descripción",
+  "webhooks.eventsHint": "Eventos (ninguno = todos):",
+  "webhooks.register": "Registrar",
+  "webhooks.signature": "Cada entrega es un POST JSON firmado:",
+  "webhooks.retries": "Los fallos se reintentan con espera exponencial ({n} intentos como máximo).",
+  "webhookEvent.document.uploaded": "Documento subido",
+  "webhookEvent.document.viewed": "Primera vista del documento",
+  "webhookEvent.document.expired": "Documento vencido (enviado a la papelera)",
+  "webhookEvent.document.deleted": "Documento enviado a la papelera",
+  "webhookEvent.document.restored": "Documento restaurado de la papelera",
+  "deliveryStatus.pending": "Pendiente",
+  "deliveryStatus.delivered": "Entregado",
+  "deliveryStatus.failed": "Fallido",
+  "deliveries.title": "Entregas de webhooks",
+  "deliveries.all": "Todas",
+  "deliveries.redelivery": "reenvío",
+  "deliveries.created": "Creada",
+  "deliveries.event": "Evento",
+  "deliveries.attempts": "Intentos",
+  "deliveries.attemptsCount": "{n} intento(s)",
+  "deliveries.lastResponse": "Última respuesta",
+  "deliveries.nextAttempt": "Próximo intento",
+  "deliveries.next": "próximo",
+  "deliveries.empty": "Sin entregas",
+  "deliveries.delivery": "Entrega",
+  "deliveries.eventId": "Id del evento",
+  "deliveries.redeliveryOf": "Reenvío de",
+  "deliveries.original": "entrega original",
+  "deliveries.redeliver": "Reenviar",
+  "deliveries.duration": "Duración",
+  "deliveries.noAttempts": "Aún sin intentos",
+  "deliveries.body": "Cuerpo",
+  "deliveries.notFound": "Entrega no encontrada.",
+
+  "batch.files": "PDFs o ZIP con PDFs (máx. {n} documentos):",
+  "batch.stamp": "Estampar el QR en cada PDF (primera página, esquina inferior derecha)",
+  "batch.duplicate": "PDFs ya subidos",
+  "batch.duplicate.ask": "Marcarlos como error",
+  "batch.submit": "Subir lote",
+  "batch.single": "Subida individual",
+  "batch.result": "Resultado del lote",
+  "batch.summary": "{ok} de {total} archivo(s) subidos correctamente",
+  "batch.failed": "{n} con error",
+  "batch.sheet": "Descargar hoja de QRs (PDF)",
+  "batch.json": "Reporte JSON",
+  "batch.another": "Subir otro lote",
+  "batch.reused": "ya registrado",
+  "batch.viewExisting": "Ver existente",
+  "batch.linksOrError": "Enlaces / error",
+  "batch.empty": "Sin archivos",
+  "batch.notFound": "Lote no encontrado.",
+  "batch.invalid": "Opciones del lote inválidas",
+  "batch.backToForm": "Volver al formulario del lote",
+  "batch.sheet.heading": "Lote {id} · {date}",
+  "batch.sheet.expires": "Vence: {date}",
+
+  "consulta.title": "Consulta de comprobante",
+  "consulta.intro": "Ingresa los datos tal como figuran en el comprobante impreso.",
+  "consulta.submit": "Consultar",
+  "consulta.home": "Inicio",
+  "consulta.notFound": "No se encontró un comprobante con esos datos.",
+
+  "verify.title": "Verificación del documento",
+  "verify.intro": "Sube el PDF que recibiste para comprobar si es idéntico a uno registrado. El archivo no se guarda.",
+  "verify.submit": "Verificar",
+  "verify.registered": "Registrado",
+  "verify.issuer": "Emisor",
+  "verify.link": "Enlace",
+  "verify.integrity": "Integridad",
+  "verify.integrity.intact": "El archivo guardado coincide con la huella registrada",
+  "verify.integrity.altered": "El archivo guardado NO coincide con la huella registrada",
+  "verify.integrity.missing": "El archivo ya no está disponible",
+  "verify.stampedCopy": "Copia con QR",
+  "verify.match.original": "Coincide con el PDF registrado",
+  "verify.match.stamped": "Coincide con la copia con QR estampado",
+  "verify.noMatch": "El PDF subido no coincide con este documento",
+  "verify.noHash": "Documento registrado antes de guardar huellas: no se puede verificar.",
+  "verify.compare": "Comparar un PDF",
+  "verify.another": "Verificar otro PDF",
+  "verify.missingFile": "No se recibió ningún PDF.",
+  "verify.notFound": "Este PDF no coincide con ningún documento registrado.",
+  "verify.documentNotFound": "Documento no encontrado.",
+
+  "emailStatus.pending": "Pendiente",
+  "emailStatus.sent": "Enviado",
+  "emailStatus.failed": "Fallido",
+
+  "email.document": "Documento",
+  "email.documentLabel": "Documento",
+  "email.subject": "Documento electrónico: {document}",
+  "email.subject.from": "{document} de {company}",
+  "email.greeting": "Hola:",
+  "email.intro": "Te enviamos el siguiente documento electrónico:",
+  "email.intro.from": "{company} te envía el siguiente documento electrónico:",
+  "email.expires": "Disponible hasta",
+  "email.button": "Ver documento",
+  "email.qr": "También puedes abrirlo escaneando este código QR:",
+  "email.password": "El enlace pide una contraseña; solicítala a quien te envió el documento.",
+  "email.attached": "El PDF va adjunto a este correo.",
+  "email.linkFallback": "Si el botón no funciona, copia este enlace en tu navegador:",
+  "email.footer": "Este es un mensaje automático; por favor, no respondas a este correo.",
+
+  "error.title": "No se pudo completar la solicitud",
+  "error.title.server": "Ocurrió un error",
+  "error.back": "Volver",
+  "error.internal": "Error interno del servidor. Código de referencia: {id}",
+  "error.storage": "El almacenamiento de archivos no está disponible en este momento. Inténtalo de nuevo en unos segundos.",
+  "error.fileTooLarge": "El archivo supera el tamaño máximo permitido ({mb} MB).",
+  "error.tooManyFiles": "Se enviaron demasiados archivos.",
+  "error.invalidUpload": "El formulario enviado no es válido.",
+  "error.invalidBody": "El contenido de la solicitud no es válido o es demasiado grande.",
+  "error.csrf": "El formulario expiró o no es válido. Vuelve a cargar la página e inténtalo de nuevo.",
+  "api.error.disabled": "No hay API keys configuradas (API_KEYS).",
+  "api.error.missingKey": "Falta la API key.",
+  "api.error.invalidKey": "API key inválida.",
+  "api.error.expired": "El documento venció.",
+  "api.error.revoked": "El enlace del documento fue revocado.",
+  "api.error.exhausted": "El enlace alcanzó su máximo de vistas.",
+  "api.error.deleted": "El documento fue eliminado.",
+  "api.error.documentNotFound": "Documento no encontrado.",
+  "api.error.fileRequired": "Falta el archivo (campo \"file\").",
+  "api.error.filesRequired": "Falta al menos un archivo (campo \"files\").",
+  "api.error.invalidDocument": "Datos del comprobante inválidos.",
+  "api.error.invalidBatch": "Opciones del lote inválidas.",
+  "api.error.invalidPolicy": "Cambios del enlace inválidos.",
+  "api.error.alreadyReissued": "El token ya fue reemplazado.",
+  "api.error.invalidEmail": "Datos del envío inválidos.",
+  "api.error.emailDisabled": "El envío por correo no está configurado (SMTP_URL).",
+  "api.error.attachmentNotFound": "El documento no tiene ese archivo.",
+  "api.error.routeNotFound": "Ruta no encontrada.",
+  "api.error.fileTooLarge": "El archivo supera el tamaño máximo permitido.",
+
+  "rateLimit.title": "Espera un momento",
+  "rateLimit.requests": "Demasiadas solicitudes.",
+  "rateLimit.password": "Demasiados intentos con contraseña incorrecta.",
+  "rateLimit.login": "Demasiados intentos fallidos.",
+  "rateLimit.apiKey": "Demasiados intentos con API keys inválidas.",
+  "rateLimit.retrySeconds": "Intenta nuevamente en {n} segundo(s).",
+  "rateLimit.retryMinutes": "Intenta nuevamente en {n} minuto(s).",
+};
@@ -0,0 +1,108 @@
+import crypto from "crypto";
+
+// Logs estructurados: una línea JSON por evento con la hora, el nivel, el
+// mensaje y los campos que se pasen ({ reqId, status, durationMs, err, ... }).
+//
+//   log.info("mensaje", { campo: valor })
+//   log.error("mensaje", { err })            los Error se serializan con su stack
+//   log.child({ reqId })                     mismos métodos con campos fijos
+//
+// Niveles: debug < info < warn < error (LOG_LEVEL elige el mínimo que se escribe).
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  ...(err.code !== undefined ? { code: err.code } : {}),
+  ...(err.status !== undefined ? { status: err.status } : {}),
+  stack: err.stack,
+});
+
+const toJson = (record) => {
+  try {
+    return JSON.stringify(record, (key, value) => (value instanceof Error ? serializeError(value) : value));
+  } catch {
+    // Referencias circulares u objetos raros: se pierde el detalle, no la línea
+    return JSON.stringify({ time: record.time, level: record.level, msg: record.msg, logError: "campos no serializables" });
+  }
+};
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.level]   nivel mínimo (debug, info, warn, error)
+ * @param {{ write: (s: string) => any }} [opts.stream]  destino (stdout por defecto)
+ * @param {object} [opts.fields]  campos que llevan todas las líneas
+ */
+export function createLogger({ level = "info", stream = process.stdout, fields = {} } = {}) {
+  if (!(level in LOG_LEVELS)) throw new Error(`LOG_LEVEL inválido: ${level} (${Object.keys(LOG_LEVELS).join(", ")}).`);
+  const min = LOG_LEVELS[level];
+  const write = (lvl, msg, extra) => {
+    if (LOG_LEVELS[lvl] < min) return;
+    stream.write(`${toJson({ time: new Date().toISOString(), level: lvl, msg, ...fields, ...extra })}\n`);
+  };
+  return {
+    level,
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+    child: (more) => createLogger({ level, stream, fields: { ...fields, ...more } }),
+  };
+}
+
+// X-Request-Id del cliente o del proxy si es razonable; si no, uno nuevo
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+const requestIdOf = (req) => {
+  const given = req.get("X-Request-Id");
+  return given && REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+};
+
+// Ruta sin query y con los tokens recortados: los enlaces de los documentos
+// (segmentos largos de letras, números, _ y -) no deben quedar completos en los logs
+export const redactPath = (url) =>
+  String(url)
+    .split("?")[0]
+    .replace(/[\w-]{32,}/g, (token) => `${token.slice(0, 6)}…`);
+
+/**
+ * Middleware de logs de peticiones: asigna req.id (devuelto en X-Request-Id),
+ * deja en req.log un logger con ese id y escribe una línea al terminar la
+ * respuesta (o si el cliente corta la conexión).
+ * @param {object} opts
+ * @param {object} opts.log
+ * @param {(req) => string} [opts.levelOf]  nivel de la línea (p. ej. debug para sondas)
+ * @param {(req, res, seconds: number, status: number) => object|void} [opts.onFinish]
+ *   se llama al terminar; los campos que devuelva se agregan a la línea
+ */
+export function requestLogger({ log, levelOf = () => "info", onFinish = () => {} }) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    req.id = requestIdOf(req);
+    req.startedAt = started;
+    req.log = log.child({ reqId: req.id });
+    res.setHeader("X-Request-Id", req.id);
+    let logged = false;
+    const done = () => {
+      if (logged) return;
+      logged = true;
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const status = res.writableFinished ? res.statusCode : 499; // 499: el cliente cerró antes
+      const extra = onFinish(req, res, seconds, status) || {};
+      const level = status >= 500 ? "error" : levelOf(req);
+      req.log[level]("request", {
+        method: req.method,
+        path: redactPath(req.originalUrl),
+        status,
+        durationMs: Math.round(seconds * 1000 * 10) / 10,
+        bytes: Number(res.getHeader("Content-Length")) || undefined,
+        ip: req.ip,
+        user: req.user?.username || (req.apiKey ? `api:${req.apiKey.name}` : undefined),
+        ...extra,
+      });
+    };
+    res.on("finish", done);
+    res.on("close", done);
+    next();
+  };
+}
@@ -0,0 +1,253 @@
+import crypto from "crypto";
+import path from "path";
+import { createMetadataStore } from "./metadataStore.js";
+import { buildMessage } from "./smtp.js";
+
+// Envío del enlace y el QR de un documento por correo al cliente.
+//
+// Cada envío (un destinatario) se registra en DATA_DIR/emails.log y pasa por
+// una cola con reintentos, igual que las entregas de webhooks: se reintenta con
+// espera creciente ante fallos de red o respuestas 4xx del servidor SMTP, y se
+// da por fallido tras `maxAttempts` o ante una respuesta 5xx (dirección
+// rechazada, mensaje demasiado grande...). El registro queda como historial
+// del documento (destinatario, fecha, estado).
+//
+// El mensaje se arma en cada intento con `compose(record)`, que lee el
+// documento y su QR del almacenamiento: la cola solo guarda los datos del envío.
+
+// Error al armar un correo; con permanent = true el envío no se reintenta
+export class MailError extends Error {
+  constructor(message, { permanent = false } = {}) {
+    super(message);
+    this.permanent = permanent;
+  }
+}
+
+export const EMAIL_MAX_RECIPIENTS = 5;
+const MESSAGE_MAX_LENGTH = 1000;
+const HISTORY_LIMIT = 10;
+
+// Dirección de correo razonable (sin nombre ni espacios; el servidor valida el resto)
+const EMAIL_RE = /^[^\s@<>()[\],;:"\\]+@[^\s@<>()[\],;:"\\]+\.[^\s@<>()[\],;:"\\]{2,}$/;
+export const isEmail = (value) => String(value).length <= 254 && EMAIL_RE.test(String(value));
+
+/**
+ * Valida un pedido de envío del formulario o la API. Devuelve { send } o { errors }.
+ * @param {object} body
+ * @param {string|string[]} body.to  destinatarios (lista o separados por comas)
+ * @param {string} [body.message]    nota para el cliente (texto plano)
+ * @param {*} [body.attachPdf]       adjuntar el PDF además del enlace
+ * @param {string} [body.locale]     idioma del correo
+ * @param {object} [opts]
+ * @param {(locale: string) => boolean} [opts.isLocale]
+ */
+export function parseEmailRequest(body = {}, { isLocale = () => false } = {}) {
+  const errors = {};
+  const to = Array.from(
+    new Set(
+      []
+        .concat(body.to ?? [])
+        .flatMap((v) => String(v).split(/[,;\s]+/))
+        .map((v) => v.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  );
+  if (!to.length) errors.to = "Indica al menos un correo.";
+  else if (to.length > EMAIL_MAX_RECIPIENTS) errors.to = `Máximo ${EMAIL_MAX_RECIPIENTS} destinatarios por envío.`;
+  else if (to.some((a) => !isEmail(a))) errors.to = `Correo inválido: ${to.filter((a) => !isEmail(a)).join(", ")}.`;
+  const message = String(body.message ?? "").trim();
+  if (message.length > MESSAGE_MAX_LENGTH) errors.message = `La nota no puede superar ${MESSAGE_MAX_LENGTH} caracteres.`;
+  const locale = body.locale ? String(body.locale) : null;
+  if (locale && !isLocale(locale)) errors.locale = `Idioma no soportado: ${locale}.`;
+  if (Object.keys(errors).length) return { errors };
+  const attach = body.attachPdf;
+  return {
+    send: {
+      to,
+      message: message || null,
+      attachPdf: attach === true || ["1", "true", "on"].includes(String(attach ?? "").toLowerCase()),
+      locale,
+    },
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir           carpeta del registro (DATA_DIR)
+ * @param {object} opts.transport     ver createSmtpTransport (lib/smtp.js)
+ * @param {string} opts.from          remitente (MAIL_FROM)
+ * @param {(record) => Promise<{ subject, text, html, attachments, replyTo? }>} opts.compose
+ *   arma el correo de un envío; lanza con permanent = true si ya no se puede enviar
+ * @param {(record, outcome: "sent"|"retry"|"failed", err?) => void} [opts.onResult]
+ *   resultado de cada intento (métricas, logs)
+ * @param {number} [opts.maxAttempts] intentos antes de marcar el envío como fallido
+ * @param {number} [opts.baseDelayMs] espera del primer reintento (luego se duplica)
+ * @param {number} [opts.maxDelayMs]  tope de espera entre reintentos
+ */
+export function createMailer({
+  dir,
+  transport,
+  from,
+  compose,
+  onResult = () => {},
+  maxAttempts = 6,
+  baseDelayMs = 60 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+}) {
+  const emails = createMetadataStore({
+    file: path.join(dir, "emails.log"),
+    key: "id",
+    indexes: { status: (e) => e.status, token: (e) => e.token },
+  });
+  let timer = null;
+  let running = null;
+
+  const backoff = (attempts) => Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+
+  // Un intento de envío y registro del resultado
+  async function attempt(record) {
+    const now = new Date();
+    let error = null;
+    let permanent = false;
+    let response = null;
+    let messageId = null;
+    try {
+      const mail = await compose(record);
+      const built = buildMessage({ from, to: [record.to], ...mail });
+      messageId = built.messageId;
+      ({ response } = await transport.send({ from, to: [record.to], raw: built.raw }));
+    } catch (e) {
+      error = String(e?.message || e).slice(0, 300);
+      permanent = Boolean(e?.permanent);
+    }
+
+    const attempts = record.attempts + 1;
+    const ok = !error;
+    const giveUp = !ok && (permanent || attempts >= maxAttempts);
+    const saved = await emails.update(record.id, (r) => ({
+      attempts,
+      status: ok ? "sent" : giveUp ? "failed" : "pending",
+      lastAttemptAt: now.toISOString(),
+      lastError: error,
+      sentAt: ok ? now.toISOString() : null,
+      messageId: ok ? messageId : null,
+      nextAttemptAt: ok || giveUp ? null : new Date(now.getTime() + backoff(attempts)).toISOString(),
+      history: [{ at: now.toISOString(), error, response }, ...(r.history || [])].slice(0, HISTORY_LIMIT),
+    }));
+    onResult(saved, ok ? "sent" : giveUp ? "failed" : "retry", error);
+    return saved;
+  }
+
+  // Procesa los envíos pendientes cuyo reintento ya toca (uno a la vez)
+  async function processDue() {
+    if (running) return running;
+    running = (async () => {
+      const now = new Date().toISOString();
+      const due = (await emails.findBy("status", "pending"))
+        .filter((e) => !e.nextAttemptAt || e.nextAttemptAt <= now)
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+      for (const e of due) {
+        try {
+          await attempt(e);
+        } catch (err) {
+          console.error(err);
+        }
+      }
+      return due.length;
+    })();
+    try {
+      return await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  const kick = () => {
+    processDue().catch((e) => console.error(e));
+  };
+
+  return {
+    enabled: transport.enabled,
+    load: () => emails.load(),
+    // Revisa la cola cada `intervalMs` (el timer no mantiene vivo el proceso)
+    start(intervalMs = 5000) {
+      if (timer || !transport.enabled) return;
+      timer = setInterval(kick, intervalMs);
+      timer.unref();
+      kick();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    processDue,
+
+    /**
+     * Encola un envío por destinatario y dispara la cola. Devuelve los registros.
+     * @param {object} entry  documento (token y empresa)
+     * @param {object} send   ver parseEmailRequest
+     * @param {object} meta
+     * @param {string} meta.viewUrl  enlace público del documento
+     * @param {string} meta.locale   idioma del correo si el pedido no trae uno
+     * @param {string|null} meta.by  quién lo pidió (usuario o api:<nombre>)
+     */
+    async enqueue(entry, { to, message, attachPdf, locale }, { viewUrl, locale: defaultLocale, by = null }) {
+      const createdAt = new Date().toISOString();
+      const records = [];
+      for (const address of to) {
+        records.push(
+          await emails.put({
+            id: crypto.randomUUID(),
+            token: entry.token,
+            tenant: entry.tenant ?? null,
+            to: address,
+            message,
+            attachPdf,
+            locale: locale || defaultLocale,
+            viewUrl,
+            requestedBy: by,
+            status: "pending",
+            attempts: 0,
+            nextAttemptAt: createdAt,
+            createdAt,
+            history: [],
+          })
+        );
+      }
+      kick();
+      return records;
+    },
+
+    // Historial de un documento, más recientes primero
+    async listForToken(token) {
+      const records = await emails.findBy("token", token);
+      return records.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    },
+    // Resumen por token para los listados: { [token]: { count, last } }
+    async summaries(tokens) {
+      const out = {};
+      for (const token of tokens) {
+        const records = await emails.findBy("token", token);
+        if (!records.length) continue;
+        const last = records.reduce((a, b) => (a.createdAt > b.createdAt ? a : b));
+        out[token] = { count: records.length, last };
+      }
+      return out;
+    },
+    get: (id) => emails.get(id),
+    // Reintento manual de un envío fallido (mismo registro, contador en cero)
+    async retry(id) {
+      const record = await emails.get(id);
+      if (!record || record.status !== "failed") return null;
+      const saved = await emails.update(id, { status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString() });
+      kick();
+      return saved;
+    },
+    // Borra el historial de un documento (borrado definitivo)
+    async removeForToken(token) {
+      const records = await emails.findBy("token", token);
+      for (const r of records) await emails.delete(r.id);
+      return records.length;
+    },
+  };
+}
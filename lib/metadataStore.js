@@ -0,0 +1,244 @@
+import fs from "fs";
+import path from "path";
+
+// Repositorio de metadatos de documentos sobre un log append-only (JSONL).
+// También sirve para otras colecciones (p. ej. webhooks) eligiendo otro campo
+// clave con `key`.
+//
+// Cada cambio agrega una línea al log:
+//   {"op":"put","entry":{...}}   alta o reemplazo de la entrada de un token
+//   {"op":"del","token":"..."}   baja (con el nombre del campo clave)
+// En memoria se mantiene el estado final y los índices, así que las lecturas
+// no tocan el disco. Las escrituras se serializan con una cola, de modo que
+// dos subidas simultáneas no se pisan. Cuando el log acumula demasiadas
+// líneas obsoletas se compacta (reescritura atómica: temporal + rename).
+//
+// Si otro proceso (p. ej. la CLI) agrega líneas o compacta el mismo archivo,
+// se detecta por tamaño/inode y se recargan los cambios antes de operar.
+
+const COMPACT_MIN_LINES = 500;
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file  ruta del log (p. ej. DATA_DIR/metadata.log)
+ * @param {string} [opts.key]  campo que identifica cada entrada (por defecto "token")
+ * @param {Record<string, (entry) => string|null|undefined>} [opts.indexes]
+ *   índices secundarios: nombre -> función que devuelve la clave de una entrada
+ */
+export function createMetadataStore({ file, key = "token", indexes = {} }) {
+  const byToken = new Map();
+  const idx = Object.fromEntries(Object.keys(indexes).map((name) => [name, new Map()]));
+  let lines = 0; // líneas en el log (vivas + obsoletas)
+  let corrupt = 0; // líneas que no se pudieron aplicar (JSON inválido u operación desconocida)
+  let offset = 0; // bytes del log ya aplicados
+  let inode = null;
+  let queue = Promise.resolve();
+
+  const indexAdd = (entry) => {
+    for (const [name, keyOf] of Object.entries(indexes)) {
+      const k = keyOf(entry);
+      if (k == null || k === "") continue;
+      if (!idx[name].has(k)) idx[name].set(k, new Set());
+      idx[name].get(k).add(entry[key]);
+    }
+  };
+  const indexRemove = (entry) => {
+    for (const [name, keyOf] of Object.entries(indexes)) {
+      const k = keyOf(entry);
+      const set = idx[name].get(k);
+      if (!set) continue;
+      set.delete(entry[key]);
+      if (!set.size) idx[name].delete(k);
+    }
+  };
+
+  // Devuelve false si el registro no es una operación válida
+  const apply = (rec) => {
+    if (rec?.op === "put" && rec.entry?.[key]) {
+      const prev = byToken.get(rec.entry[key]);
+      if (prev) indexRemove(prev);
+      byToken.set(rec.entry[key], rec.entry);
+      indexAdd(rec.entry);
+    } else if (rec?.op === "del" && rec[key]) {
+      const prev = byToken.get(rec[key]);
+      if (prev) indexRemove(prev);
+      byToken.delete(rec[key]);
+    } else {
+      return false;
+    }
+    return true;
+  };
+
+  // Aplica un bloque de texto del log. Una última línea incompleta (corte de
+  // luz a mitad de escritura) se ignora y se vuelve a leer en la próxima pasada.
+  const applyChunk = (text) => {
+    const complete = text.lastIndexOf("\n") + 1;
+    for (const line of text.slice(0, complete).split("\n")) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        if (!apply(JSON.parse(line))) corrupt++;
+      } catch {
+        // línea corrupta: se descarta (y se cuenta para check())
+        corrupt++;
+      }
+    }
+    return Buffer.byteLength(text.slice(0, complete), "utf8");
+  };
+
+  const reset = () => {
+    byToken.clear();
+    for (const m of Object.values(idx)) m.clear();
+    lines = 0;
+    corrupt = 0;
+    offset = 0;
+  };
+
+  // Sincroniza el estado en memoria con el archivo (cambios de otros procesos)
+  const refresh = async () => {
+    let st;
+    try {
+      st = await fs.promises.stat(file);
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      if (inode !== null) reset();
+      inode = null;
+      return;
+    }
+    if (st.ino !== inode || st.size < offset) {
+      reset();
+      inode = st.ino;
+    }
+    if (st.size === offset) return;
+    const fh = await fs.promises.open(file, "r");
+    try {
+      const buf = Buffer.alloc(st.size - offset);
+      await fh.read(buf, 0, buf.length, offset);
+      offset += applyChunk(buf.toString("utf8"));
+    } finally {
+      await fh.close();
+    }
+  };
+
+  const append = async (records) => {
+    const text = records.map((r) => JSON.stringify(r)).join("\n") + "\n";
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, text, "utf8");
+    // Releer desde el último offset aplica lo nuestro y lo que otro proceso
+    // haya agregado, en el orden real del archivo
+    await refresh();
+  };
+
+  const compactNow = async () => {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const body = Array.from(byToken.values())
+      .map((entry) => JSON.stringify({ op: "put", entry }))
+      .join("\n");
+    await fs.promises.writeFile(tmp, body ? `${body}\n` : "", "utf8");
+    await fs.promises.rename(tmp, file);
+    const st = await fs.promises.stat(file);
+    inode = st.ino;
+    offset = st.size;
+    lines = byToken.size;
+    corrupt = 0;
+  };
+
+  const maybeCompact = async () => {
+    if (lines > COMPACT_MIN_LINES && lines > byToken.size * 2) await compactNow();
+  };
+
+  // Serializa escrituras (y las lecturas que deben ver el último estado)
+  const exclusive = (fn) => {
+    const run = queue.then(async () => {
+      await refresh();
+      return fn();
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const clone = (e) => (e ? structuredClone(e) : null);
+  const sortByNewest = (a, b) => Date.parse(b.createdAt || 0) - Date.parse(a.createdAt || 0);
+
+  return {
+    file,
+    exists: () => fs.existsSync(file),
+    async load() {
+      await exclusive(maybeCompact);
+    },
+    async get(token) {
+      await exclusive(() => {});
+      return clone(byToken.get(token));
+    },
+    // Entradas cuyo índice `name` vale `key`
+    async findBy(name, value) {
+      await exclusive(() => {});
+      const tokens = idx[name]?.get(value);
+      return tokens ? Array.from(tokens, (t) => clone(byToken.get(t))) : [];
+    },
+    async findOneBy(name, value) {
+      return (await this.findBy(name, value))[0] || null;
+    },
+    // Todas las entradas (más recientes primero), con filtro opcional
+    async list({ filter, limit = Infinity, offset: skip = 0 } = {}) {
+      await exclusive(() => {});
+      let all = Array.from(byToken.values());
+      if (filter) all = all.filter(filter);
+      return all.sort(sortByNewest).slice(skip, skip + limit).map(clone);
+    },
+    async count() {
+      await exclusive(() => {});
+      return byToken.size;
+    },
+    // Alta o reemplazo completo
+    put(entry) {
+      return exclusive(async () => {
+        await append([{ op: "put", entry }]);
+        await maybeCompact();
+        return clone(entry);
+      });
+    },
+    // Mezcla `patch` (objeto o función entry -> patch) con la entrada actual
+    update(token, patch) {
+      return exclusive(async () => {
+        const current = byToken.get(token);
+        if (!current) return null;
+        const changes = typeof patch === "function" ? patch(clone(current)) : patch;
+        const entry = { ...current, ...changes, [key]: token };
+        await append([{ op: "put", entry }]);
+        await maybeCompact();
+        return clone(entry);
+      });
+    },
+    delete(token) {
+      return exclusive(async () => {
+        const current = byToken.get(token);
+        if (!current) return null;
+        await append([{ op: "del", [key]: token }]);
+        await maybeCompact();
+        return clone(current);
+      });
+    },
+    // Carga masiva (migración): un solo append
+    putMany(entries) {
+      return exclusive(async () => {
+        if (!entries.length) return 0;
+        await append(entries.map((entry) => ({ op: "put", entry })));
+        await maybeCompact();
+        return entries.length;
+      });
+    },
+    compact() {
+      return exclusive(compactNow);
+    },
+    // Estado del log para /readyz: relee lo pendiente y comprueba que se pueda
+    // escribir. Lanza si el archivo falta o no se puede leer/escribir.
+    // Devuelve { entries, lines, corrupt } (corrupt: líneas descartadas al cargar).
+    check() {
+      return exclusive(async () => {
+        await fs.promises.access(file, fs.constants.R_OK | fs.constants.W_OK);
+        return { entries: byToken.size, lines, corrupt };
+      });
+    },
+  };
+}
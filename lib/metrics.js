@@ -0,0 +1,111 @@
+// Métricas en el formato de texto de Prometheus (expuestas en /metrics), sin
+// dependencias: contadores, histogramas y gauges con etiquetas.
+//
+//   const uploads = registry.counter({ name, help, labels: ["outcome"] });
+//   uploads.inc({ outcome: "created" });
+//   const end = registry.histogram({ name, help, labels: ["outcome"] }).startTimer();
+//   end({ outcome: "served" });                 observa los segundos transcurridos
+//   registry.gauge({ name, help, collect: () => valor });
+//
+// Los valores viven en memoria del proceso: cada instancia expone los suyos y
+// Prometheus los suma. Las etiquetas deben tener pocos valores posibles (nunca
+// tokens ni nombres de archivo).
+
+// Segundos: de 5 ms a 30 s (subidas con antivirus y estampado pueden tardar)
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeHelp = (s) => String(s).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+const escapeLabel = (s) => escapeHelp(s).replace(/"/g, '\\"');
+const labelText = (pairs) =>
+  pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}` : "";
+const formatValue = (n) => (Number.isFinite(n) ? String(n) : n > 0 ? "+Inf" : n < 0 ? "-Inf" : "NaN");
+
+export function createRegistry() {
+  const metrics = new Map();
+
+  const register = (name, help, type, lines) => {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) throw new Error(`Nombre de métrica inválido: ${name}`);
+    if (metrics.has(name)) throw new Error(`Métrica duplicada: ${name}`);
+    metrics.set(name, { name, help, type, lines });
+  };
+
+  // Serie por combinación de etiquetas; las que falten quedan vacías
+  const seriesOf = (labels) => {
+    const series = new Map();
+    return {
+      get(values = {}, create) {
+        const pairs = labels.map((name) => [name, values[name] ?? ""]);
+        const key = JSON.stringify(pairs);
+        if (!series.has(key)) series.set(key, { pairs, ...create() });
+        return series.get(key);
+      },
+      all: () => Array.from(series.values()),
+    };
+  };
+
+  return {
+    counter({ name, help, labels = [] }) {
+      const series = seriesOf(labels);
+      register(name, help, "counter", () =>
+        series.all().map((s) => `${name}${labelText(s.pairs)} ${formatValue(s.value)}`)
+      );
+      return {
+        inc(values, by = 1) {
+          series.get(values, () => ({ value: 0 })).value += by;
+        },
+      };
+    },
+
+    histogram({ name, help, labels = [], buckets = DEFAULT_BUCKETS }) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = seriesOf(labels);
+      register(name, help, "histogram", () =>
+        series.all().flatMap((s) => [
+          ...bounds.map((le, i) => `${name}_bucket${labelText([...s.pairs, ["le", formatValue(le)]])} ${s.counts[i]}`),
+          `${name}_bucket${labelText([...s.pairs, ["le", "+Inf"]])} ${s.count}`,
+          `${name}_sum${labelText(s.pairs)} ${formatValue(s.sum)}`,
+          `${name}_count${labelText(s.pairs)} ${s.count}`,
+        ])
+      );
+      const observe = (values, seconds) => {
+        const s = series.get(values, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((le, i) => {
+          if (seconds <= le) s.counts[i]++;
+        });
+        s.sum += seconds;
+        s.count++;
+      };
+      return {
+        observe,
+        // Devuelve end(etiquetas) que observa el tiempo desde ahora; las
+        // etiquetas de end (p. ej. el resultado) se suman a las iniciales
+        startTimer(values = {}) {
+          const started = process.hrtime.bigint();
+          return (more = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            observe({ ...values, ...more }, seconds);
+            return seconds;
+          };
+        },
+      };
+    },
+
+    // Valor calculado al pedir /metrics: número o [{ labels, value }]
+    gauge({ name, help, labels = [], collect }) {
+      register(name, help, "gauge", () => {
+        const value = collect();
+        const samples = typeof value === "number" ? [{ labels: {}, value }] : value;
+        return samples.map((s) => `${name}${labelText(labels.map((l) => [l, s.labels?.[l] ?? ""]))} ${formatValue(s.value)}`);
+      });
+    },
+
+    render() {
+      const blocks = Array.from(metrics.values()).map((m) =>
+        [`# HELP ${m.name} ${escapeHelp(m.help)}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join("\n")
+      );
+      return `${blocks.join("\n")}\n`;
+    },
+  };
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
@@ -0,0 +1,87 @@
+import { PDFDocument, PDFName } from "pdf-lib";
+import { readHead, readTail, readUpload } from "./uploads.js";
+
+// Inspección del contenido de los PDFs subidos. El filtro de multer solo mira
+// el tipo y la extensión que declara el cliente; aquí se lee el archivo.
+// inspectPdfFile lo revisa desde el temporal: la firma y el %%EOF se leen sin
+// cargarlo entero y, si pasan, se analiza su estructura con pdf-lib (hasta
+// maxBytes en memoria).
+//
+// Errores (PdfError):
+//   413 too_large   supera el tamaño máximo que se analiza en memoria
+//   415 not_pdf     no empieza con la firma %PDF-
+//   422 corrupted   estructura ilegible o archivo truncado (sin %%EOF)
+//   422 encrypted   PDF cifrado (no se puede estampar ni verificar su contenido)
+//   422 no_pages    el documento no tiene páginas
+
+// La firma puede ir precedida de basura; los lectores la buscan en el primer KB
+const HEADER_WINDOW = 1024;
+const EOF_WINDOW = 2048;
+
+export class PdfError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Versión de la cabecera; valida la firma y el final del archivo
+function checkEnvelope(head, tail) {
+  const header = /%PDF-(\d\.\d)/.exec(head.toString("latin1"));
+  if (!header) throw new PdfError(415, "not_pdf", "El archivo no es un PDF.");
+  if (!tail.toString("latin1").includes("%%EOF")) {
+    throw new PdfError(422, "corrupted", "El PDF está incompleto o dañado.");
+  }
+  return header[1];
+}
+
+const encryptedError = () => new PdfError(422, "encrypted", "El PDF está cifrado; súbelo sin contraseña ni restricciones.");
+
+/**
+ * Valida un archivo recibido y devuelve { version, pages, buffer }; `buffer` es
+ * el contenido leído, para estamparlo sin volver a leer el temporal.
+ * @param {object} file  archivo recibido ({ path, size } o { buffer }, ver lib/uploads.js)
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes]  tamaño máximo que se carga en memoria
+ * @returns {Promise<{ version: string, pages: number, buffer: Buffer }>}
+ */
+export async function inspectPdfFile(file, { maxBytes = Infinity } = {}) {
+  checkEnvelope(await readHead(file, HEADER_WINDOW), await readTail(file, EOF_WINDOW));
+  if (file.size > maxBytes) {
+    const mb = Math.floor(maxBytes / (1024 * 1024));
+    throw new PdfError(413, "too_large", `El PDF supera el máximo de ${mb} MB que se puede validar.`);
+  }
+  const buffer = await readUpload(file);
+  return { ...(await inspectPdf(buffer)), buffer };
+}
+
+/**
+ * Valida el PDF (ya en memoria) y devuelve { version, pages }.
+ * @param {Buffer} buffer
+ * @returns {Promise<{ version: string, pages: number }>}
+ */
+export async function inspectPdf(buffer) {
+  const headerVersion = checkEnvelope(buffer.subarray(0, HEADER_WINDOW), buffer.subarray(-EOF_WINDOW));
+
+  let doc;
+  try {
+    doc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+  } catch {
+    throw new PdfError(422, "corrupted", "No se pudo leer la estructura del PDF.");
+  }
+  if (doc.isEncrypted) throw encryptedError();
+  let pages;
+  try {
+    pages = doc.getPageCount();
+  } catch {
+    throw new PdfError(422, "corrupted", "No se pudo leer el árbol de páginas del PDF.");
+  }
+  if (!pages) throw new PdfError(422, "no_pages", "El PDF no tiene páginas.");
+
+  // El catálogo puede declarar una versión más nueva que la cabecera (PDF 1.4+)
+  const declared = doc.catalog.get(PDFName.of("Version"));
+  const catalogVersion = /^\/(\d\.\d)$/.exec(declared instanceof PDFName ? declared.asString() : "")?.[1];
+  const version = catalogVersion && catalogVersion > headerVersion ? catalogVersion : headerVersion;
+  return { version, pages };
+}
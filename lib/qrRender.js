@@ -0,0 +1,247 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { PNG } from "pngjs";
+import { PDFDocument, rgb } from "pdf-lib";
+
+// Representaciones configurables del QR (PNG, SVG o PDF vectorial).
+//
+// Opciones (query de /qr/:token o de la API):
+//   format   png | svg | pdf           (svg y pdf son vectoriales; el SVG solo usa
+//                                        trazos y rellenos, apto para pasar a EPS)
+//   size     lado en píxeles (PNG/SVG) o en puntos (PDF)
+//   dpi + sizeMm  alternativa a size: lado físico en mm a la resolución indicada
+//   margin   zona tranquila en módulos
+//   ecl      corrección de errores L | M | Q | H
+//   fg, bg   colores en hexadecimal (RRGGBB)
+//   logo     1 = logo de la empresa al centro (fuerza ecl H)
+
+export const QR_FORMATS = {
+  png: { contentType: "image/png", ext: "png" },
+  svg: { contentType: "image/svg+xml", ext: "svg" },
+  pdf: { contentType: "application/pdf", ext: "pdf" },
+};
+export const QR_ECL = ["L", "M", "Q", "H"];
+export const QR_SIZE = { min: 64, max: 4096, default: 300 };
+export const QR_DPI = { min: 72, max: 1200 };
+export const QR_SIZE_MM = { min: 10, max: 500, default: 25 };
+export const QR_MARGIN = { min: 0, max: 16, default: 2 };
+export const QR_OPTION_FIELDS = ["format", "size", "dpi", "sizeMm", "margin", "ecl", "fg", "bg", "logo"];
+
+// Lado del logo respecto del QR: con corrección H se recupera hasta ~30% de
+// módulos dañados, el recuadro del logo tapa bastante menos
+const LOGO_RATIO = 0.22;
+const MM = 72 / 25.4;
+
+export class QrOptionsError extends Error {
+  constructor(errors) {
+    super(Object.values(errors).join(" "));
+    this.status = 422;
+    this.code = "invalid_qr_options";
+    this.details = { errors };
+  }
+}
+
+const isChecked = (v) => ["1", "true", "on", "yes", "si", "sí"].includes(String(v ?? "").trim().toLowerCase());
+const clean = (v) => (v == null ? "" : String(v).trim());
+
+const parseInteger = (raw, min, max) => {
+  if (!/^\d+$/.test(raw)) return null;
+  const n = Number(raw);
+  return n >= min && n <= max ? n : null;
+};
+
+const parseColor = (raw) => {
+  const hex = raw.replace(/^#/, "").toLowerCase();
+  return /^[0-9a-f]{6}$/.test(hex) ? hex : null;
+};
+
+// true si la petición pide algo distinto del PNG por defecto
+export const hasQrOptions = (query = {}) => QR_OPTION_FIELDS.some((f) => clean(query[f]) !== "");
+
+/**
+ * Valida las opciones del QR. Devuelve { options } o { errors }.
+ * options: { format, size, sizeMm, margin, ecl, fg, bg, logo }
+ */
+export function parseQrOptions(query = {}) {
+  const errors = {};
+  const format = clean(query.format).toLowerCase() || "png";
+  if (!QR_FORMATS[format]) errors.format = `Formato inválido (${Object.keys(QR_FORMATS).join(", ")}).`;
+
+  let size = QR_SIZE.default;
+  let sizeMm = null;
+  const rawDpi = clean(query.dpi);
+  const rawSize = clean(query.size);
+  if (rawDpi) {
+    const dpi = parseInteger(rawDpi, QR_DPI.min, QR_DPI.max);
+    const rawMm = clean(query.sizeMm);
+    sizeMm = rawMm ? Number(rawMm) : QR_SIZE_MM.default;
+    if (dpi === null) errors.dpi = `DPI inválido (${QR_DPI.min} a ${QR_DPI.max}).`;
+    if (!Number.isFinite(sizeMm) || sizeMm < QR_SIZE_MM.min || sizeMm > QR_SIZE_MM.max) {
+      errors.sizeMm = `Tamaño inválido (${QR_SIZE_MM.min} a ${QR_SIZE_MM.max} mm).`;
+    } else if (dpi !== null) {
+      size = Math.round((sizeMm / 25.4) * dpi);
+      if (size > QR_SIZE.max) errors.dpi = `El tamaño resultante supera ${QR_SIZE.max} px; baja los DPI o los mm.`;
+    }
+  } else if (rawSize) {
+    size = parseInteger(rawSize, QR_SIZE.min, QR_SIZE.max);
+    if (size === null) errors.size = `Tamaño inválido (${QR_SIZE.min} a ${QR_SIZE.max} px).`;
+  }
+
+  let margin = QR_MARGIN.default;
+  const rawMargin = clean(query.margin);
+  if (rawMargin) {
+    margin = parseInteger(rawMargin, QR_MARGIN.min, QR_MARGIN.max);
+    if (margin === null) errors.margin = `Margen inválido (${QR_MARGIN.min} a ${QR_MARGIN.max} módulos).`;
+  }
+
+  const logo = isChecked(query.logo);
+  let ecl = clean(query.ecl).toUpperCase() || "M";
+  if (!QR_ECL.includes(ecl)) errors.ecl = `Corrección de errores inválida (${QR_ECL.join(", ")}).`;
+  if (logo) ecl = "H";
+
+  const fg = clean(query.fg) ? parseColor(clean(query.fg)) : "000000";
+  const bg = clean(query.bg) ? parseColor(clean(query.bg)) : "ffffff";
+  if (!fg) errors.fg = "Color del QR inválido (hexadecimal RRGGBB).";
+  if (!bg) errors.bg = "Color de fondo inválido (hexadecimal RRGGBB).";
+  if (fg && bg && fg === bg) errors.fg = "El QR y el fondo no pueden tener el mismo color.";
+
+  if (Object.keys(errors).length) return { errors };
+  return { options: { format, size, sizeMm, margin, ecl, fg, bg, logo } };
+}
+
+// Comprueba que el logo sea un PNG legible. Lanza QrOptionsError si no.
+export function checkLogo(png) {
+  try {
+    const { width, height } = PNG.sync.read(png);
+    return { width, height };
+  } catch {
+    throw new QrOptionsError({ logo: "No se pudo leer el PNG del logo." });
+  }
+}
+
+// Identificador estable de una variante: mismas opciones, contenido y logo = mismo archivo
+export const qrVariantId = (text, options, logoKey = null) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ text, options, logoKey }))
+    .digest("hex")
+    .slice(0, 16);
+
+const hexToRgb = (hex) => rgb(...[0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255));
+
+// Caja centrada del logo en unidades de `total` (píxeles, módulos o puntos)
+const logoBox = (total) => {
+  const side = total * LOGO_RATIO;
+  const pad = side * 0.08;
+  return { x: (total - side) / 2, side, pad };
+};
+
+function renderPngWithLogo(qrBuffer, logoPng, bg) {
+  const qr = PNG.sync.read(qrBuffer);
+  const logo = PNG.sync.read(logoPng);
+  const { x, side, pad } = logoBox(qr.width);
+  const [br, bgc, bb] = [0, 2, 4].map((i) => parseInt(bg.slice(i, i + 2), 16));
+  // Fondo del recuadro y logo escalado (vecino más cercano) con su transparencia
+  const x0 = Math.round(x - pad);
+  const x1 = Math.round(x + side + pad);
+  for (let py = x0; py < x1; py++) {
+    for (let px = x0; px < x1; px++) {
+      const i = (py * qr.width + px) * 4;
+      qr.data[i] = br;
+      qr.data[i + 1] = bgc;
+      qr.data[i + 2] = bb;
+      qr.data[i + 3] = 255;
+    }
+  }
+  const scale = Math.min(side / logo.width, side / logo.height);
+  const w = Math.round(logo.width * scale);
+  const h = Math.round(logo.height * scale);
+  const ox = Math.round(x + (side - w) / 2);
+  const oy = Math.round(x + (side - h) / 2);
+  for (let py = 0; py < h; py++) {
+    for (let px = 0; px < w; px++) {
+      const s = (Math.floor(py / scale) * logo.width + Math.floor(px / scale)) * 4;
+      const d = ((oy + py) * qr.width + ox + px) * 4;
+      const a = logo.data[s + 3] / 255;
+      for (let c = 0; c < 3; c++) qr.data[d + c] = Math.round(logo.data[s + c] * a + qr.data[d + c] * (1 - a));
+    }
+  }
+  return PNG.sync.write(qr);
+}
+
+function addSvgLogo(svg, logoPng, bg, margin, modules) {
+  const total = modules + margin * 2;
+  const { x, side, pad } = logoBox(total);
+  const href = `data:image/png;base64,${logoPng.toString("base64")}`;
+  const box = `<rect x="${x - pad}" y="${x - pad}" width="${side + pad * 2}" height="${side + pad * 2}" fill="#${bg}"/>`;
+  const image = `<image x="${x}" y="${x}" width="${side}" height="${side}" preserveAspectRatio="xMidYMid meet" href="${href}"/>`;
+  return svg.replace(/<\/svg>\s*$/, `${box}${image}</svg>`);
+}
+
+// PDF de una página del tamaño del QR, con los módulos como rectángulos
+async function renderPdf(text, { size, sizeMm, margin, ecl, fg, bg }, logoPng) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: ecl });
+  const side = sizeMm ? sizeMm * MM : size;
+  const total = modules.size + margin * 2;
+  const unit = side / total;
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([side, side]);
+  page.drawRectangle({ x: 0, y: 0, width: side, height: side, color: hexToRgb(bg) });
+  const color = hexToRgb(fg);
+  // Módulos oscuros consecutivos de una fila se dibujan como un solo rectángulo
+  for (let row = 0; row < modules.size; row++) {
+    let start = -1;
+    for (let col = 0; col <= modules.size; col++) {
+      const dark = col < modules.size && modules.get(row, col);
+      if (dark && start < 0) start = col;
+      if (!dark && start >= 0) {
+        page.drawRectangle({
+          x: (margin + start) * unit,
+          y: side - (margin + row + 1) * unit,
+          width: (col - start) * unit,
+          height: unit,
+          color,
+        });
+        start = -1;
+      }
+    }
+  }
+  if (logoPng) {
+    const { x, side: logoSide, pad } = logoBox(side);
+    page.drawRectangle({ x: x - pad, y: x - pad, width: logoSide + pad * 2, height: logoSide + pad * 2, color: hexToRgb(bg) });
+    const image = await doc.embedPng(logoPng);
+    const { width, height } = image.scaleToFit(logoSide, logoSide);
+    page.drawImage(image, { x: x + (logoSide - width) / 2, y: x + (logoSide - height) / 2, width, height });
+  }
+  return Buffer.from(await doc.save());
+}
+
+/**
+ * Genera el QR de `text` con las opciones ya validadas.
+ * @param {string} text contenido del QR
+ * @param {object} options ver parseQrOptions
+ * @param {Buffer} [logoPng] logo PNG (solo si options.logo)
+ * @returns {Promise<{ body: Buffer, contentType: string, ext: string }>}
+ */
+export async function renderQr(text, options, logoPng = null) {
+  const { format, size, margin, ecl, fg, bg } = options;
+  const logo = options.logo ? logoPng : null;
+  const common = {
+    errorCorrectionLevel: ecl,
+    margin,
+    width: size,
+    color: { dark: `#${fg}ff`, light: `#${bg}ff` },
+  };
+  let body;
+  if (format === "svg") {
+    let svg = await QRCode.toString(text, { ...common, type: "svg" });
+    if (logo) svg = addSvgLogo(svg, logo, bg, margin, QRCode.create(text, { errorCorrectionLevel: ecl }).modules.size);
+    body = Buffer.from(svg, "utf8");
+  } else if (format === "pdf") {
+    body = await renderPdf(text, options, logo);
+  } else {
+    body = await QRCode.toBuffer(text, { ...common, type: "png" });
+    if (logo) body = renderPngWithLogo(body, logo, bg);
+  }
+  return { body, ...QR_FORMATS[format] };
+}
@@ -0,0 +1,77 @@
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+
+// Hoja imprimible (A4) con los QR de un lote: cuadrícula de 3 x 4 con el
+// nombre del archivo y el vencimiento bajo cada código.
+
+const A4 = [595.28, 841.89];
+const COLS = 3;
+const ROWS = 4;
+const MARGIN = 36;
+
+// Las fuentes estándar solo cubren WinAnsi: los espacios especiales de Intl
+// (p. ej. antes de "PM" en inglés) pasan a espacio normal y el resto a "?"
+const printable = (text) =>
+  String(text || "").replace(/[\u2000-\u200a\u202f]/g, " ").replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+// Recorta el texto con "…" hasta que entre en `maxWidth`
+function truncate(font, text, size, maxWidth) {
+  let t = printable(text);
+  if (font.widthOfTextAtSize(t, size) <= maxWidth) return t;
+  while (t.length > 1 && font.widthOfTextAtSize(`${t}...`, size) > maxWidth) t = t.slice(0, -1);
+  return `${t}...`;
+}
+
+/**
+ * @param {Array<{ qrPng: Buffer, title: string, subtitle?: string }>} items
+ * @param {{ heading?: string }} [opts]
+ * @returns {Promise<Buffer>} PDF
+ */
+export async function buildQrSheet(items, { heading = "" } = {}) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+
+  const headingH = heading ? 24 : 0;
+  const cellW = (A4[0] - MARGIN * 2) / COLS;
+  const cellH = (A4[1] - MARGIN * 2 - headingH) / ROWS;
+  const qrSize = Math.min(cellW - 24, cellH - 48);
+  const perPage = COLS * ROWS;
+
+  for (let i = 0; i < Math.max(1, items.length); i += perPage) {
+    const page = doc.addPage(A4);
+    if (heading) {
+      page.drawText(truncate(bold, heading, 12, A4[0] - MARGIN * 2), {
+        x: MARGIN, y: A4[1] - MARGIN - 12, size: 12, font: bold,
+      });
+    }
+    const chunk = items.slice(i, i + perPage);
+    for (const [n, item] of chunk.entries()) {
+      const col = n % COLS;
+      const row = Math.floor(n / COLS);
+      const x = MARGIN + col * cellW;
+      const top = A4[1] - MARGIN - headingH - row * cellH;
+
+      page.drawRectangle({
+        x: x + 4, y: top - cellH + 4, width: cellW - 8, height: cellH - 8,
+        borderColor: rgb(0.8, 0.8, 0.8), borderWidth: 0.5, borderDashArray: [3, 3],
+      });
+      const image = await doc.embedPng(item.qrPng);
+      const qrX = x + (cellW - qrSize) / 2;
+      const qrY = top - 12 - qrSize;
+      page.drawImage(image, { x: qrX, y: qrY, width: qrSize, height: qrSize });
+
+      const title = truncate(bold, item.title, 8, cellW - 16);
+      page.drawText(title, {
+        x: x + (cellW - bold.widthOfTextAtSize(title, 8)) / 2, y: qrY - 14, size: 8, font: bold,
+      });
+      if (item.subtitle) {
+        const sub = truncate(font, item.subtitle, 7, cellW - 16);
+        page.drawText(sub, {
+          x: x + (cellW - font.widthOfTextAtSize(sub, 7)) / 2, y: qrY - 25, size: 7, font,
+          color: rgb(0.3, 0.3, 0.3),
+        });
+      }
+    }
+  }
+  return Buffer.from(await doc.save());
+}
@@ -0,0 +1,130 @@
+// Límites de peticiones por IP o por token y bloqueo temporal tras fallos de
+// autenticación repetidos.
+//
+// Los contadores viven en un store intercambiable. createMemoryStore guarda
+// ventanas fijas en memoria y sirve para una sola instancia; con varias detrás
+// de un balanceador se pasa uno compartido (p. ej. sobre Redis) con la misma
+// interfaz:
+//   hit(key, windowMs) -> Promise<{ count, resetAt }>  suma 1 en la ventana vigente
+//   get(key)           -> Promise<{ count, resetAt } | null>
+//   reset(key)         -> Promise<void>
+//
+// Los límites se escriben "<n>/<periodo>" con periodo en s, m o h (p. ej.
+// 60/10m, 120/1m, 1000/1h); vacío o "0" desactiva el límite.
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+const SWEEP_MS = 60 * 1000;
+
+// { max, windowMs } o null (sin límite); lanza si el formato no es válido
+export function parseRate(raw) {
+  const value = String(raw ?? "").trim();
+  if (!value || value === "0") return null;
+  const m = /^(\d+)\s*\/\s*(\d*)\s*([smh])$/.exec(value);
+  if (!m || !Number(m[1])) throw new Error(`Límite inválido: "${value}" (usa <n>/<periodo>, p. ej. 60/10m).`);
+  return { max: Number(m[1]), windowMs: Number(m[2] || 1) * UNITS[m[3]] };
+}
+
+export function createMemoryStore() {
+  const windows = new Map();
+  const live = (key, now = Date.now()) => {
+    const w = windows.get(key);
+    if (w && w.resetAt > now) return w;
+    windows.delete(key);
+    return null;
+  };
+  // Descarta las ventanas vencidas de vez en cuando para no crecer sin límite
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, SWEEP_MS).unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      const w = live(key, now) || { count: 0, resetAt: now + windowMs };
+      w.count++;
+      windows.set(key, w);
+      return { ...w };
+    },
+    async get(key) {
+      const w = live(key);
+      return w ? { ...w } : null;
+    },
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+const secondsUntil = (at) => Math.max(1, Math.ceil((at - Date.now()) / 1000));
+
+/**
+ * Middleware que limita las peticiones por clave.
+ * @param {object} opts
+ * @param {string} opts.name       prefijo de las claves en el store (p. ej. "view-ip")
+ * @param {object} opts.store      ver createMemoryStore
+ * @param {{ max: number, windowMs: number }|null} opts.rate  ver parseRate (null = sin límite)
+ * @param {(req) => string|null} opts.keyOf  clave de la petición (null = no se cuenta)
+ * @param {(req, res, retryAfter: number) => void} opts.onLimit  responde el 429
+ */
+export function createRateLimiter({ name, store, rate, keyOf, onLimit }) {
+  if (!rate) return (req, res, next) => next();
+  return async (req, res, next) => {
+    const key = keyOf(req);
+    if (!key) return next();
+    const { count, resetAt } = await store.hit(`${name}:${key}`, rate.windowMs);
+    res.setHeader("RateLimit-Limit", rate.max);
+    res.setHeader("RateLimit-Remaining", Math.max(0, rate.max - count));
+    res.setHeader("RateLimit-Reset", secondsUntil(resetAt));
+    if (count <= rate.max) return next();
+    const retryAfter = secondsUntil(resetAt);
+    res.setHeader("Retry-After", retryAfter);
+    onLimit(req, res, retryAfter);
+  };
+}
+
+/**
+ * Bloqueo por fallos de autenticación: tras `maxFailures` fallos dentro de
+ * `lockMs`, las claves quedan bloqueadas durante `lockMs`. Se usan varias
+ * claves a la vez (p. ej. usuario e IP) y basta que una esté bloqueada.
+ */
+export function createLockout({ store, maxFailures = 5, lockMs = 15 * 60 * 1000 }) {
+  const enabled = maxFailures > 0 && lockMs > 0;
+  return {
+    enabled,
+    // Segundos que faltan para desbloquear (0 = no bloqueado)
+    async check(keys) {
+      if (!enabled) return 0;
+      let retryAfter = 0;
+      for (const key of keys) {
+        const lock = await store.get(`lock:${key}`);
+        if (lock) retryAfter = Math.max(retryAfter, secondsUntil(lock.resetAt));
+      }
+      return retryAfter;
+    },
+    // Registra un fallo; devuelve los segundos de bloqueo si con él se bloqueó
+    async fail(keys) {
+      if (!enabled) return 0;
+      let retryAfter = 0;
+      for (const key of keys) {
+        const { count } = await store.hit(`fail:${key}`, lockMs);
+        if (count < maxFailures) continue;
+        await store.reset(`fail:${key}`);
+        const lock = await store.hit(`lock:${key}`, lockMs);
+        retryAfter = Math.max(retryAfter, secondsUntil(lock.resetAt));
+      }
+      return retryAfter;
+    },
+    async succeed(keys) {
+      if (!enabled) return;
+      for (const key of keys) await store.reset(`fail:${key}`);
+    },
+  };
+}
+
+// "Intenta nuevamente en N minuto(s)." para los mensajes de 429, en el idioma
+// de `i18n` (traductor de la petición, ver lib/i18n.js)
+export function retryMessage(i18n, retryAfter) {
+  if (retryAfter < 60) return i18n.t("rateLimit.retrySeconds", { n: retryAfter });
+  return i18n.t("rateLimit.retryMinutes", { n: Math.ceil(retryAfter / 60) });
+}
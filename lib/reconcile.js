@@ -0,0 +1,147 @@
+// Conciliación entre el log de metadatos, su respaldo tokens/<token>.json y
+// los objetos del almacenamiento. Aquí solo se clasifican las inconsistencias;
+// las correcciones las aplica server.js (necesitan QR, estampado, etc.).
+//
+// Tipos de inconsistencia y correcciones posibles (la primera es la sugerida;
+// etiquetas en lib/locales: reconcile.kind.<tipo> y reconcile.fix.<tipo>.<corrección>):
+//   missing_pdf         token cuyo PDF ya no existe
+//   missing_qr          token sin su QR
+//   missing_stamped     token sin su copia con QR estampado
+//   missing_attachment  token con XML o CDR faltante
+//   orphan_pdf          PDF sin token
+//   orphan_qr           QR cuyo PDF ya no existe
+//   orphan_file         derivado sin token (copia estampada, XML, CDR o QR antiguo)
+//   backup_only         respaldo tokens/*.json que no está en el log local
+//   log_only            token del log local sin respaldo en el almacenamiento
+//   mismatch            log local y respaldo no coinciden
+
+export const RECONCILE_KINDS = {
+  missing_pdf: ["delete_entry"],
+  missing_qr: ["regenerate_qr"],
+  missing_stamped: ["regenerate_stamped"],
+  missing_attachment: ["unlink"],
+  orphan_pdf: ["restore_entry", "delete"],
+  orphan_qr: ["delete"],
+  orphan_file: ["delete"],
+  backup_only: ["restore_entry", "delete_backup"],
+  log_only: ["write_backup"],
+  mismatch: ["write_backup", "use_backup"],
+};
+
+// Archivos derivados de un PDF: copias estampadas, QR (y sus variantes), XML y CDR
+const DERIVED_RE = /^(.+\.pdf)(-stamped(?:-\d+)?\.pdf|-qr(?:-\d+)?\.png|-qr(?:-\d+)?\.v\/.+|-ubl\.xml|-cdr\.zip)$/;
+const QR_SUFFIX_RE = /^-qr(?:-\d+)?(\.png|\.v\/)/;
+
+// { base, suffix } si la clave es un derivado; null si no
+export function derivedOf(key) {
+  const m = DERIVED_RE.exec(key);
+  return m ? { base: m[1], suffix: m[2] } : null;
+}
+
+// Fecha de subida de un PDF sin token: el nombre lleva el instante de la
+// subida ("<ms>-archivo.pdf"); si no, la fecha del objeto
+export function uploadedAtOf(key, lastModified) {
+  const m = /(?:^|\/)(\d{13})-[^/]+$/.exec(key);
+  const date = m ? new Date(Number(m[1])) : new Date(lastModified || Date.now());
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+// Claves de objetos que usa una entrada (los QR variantes van por prefijo)
+export function referencedKeys(entry, { pdfKeyOf, qrKeyOf, attachmentFields }) {
+  if (!entry.s3Key && !entry.filename) return [];
+  return [
+    pdfKeyOf(entry),
+    qrKeyOf(entry),
+    entry.stampedS3Key,
+    ...attachmentFields.map((f) => entry[f]),
+  ].filter(Boolean);
+}
+
+// Igualdad de JSON sin importar el orden de las claves
+const canonical = (v) =>
+  Array.isArray(v)
+    ? v.map(canonical)
+    : v && typeof v === "object"
+      ? Object.fromEntries(Object.keys(v).sort().map((k) => [k, canonical(v[k])]))
+      : v;
+const differentFields = (a, b) =>
+  [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(
+    (k) => JSON.stringify(canonical(a[k] ?? null)) !== JSON.stringify(canonical(b[k] ?? null))
+  );
+
+/**
+ * Clasifica las inconsistencias.
+ * @param {object} input
+ * @param {object[]} input.entries  entradas del log local
+ * @param {object[]} input.backups  entradas de tokens/*.json
+ * @param {{ key: string, size?: number, lastModified?: Date }[]} input.objects  objetos de documentos
+ * @param {(entry) => string} input.pdfKeyOf
+ * @param {(entry) => string} input.qrKeyOf
+ * @param {string[]} input.attachmentFields  campos con claves de XML/CDR
+ * @returns {{ issues: object[], counts: Record<string, number>, scanned: object }}
+ *   issue: { id, kind, token?, key?, detail }
+ */
+export function buildReconcileReport({ entries, backups, objects, pdfKeyOf, qrKeyOf, attachmentFields }) {
+  const issues = [];
+  const add = (kind, target, detail = "") =>
+    issues.push({ id: `${kind}:${target.token || target.key}`, kind, ...target, detail });
+  const keys = new Set(objects.map((o) => o.key));
+  const local = new Map(entries.map((e) => [e.token, e]));
+  const backupByToken = new Map(backups.map((e) => [e.token, e]));
+
+  // Objetos que usa algún token (del log o solo del respaldo) y prefijos de sus variantes de QR
+  const referenced = new Set();
+  const variantPrefixes = [];
+  for (const e of [...entries, ...backups]) {
+    const refs = referencedKeys(e, { pdfKeyOf, qrKeyOf, attachmentFields });
+    refs.forEach((k) => referenced.add(k));
+    if (refs.length) variantPrefixes.push(`${qrKeyOf(e).replace(/\.png$/, "")}.v/`);
+  }
+
+  for (const e of entries) {
+    if (!e.s3Key && !e.filename) continue; // token reemitido o sin archivos
+    const pdfKey = pdfKeyOf(e);
+    if (!keys.has(pdfKey)) {
+      add("missing_pdf", { token: e.token, key: pdfKey }, e.originalName || e.filename);
+      continue;
+    }
+    if (!keys.has(qrKeyOf(e))) add("missing_qr", { token: e.token, key: qrKeyOf(e) }, e.originalName || e.filename);
+    if (e.stampedS3Key && !keys.has(e.stampedS3Key)) {
+      add("missing_stamped", { token: e.token, key: e.stampedS3Key }, e.originalName || e.filename);
+    }
+    for (const field of attachmentFields) {
+      if (e[field] && !keys.has(e[field])) add("missing_attachment", { token: e.token, key: e[field], field }, e[field]);
+    }
+  }
+
+  for (const { key, size, lastModified } of objects) {
+    if (referenced.has(key) || variantPrefixes.some((p) => key.startsWith(p))) continue;
+    const derived = derivedOf(key);
+    if (!derived) {
+      if (key.endsWith(".pdf")) add("orphan_pdf", { key, size, uploadedAt: uploadedAtOf(key, lastModified).toISOString() });
+      continue;
+    }
+    const isQr = QR_SUFFIX_RE.test(derived.suffix);
+    add(isQr && !keys.has(derived.base) ? "orphan_qr" : "orphan_file", { key, base: derived.base });
+  }
+
+  for (const b of backups) {
+    const e = local.get(b.token);
+    if (!e) add("backup_only", { token: b.token }, b.originalName || b.filename || "");
+    else {
+      const fields = differentFields(e, b);
+      if (fields.length) add("mismatch", { token: e.token, fields }, fields.join(", "));
+    }
+  }
+  for (const e of entries) {
+    if (!backupByToken.has(e.token)) add("log_only", { token: e.token }, e.originalName || e.filename || "");
+  }
+
+  const counts = Object.fromEntries(Object.keys(RECONCILE_KINDS).map((k) => [k, 0]));
+  for (const i of issues) counts[i.kind]++;
+  return {
+    issues,
+    counts,
+    scanned: { entries: entries.length, backups: backups.length, objects: objects.length },
+  };
+}
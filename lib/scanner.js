@@ -0,0 +1,108 @@
+import net from "net";
+
+// Escaneo antivirus de los PDFs antes de publicarlos.
+//
+// SCANNER_URL elige el motor:
+//   (vacío)                  sin escaneo
+//   clamd://host:3310        clamd por TCP
+//   clamd:///ruta/clamd.sock clamd por socket unix
+// Se usa el comando INSTREAM de clamd, así que sirve cualquier servicio que
+// hable ese protocolo (p. ej. el stub de scripts/clamd-stub.js en desarrollo).
+
+const CHUNK_BYTES = 64 * 1024;
+
+export class ScanError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.expose = true; // el mensaje se puede mostrar al cliente aunque sea un 503
+    if (details) this.details = details;
+  }
+}
+
+// Dirección de clamd a partir de la URL; lanza si el formato no es válido
+export function parseScannerUrl(raw) {
+  const value = String(raw || "").trim();
+  if (!value) return null;
+  const url = new URL(value);
+  if (url.protocol !== "clamd:") throw new Error(`SCANNER_URL no soportada: ${value}`);
+  if (url.hostname) return { host: url.hostname, port: Number(url.port || 3310) };
+  if (!url.pathname || url.pathname === "/") throw new Error(`SCANNER_URL sin host ni socket: ${value}`);
+  return { path: decodeURIComponent(url.pathname) };
+}
+
+// Respuesta de clamd: "stream: OK", "stream: <firma> FOUND" o "... ERROR"
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, "").trim();
+  const found = /^(?:stream:\s*)?(.+)\s+FOUND$/.exec(text);
+  if (found) return { infected: true, signature: found[1] };
+  if (/:\s*OK$/.test(text) || text === "OK") return { infected: false, signature: null };
+  throw new ScanError(503, "scanner_failed", "El antivirus no pudo analizar el archivo.", { reply: text.slice(0, 200) });
+};
+
+// Envía el contenido a clamd en trozos de hasta CHUNK_BYTES precedidos de su
+// largo (4 bytes big-endian), respetando la contrapresión del socket
+async function sendInstream(socket, body) {
+  socket.write("zINSTREAM\0");
+  for await (const data of Buffer.isBuffer(body) ? [body] : body) {
+    for (let i = 0; i < data.length; i += CHUNK_BYTES) {
+      if (socket.destroyed) return;
+      const chunk = data.subarray(i, i + CHUNK_BYTES);
+      const size = Buffer.alloc(4);
+      size.writeUInt32BE(chunk.length);
+      socket.write(size);
+      if (!socket.write(chunk)) {
+        await new Promise((resolve) => {
+          socket.once("drain", resolve);
+          socket.once("close", resolve);
+        });
+      }
+    }
+  }
+  socket.write(Buffer.alloc(4)); // fin del flujo
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.url] SCANNER_URL
+ * @param {number} [opts.timeoutMs] tiempo máximo por archivo
+ * @returns {{ enabled: boolean, name: string|null, scan(body: Buffer|import("stream").Readable): Promise<{ infected: boolean, signature: string|null }> }}
+ */
+export function createScanner({ url = "", timeoutMs = 30000 } = {}) {
+  const target = parseScannerUrl(url);
+  if (!target) {
+    return { enabled: false, name: null, scan: async () => ({ infected: false, signature: null }) };
+  }
+
+  // `body` es el contenido o un stream (p. ej. desde el temporal de la subida)
+  const scan = (body) =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      const socket = net.createConnection(target);
+      const fail = () => {
+        socket.destroy();
+        if (!Buffer.isBuffer(body)) body.destroy();
+        reject(new ScanError(503, "scanner_unavailable", "El antivirus no está disponible; intenta nuevamente más tarde."));
+      };
+      socket.setTimeout(timeoutMs, fail);
+      socket.on("error", fail);
+      socket.on("data", (d) => chunks.push(d));
+      socket.on("end", () => {
+        try {
+          resolve(parseReply(Buffer.concat(chunks).toString("utf8")));
+        } catch (e) {
+          reject(e);
+        }
+      });
+      socket.on("connect", () => {
+        // Si falla la lectura del archivo no es culpa del antivirus: se relanza tal cual
+        sendInstream(socket, body).catch((err) => {
+          socket.destroy();
+          reject(err);
+        });
+      });
+    });
+
+  return { enabled: true, name: "clamd", scan };
+}
@@ -0,0 +1,94 @@
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+
+// Estampado del QR dentro del PDF (representación impresa).
+// Se trabaja sobre una copia: el PDF original no se modifica.
+
+export const STAMP_PAGES = ["first", "last"];
+export const STAMP_CORNERS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+export const STAMP_SIZE_MM = { min: 15, max: 60, default: 25 };
+
+const MM = 72 / 25.4; // puntos por milímetro
+const MARGIN = 8 * MM;
+
+export class StampError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 422;
+    this.code = "stamp_failed";
+  }
+}
+
+// Ajusta el tamaño de letra para que el texto no supere `maxWidth`
+const fitText = (font, text, size, maxWidth) => {
+  const width = font.widthOfTextAtSize(text, size);
+  return width > maxWidth ? Math.max(4, (size * maxWidth) / width) : size;
+};
+
+/**
+ * Devuelve una copia del PDF con el QR estampado.
+ * @param {Buffer} pdfBuffer PDF original
+ * @param {object} opts
+ * @param {Buffer} opts.qrPng PNG del QR
+ * @param {"first"|"last"} [opts.page]
+ * @param {string} [opts.corner] una de STAMP_CORNERS
+ * @param {number} [opts.sizeMm] lado del QR en milímetros
+ * @param {string} [opts.caption] leyenda bajo el QR (opcional)
+ * @param {string} [opts.url] enlace a imprimir bajo el QR (opcional)
+ */
+export async function stampQr(pdfBuffer, {
+  qrPng,
+  page = "first",
+  corner = "bottom-right",
+  sizeMm = STAMP_SIZE_MM.default,
+  caption = "",
+  url = "",
+}) {
+  let doc;
+  try {
+    doc = await PDFDocument.load(pdfBuffer);
+  } catch (e) {
+    const encrypted = /encrypt/i.test(e?.message || "");
+    throw new StampError(encrypted
+      ? "No se puede estampar un PDF cifrado."
+      : "No se pudo leer el PDF para estampar el QR.");
+  }
+  const pages = doc.getPages();
+  if (!pages.length) throw new StampError("El PDF no tiene páginas.");
+  const target = page === "last" ? pages[pages.length - 1] : pages[0];
+
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const image = await doc.embedPng(qrPng);
+  const size = sizeMm * MM;
+  const { width: pageW, height: pageH } = target.getSize();
+
+  // Líneas de texto bajo el QR (la leyenda puede ocupar el doble del ancho del QR)
+  const maxTextWidth = size * 2.2;
+  const lines = [];
+  if (caption) lines.push({ text: caption, size: fitText(font, caption, 6.5, maxTextWidth) });
+  if (url) lines.push({ text: url, size: fitText(font, url, 5.5, maxTextWidth) });
+  const lineHeight = (l) => l.size * 1.3;
+  const textHeight = lines.reduce((h, l) => h + lineHeight(l), 0);
+  const blockWidth = Math.max(size, ...lines.map((l) => font.widthOfTextAtSize(l.text, l.size)));
+  const blockHeight = size + (lines.length ? 2 + textHeight : 0);
+
+  const right = corner.endsWith("right");
+  const top = corner.startsWith("top");
+  const blockX = right ? pageW - MARGIN - blockWidth : MARGIN;
+  const blockY = top ? pageH - MARGIN - blockHeight : MARGIN; // esquina inferior del bloque
+
+  // QR alineado al borde de la esquina elegida, texto debajo
+  const qrX = right ? blockX + blockWidth - size : blockX;
+  const qrY = blockY + blockHeight - size;
+  target.drawRectangle({ x: qrX - 2, y: qrY - 2, width: size + 4, height: size + 4, color: rgb(1, 1, 1) });
+  target.drawImage(image, { x: qrX, y: qrY, width: size, height: size });
+
+  let y = qrY - 2;
+  for (const l of lines) {
+    y -= lineHeight(l);
+    const w = font.widthOfTextAtSize(l.text, l.size);
+    const x = right ? blockX + blockWidth - w : blockX;
+    target.drawText(l.text, { x, y: y + l.size * 0.3, size: l.size, font, color: rgb(0.2, 0.2, 0.2) });
+  }
+
+  return Buffer.from(await doc.save());
+}
@@ -0,0 +1,338 @@
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import {
+  S3Client,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+// Capa de almacenamiento: misma interfaz para S3 y para disco local.
+// Todas las claves son relativas ("uploads/archivo.pdf", "tokens/abc.json").
+//
+//   put(key, body, { contentType, cacheControl, metadata })   body: Buffer o Readable
+//   get(key)            -> Buffer | null
+//   stream(key)         -> { body, contentType, size } | null
+//   exists(key)         -> boolean
+//   delete(key)
+//   list(prefix, { limit }) -> [{ key, size, lastModified }]
+//   signedUrl(key, { expiresIn, downloadName, contentType }) -> string | null
+//   check()             lanza si el almacenamiento no responde (bucket o carpeta)
+//
+// El driver local no firma URLs (devuelve null); las rutas deben servir el
+// contenido con stream() en ese caso.
+//
+// Un Readable se escribe sin cargarlo entero en memoria: en S3 con una subida
+// multipart (partes de S3_PART_SIZE_MB; si cabe en una sola parte, PutObject) y
+// en disco con un temporal que se renombra al terminar. Si el stream falla no
+// queda nada escrito (la subida multipart se aborta).
+
+const CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".zip": "application/zip",
+};
+const guessContentType = (key) =>
+  CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+
+const isNotFound = (err) =>
+  err?.name === "NoSuchKey" ||
+  err?.name === "NotFound" ||
+  err?.$metadata?.httpStatusCode === 404;
+
+// Content-Disposition seguro para nombres con acentos o espacios
+export function contentDisposition(filename, type = "attachment") {
+  const fallback = String(filename).replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "_");
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// S3 exige partes de al menos 5 MB (salvo la última)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+export function createS3Storage({ bucket, region, partSizeMb = 8 }) {
+  const s3 = new S3Client({ region });
+  const partSize = Math.max(MIN_PART_SIZE, Math.round(partSizeMb * 1024 * 1024));
+
+  // Lee el stream en partes de partSize y las sube una a una
+  const putMultipart = async (params, body) => {
+    const parts = [];
+    let uploadId = null;
+    let pending = [];
+    let pendingSize = 0;
+    const flush = async () => {
+      if (!uploadId) {
+        const created = await s3.send(new CreateMultipartUploadCommand(params));
+        uploadId = created.UploadId;
+      }
+      const PartNumber = parts.length + 1;
+      const out = await s3.send(new UploadPartCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId: uploadId,
+        PartNumber,
+        Body: Buffer.concat(pending, pendingSize),
+      }));
+      parts.push({ ETag: out.ETag, PartNumber });
+      pending = [];
+      pendingSize = 0;
+    };
+    try {
+      for await (const chunk of body) {
+        const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        pending.push(buf);
+        pendingSize += buf.length;
+        if (pendingSize >= partSize) await flush();
+      }
+      if (!uploadId) {
+        // Entró en una sola parte: no hace falta multipart
+        await s3.send(new PutObjectCommand({ ...params, Body: Buffer.concat(pending, pendingSize) }));
+        return;
+      }
+      if (pendingSize > 0) await flush();
+      await s3.send(new CompleteMultipartUploadCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts },
+      }));
+    } catch (e) {
+      if (uploadId) {
+        await s3
+          .send(new AbortMultipartUploadCommand({ Bucket: params.Bucket, Key: params.Key, UploadId: uploadId }))
+          .catch(() => {});
+      }
+      if (typeof body.destroy === "function") body.destroy();
+      throw e;
+    }
+  };
+
+  return {
+    kind: "s3",
+    bucket,
+    client: s3,
+    async put(key, body, { contentType, cacheControl, metadata } = {}) {
+      const params = {
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType || guessContentType(key),
+        CacheControl: cacheControl,
+        Metadata: metadata,
+      };
+      if (Buffer.isBuffer(body) || typeof body === "string") {
+        await s3.send(new PutObjectCommand({ ...params, Body: body }));
+      } else {
+        await putMultipart(params, body);
+      }
+    },
+    async get(key) {
+      try {
+        const out = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await out.Body.transformToByteArray());
+      } catch (e) {
+        if (isNotFound(e)) return null;
+        throw e;
+      }
+    },
+    async stream(key) {
+      try {
+        const out = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { body: out.Body, contentType: out.ContentType || guessContentType(key), size: out.ContentLength };
+      } catch (e) {
+        if (isNotFound(e)) return null;
+        throw e;
+      }
+    },
+    async exists(key) {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (e) {
+        if (isNotFound(e)) return false;
+        throw e;
+      }
+    },
+    async delete(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    async list(prefix, { limit = Infinity } = {}) {
+      const items = [];
+      let ContinuationToken;
+      do {
+        const resp = await s3.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken,
+          MaxKeys: Math.min(1000, limit - items.length),
+        }));
+        for (const o of resp.Contents || []) {
+          if (!o.Key) continue;
+          items.push({ key: o.Key, size: o.Size, lastModified: o.LastModified });
+          if (items.length >= limit) break;
+        }
+        ContinuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+      } while (ContinuationToken && items.length < limit);
+      return items;
+    },
+    async signedUrl(key, { expiresIn = 60, downloadName, contentType } = {}) {
+      return getSignedUrl(
+        s3,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentDisposition: downloadName ? contentDisposition(downloadName) : undefined,
+          ResponseContentType: contentType,
+        }),
+        { expiresIn }
+      );
+    },
+    async check() {
+      await s3.send(new HeadBucketCommand({ Bucket: bucket }));
+    },
+  };
+}
+
+export function createLocalStorage({ root }) {
+  const base = path.resolve(root);
+  if (!fs.existsSync(base)) fs.mkdirSync(base, { recursive: true });
+
+  const resolve = (key) => {
+    const p = path.resolve(base, String(key).replace(/^\/+/, ""));
+    if (p !== base && !p.startsWith(base + path.sep)) throw new Error("Ruta no permitida");
+    return p;
+  };
+
+  const walk = async (dir, out) => {
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === "ENOENT") return;
+      throw e;
+    }
+    for (const d of dirents) {
+      const full = path.join(dir, d.name);
+      if (d.isDirectory()) await walk(full, out);
+      else if (d.isFile() && !d.name.endsWith(".tmp")) out.push(full);
+    }
+  };
+
+  return {
+    kind: "local",
+    root: base,
+    resolve,
+    async put(key, body) {
+      const p = resolve(key);
+      await fs.promises.mkdir(path.dirname(p), { recursive: true });
+      // Escritura atómica: archivo temporal + rename
+      const tmp = `${p}.${process.pid}.${Date.now()}.tmp`;
+      try {
+        if (Buffer.isBuffer(body) || typeof body === "string") await fs.promises.writeFile(tmp, body);
+        else await pipeline(body, fs.createWriteStream(tmp));
+        await fs.promises.rename(tmp, p);
+      } catch (e) {
+        await fs.promises.rm(tmp, { force: true });
+        throw e;
+      }
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async stream(key) {
+      const p = resolve(key);
+      try {
+        const st = await fs.promises.stat(p);
+        if (!st.isFile()) return null;
+        return { body: fs.createReadStream(p), contentType: guessContentType(key), size: st.size };
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async exists(key) {
+      try {
+        return (await fs.promises.stat(resolve(key))).isFile();
+      } catch {
+        return false;
+      }
+    },
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+    },
+    async list(prefix = "", { limit = Infinity } = {}) {
+      // El prefijo se trata igual que en S3: coincidencia por inicio de clave
+      const dirPart = prefix.includes("/") ? prefix.slice(0, prefix.lastIndexOf("/")) : "";
+      const files = [];
+      await walk(resolve(dirPart), files);
+      const items = [];
+      for (const full of files.sort()) {
+        const key = path.relative(base, full).split(path.sep).join("/");
+        if (!key.startsWith(prefix)) continue;
+        const st = await fs.promises.stat(full);
+        items.push({ key, size: st.size, lastModified: st.mtime });
+        if (items.length >= limit) break;
+      }
+      return items;
+    },
+    async signedUrl() {
+      return null;
+    },
+    async check() {
+      await fs.promises.access(base, fs.constants.R_OK | fs.constants.W_OK);
+    },
+  };
+}
+
+// Elige el driver según configuración:
+// STORAGE_DRIVER=s3|local; por defecto S3 si hay bucket y local si no.
+export function createStorage({ driver, bucket, region, root, partSizeMb }) {
+  const kind = (driver || (bucket ? "s3" : "local")).toLowerCase();
+  if (kind === "s3") {
+    if (!bucket) throw new Error("STORAGE_DRIVER=s3 requiere AWS_S3_BUCKET.");
+    return createS3Storage({ bucket, region, partSizeMb });
+  }
+  if (kind === "local") return createLocalStorage({ root });
+  throw new Error(`STORAGE_DRIVER desconocido: ${driver}`);
+}
+
+// Mismo almacenamiento, pero cada error de una operación se marca con
+// err.storageOperation (el manejador de errores responde 503, ver lib/errors.js)
+// y se informa a onError(operation, err) antes de relanzarlo (métricas, logs).
+// Los "no existe" que los drivers convierten en null/false no son errores.
+const OPERATIONS = ["put", "get", "stream", "exists", "delete", "list", "signedUrl", "check"];
+export function instrumentStorage(storage, onError = () => {}) {
+  const wrapped = { ...storage };
+  for (const op of OPERATIONS) {
+    wrapped[op] = async (...args) => {
+      try {
+        return await storage[op](...args);
+      } catch (e) {
+        if (e && typeof e === "object" && !e.storageOperation) {
+          Object.defineProperty(e, "storageOperation", { value: op, enumerable: false });
+          onError(op, e);
+        }
+        throw e;
+      }
+    };
+  }
+  return wrapped;
+}
@@ -0,0 +1,203 @@
+import crypto from "crypto";
+
+// Datos de comprobantes SUNAT: validación y contenido del QR de la
+// representación impresa (RS 097-2012/SUNAT y modificatorias).
+//
+// Formato del QR:
+//   RUC | TIPO | SERIE | NÚMERO | IGV | TOTAL | FECHA | TIPO DOC ADQ | NÚM DOC ADQ | HASH |
+
+// Catálogo 01: tipos de comprobante soportados
+export const TIPOS_COMPROBANTE = {
+  "01": "Factura",
+  "03": "Boleta de venta",
+  "07": "Nota de crédito",
+  "08": "Nota de débito",
+};
+
+// Catálogo 06: tipos de documento de identidad del adquirente
+export const TIPOS_DOC_IDENTIDAD = {
+  "0": "Sin documento / no domiciliado",
+  "1": "DNI",
+  "4": "Carnet de extranjería",
+  "6": "RUC",
+  "7": "Pasaporte",
+  "A": "Cédula diplomática",
+  "B": "Documento de identidad del país de residencia",
+};
+
+export const QR_MODES = ["url", "sunat", "combined"];
+
+// RUC: 11 dígitos, prefijo válido y dígito verificador módulo 11
+export function isValidRuc(ruc) {
+  const s = String(ruc || "");
+  if (!/^(10|15|16|17|20)\d{9}$/.test(s)) return false;
+  const weights = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+  const sum = weights.reduce((acc, w, i) => acc + w * Number(s[i]), 0);
+  const check = (11 - (sum % 11)) % 10;
+  return check === Number(s[10]);
+}
+
+// Serie: F### para facturas, B### para boletas; las notas pueden ser de
+// cualquiera de las dos. Las series numéricas (0001) son de contingencia.
+export function isValidSerie(serie, tipo) {
+  const s = String(serie || "").toUpperCase();
+  if (/^\d{4}$/.test(s)) return true;
+  if (tipo === "01") return /^F[A-Z0-9]{3}$/.test(s);
+  if (tipo === "03") return /^B[A-Z0-9]{3}$/.test(s);
+  return /^[FB][A-Z0-9]{3}$/.test(s);
+}
+
+const AMOUNT_RE = /^\d{1,12}(\.\d{1,2})?$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (s) => {
+  if (!DATE_RE.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+};
+
+const clean = (v) => (v == null ? "" : String(v).trim());
+
+// Nombres de campo aceptados en formularios y en la API
+export const INVOICE_FIELDS = [
+  "rucEmisor",
+  "tipo",
+  "serie",
+  "numero",
+  "igv",
+  "total",
+  "fechaEmision",
+  "tipoDocAdquirente",
+  "numDocAdquirente",
+  "hash",
+];
+
+// Campos informativos (no van en el QR); normalmente vienen del XML UBL
+export const INVOICE_EXTRA_FIELDS = ["moneda", "nombreEmisor", "nombreAdquirente"];
+
+/**
+ * Valida los datos del comprobante enviados junto al PDF.
+ * Devuelve { invoice: null } si no se envió ningún campo,
+ * { invoice } si son válidos o { errors: { campo: mensaje } } si no.
+ */
+export function parseInvoice(input = {}) {
+  const raw = Object.fromEntries(INVOICE_FIELDS.map((f) => [f, clean(input[f])]));
+  if (INVOICE_FIELDS.every((f) => !raw[f])) return { invoice: null };
+
+  const errors = {};
+  const tipo = raw.tipo.padStart(2, "0");
+  const serie = raw.serie.toUpperCase();
+  const tipoDoc = raw.tipoDocAdquirente.toUpperCase();
+
+  if (!isValidRuc(raw.rucEmisor)) errors.rucEmisor = "RUC del emisor inválido.";
+  if (!TIPOS_COMPROBANTE[tipo]) errors.tipo = "Tipo de comprobante no soportado (01, 03, 07 u 08).";
+  if (!isValidSerie(serie, tipo)) errors.serie = "Serie inválida (ej. F001 para facturas, B001 para boletas).";
+  if (!/^\d{1,8}$/.test(raw.numero) || Number(raw.numero) === 0) {
+    errors.numero = "Número inválido (hasta 8 dígitos).";
+  }
+  if (!AMOUNT_RE.test(raw.igv)) errors.igv = "IGV inválido (use punto decimal, máx. 2 decimales).";
+  if (!AMOUNT_RE.test(raw.total)) errors.total = "Total inválido (use punto decimal, máx. 2 decimales).";
+  if (!errors.igv && !errors.total && Number(raw.igv) > Number(raw.total)) {
+    errors.igv = "El IGV no puede ser mayor que el total.";
+  }
+  if (!isValidDate(raw.fechaEmision)) errors.fechaEmision = "Fecha de emisión inválida (AAAA-MM-DD).";
+
+  // Adquirente: obligatorio en facturas; en boletas puede omitirse
+  if (tipoDoc || raw.numDocAdquirente) {
+    if (!TIPOS_DOC_IDENTIDAD[tipoDoc]) {
+      errors.tipoDocAdquirente = "Tipo de documento del adquirente inválido.";
+    } else if (tipoDoc === "6" && !isValidRuc(raw.numDocAdquirente)) {
+      errors.numDocAdquirente = "RUC del adquirente inválido.";
+    } else if (tipoDoc === "1" && !/^\d{8}$/.test(raw.numDocAdquirente)) {
+      errors.numDocAdquirente = "DNI del adquirente inválido (8 dígitos).";
+    } else if (!/^[A-Za-z0-9-]{1,15}$/.test(raw.numDocAdquirente)) {
+      errors.numDocAdquirente = "Número de documento del adquirente inválido.";
+    }
+  } else if (tipo === "01") {
+    errors.tipoDocAdquirente = "La factura requiere el documento del adquirente.";
+  }
+  if (raw.hash && !/^[A-Za-z0-9+/=]{8,128}$/.test(raw.hash)) {
+    errors.hash = "Hash inválido (valor resumen en Base64).";
+  }
+  const extra = Object.fromEntries(INVOICE_EXTRA_FIELDS.map((f) => [f, clean(input[f]).slice(0, 200)]));
+  extra.moneda = extra.moneda.toUpperCase();
+  if (extra.moneda && !/^[A-Z]{3}$/.test(extra.moneda)) errors.moneda = "Moneda inválida (código ISO, ej. PEN).";
+
+  if (Object.keys(errors).length) return { errors };
+  return {
+    invoice: {
+      rucEmisor: raw.rucEmisor,
+      tipo,
+      serie,
+      numero: String(Number(raw.numero)),
+      igv: Number(raw.igv).toFixed(2),
+      total: Number(raw.total).toFixed(2),
+      fechaEmision: raw.fechaEmision,
+      tipoDocAdquirente: tipoDoc || null,
+      numDocAdquirente: raw.numDocAdquirente || null,
+      hash: raw.hash || null,
+      moneda: extra.moneda || null,
+      nombreEmisor: extra.nombreEmisor || null,
+      nombreAdquirente: extra.nombreAdquirente || null,
+    },
+  };
+}
+
+// "F001-123" para mostrar en pantallas y listados
+export const invoiceLabel = (invoice) =>
+  invoice ? `${invoice.serie}-${invoice.numero}` : "";
+
+// Contenido del QR según el formato de SUNAT (termina en "|")
+export function buildSunatQrPayload(invoice) {
+  return [
+    invoice.rucEmisor,
+    invoice.tipo,
+    invoice.serie,
+    invoice.numero,
+    invoice.igv,
+    invoice.total,
+    invoice.fechaEmision,
+    invoice.tipoDocAdquirente || "",
+    invoice.numDocAdquirente || "",
+    invoice.hash || "",
+  ].join("|") + "|";
+}
+
+/**
+ * Texto a codificar en el QR:
+ *  - url:      solo el enlace /view/:token
+ *  - sunat:    solo el formato SUNAT
+ *  - combined: formato SUNAT seguido del enlace
+ * Sin datos de comprobante siempre se usa la URL.
+ */
+export function buildQrContent({ mode, invoice, viewUrl }) {
+  if (!invoice || mode === "url" || !QR_MODES.includes(mode)) return viewUrl;
+  const payload = buildSunatQrPayload(invoice);
+  return mode === "sunat" ? payload : `${payload}${viewUrl}`;
+}
+
+// Normaliza los seis datos impresos que identifican un comprobante
+// (RUC, tipo, serie, número, fecha y total). Devuelve null si falta alguno.
+function lookupParts(data) {
+  if (!data) return null;
+  const ruc = clean(data.rucEmisor);
+  const tipo = clean(data.tipo).padStart(2, "0");
+  const serie = clean(data.serie).toUpperCase();
+  const numero = clean(data.numero);
+  const fecha = clean(data.fechaEmision);
+  const total = clean(data.total).replace(/,/g, "");
+  if (!/^\d{11}$/.test(ruc) || !TIPOS_COMPROBANTE[tipo] || !/^[A-Z0-9]{4}$/.test(serie)) return null;
+  if (!/^\d{1,8}$/.test(numero) || !isValidDate(fecha) || !AMOUNT_RE.test(total)) return null;
+  return [ruc, tipo, serie, String(Number(numero)), fecha, Number(total).toFixed(2)];
+}
+
+/**
+ * Clave del índice para la consulta pública de comprobantes. Solo coincide
+ * si los seis datos son iguales; se guarda como hash para que el índice no
+ * exponga los datos ni permita búsquedas parciales.
+ */
+export function invoiceLookupKey(data) {
+  const parts = lookupParts(data);
+  if (!parts) return null;
+  return crypto.createHash("sha256").update(parts.join("|"), "utf8").digest("hex");
+}
@@ -0,0 +1,107 @@
+import { XMLParser } from "fast-xml-parser";
+
+// Lectura del XML UBL 2.1 firmado (factura, boleta y notas) según el
+// formato de SUNAT. Solo se extraen los datos de cabecera.
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  removeNSPrefix: true,
+  parseTagValue: false, // "00000123" y montos se mantienen como texto
+});
+
+const ROOTS = { Invoice: null, CreditNote: "07", DebitNote: "08" };
+
+const first = (v) => (Array.isArray(v) ? v[0] : v);
+const text = (node) => {
+  const n = first(node);
+  if (n == null) return "";
+  if (typeof n === "object") return String(n["#text"] ?? "").trim();
+  return String(n).trim();
+};
+const attr = (node, name) => {
+  const n = first(node);
+  return n && typeof n === "object" ? String(n[`@_${name}`] ?? "").trim() : "";
+};
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+// Busca un nodo por nombre en todo el árbol (para la firma, que va en UBLExtensions)
+function findDeep(node, name) {
+  if (!node || typeof node !== "object") return undefined;
+  if (Array.isArray(node)) {
+    for (const n of node) {
+      const found = findDeep(n, name);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  }
+  if (name in node) return node[name];
+  for (const [k, v] of Object.entries(node)) {
+    if (k.startsWith("@_")) continue;
+    const found = findDeep(v, name);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+const partyInfo = (party) => {
+  const p = first(first(party)?.Party);
+  const id = first(p?.PartyIdentification)?.ID;
+  const legal = first(p?.PartyLegalEntity);
+  return {
+    id: text(id),
+    scheme: attr(id, "schemeID"),
+    name: text(legal?.RegistrationName) || text(first(p?.PartyName)?.Name),
+  };
+};
+
+// IGV = subtotal con TaxScheme 1000; si no, el TaxAmount total
+function igvAmount(doc) {
+  for (const total of asArray(doc.TaxTotal)) {
+    for (const sub of asArray(total.TaxSubtotal)) {
+      const scheme = first(first(first(sub.TaxCategory)?.TaxScheme)?.ID);
+      if (text(scheme) === "1000") return text(sub.TaxAmount);
+    }
+  }
+  return text(first(doc.TaxTotal)?.TaxAmount);
+}
+
+export class UblError extends Error {}
+
+/**
+ * Lee la cabecera de un XML UBL. Devuelve campos con los mismos nombres
+ * que el formulario (ver lib/sunat.js) listos para validar.
+ */
+export function parseUbl(buffer) {
+  let tree;
+  try {
+    tree = parser.parse(Buffer.isBuffer(buffer) ? buffer.toString("utf8") : String(buffer));
+  } catch {
+    throw new UblError("El XML no es válido.");
+  }
+  const rootName = Object.keys(ROOTS).find((r) => tree && tree[r]);
+  if (!rootName) throw new UblError("El XML no es un comprobante UBL (Invoice, CreditNote o DebitNote).");
+  const doc = first(tree[rootName]);
+
+  const [serie = "", numero = ""] = text(doc.ID).split("-");
+  const supplier = partyInfo(doc.AccountingSupplierParty);
+  const customer = partyInfo(doc.AccountingCustomerParty);
+  const totals = first(doc.LegalMonetaryTotal) || first(doc.RequestedMonetaryTotal);
+
+  return {
+    ublVersion: text(doc.UBLVersionID),
+    rucEmisor: supplier.id,
+    nombreEmisor: supplier.name,
+    tipo: ROOTS[rootName] || text(doc.InvoiceTypeCode),
+    serie,
+    numero,
+    igv: igvAmount(doc),
+    total: text(totals?.PayableAmount),
+    moneda: text(doc.DocumentCurrencyCode) || attr(totals?.PayableAmount, "currencyID"),
+    fechaEmision: text(doc.IssueDate),
+    tipoDocAdquirente: customer.scheme,
+    numDocAdquirente: customer.id,
+    nombreAdquirente: customer.name,
+    hash: text(findDeep(doc.UBLExtensions, "DigestValue")),
+  };
+}
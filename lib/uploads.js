@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import multer from "multer";
+import { nanoid } from "nanoid";
+import { sha256 } from "./integrity.js";
+
+// Archivos recibidos por multer. Los PDFs (y los ZIPs de los lotes) se escriben
+// en una carpeta temporal a medida que llegan, calculando su SHA-256, en vez de
+// quedar enteros en memoria; desde ahí se copian al almacenamiento en streaming
+// (multipart en S3, ver lib/storage.js). Los campos pequeños (XML, CDR, logo)
+// siguen en memoria como con multer.memoryStorage().
+//
+// Un archivo puede venir de dos formas:
+//   { originalname, mimetype, size, path, sha256 }  recibido en disco
+//   { originalname, mimetype, size, buffer }        en memoria (CLI, entradas de un ZIP)
+// Las funciones de abajo aceptan ambas.
+
+/**
+ * Motor de almacenamiento de multer.
+ * @param {object} opts
+ * @param {string} opts.dir            carpeta de temporales (fuera de UPLOAD_DIR)
+ * @param {string[]} opts.spoolFields  campos que van a disco
+ */
+export function createSpoolStorage({ dir, spoolFields }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const memory = multer.memoryStorage();
+  return {
+    _handleFile(req, file, cb) {
+      if (!spoolFields.includes(file.fieldname)) return memory._handleFile(req, file, cb);
+      const target = path.join(dir, `${nanoid(21)}.part`);
+      const hash = crypto.createHash("sha256");
+      let size = 0;
+      const meter = new Transform({
+        transform(chunk, encoding, done) {
+          hash.update(chunk);
+          size += chunk.length;
+          done(null, chunk);
+        },
+      });
+      pipeline(file.stream, meter, fs.createWriteStream(target, { flags: "wx" })).then(
+        () => cb(null, { path: target, size, sha256: hash.digest("hex") }),
+        (err) => fs.promises.rm(target, { force: true }).finally(() => cb(err))
+      );
+    },
+    _removeFile(req, file, cb) {
+      if (!file.path) return memory._removeFile(req, file, cb);
+      fs.promises.rm(file.path, { force: true }).then(() => cb(null), cb);
+    },
+  };
+}
+
+// Contenido completo en memoria (para validarlo con pdf-lib y estamparlo; ver PDF_PARSE_MAX_MB)
+export const readUpload = (file) => (file.buffer ? Promise.resolve(file.buffer) : fs.promises.readFile(file.path));
+
+// `bytes` bytes desde `position` (o hasta el final si es negativa) sin leer el archivo entero
+async function readRange(file, position, bytes) {
+  if (file.buffer) return position < 0 ? file.buffer.subarray(position) : file.buffer.subarray(position, position + bytes);
+  const fh = await fs.promises.open(file.path, "r");
+  try {
+    const start = position < 0 ? Math.max(0, (await fh.stat()).size + position) : position;
+    const buf = Buffer.alloc(bytes);
+    const { bytesRead } = await fh.read(buf, 0, bytes, start);
+    return buf.subarray(0, bytesRead);
+  } finally {
+    await fh.close();
+  }
+}
+
+// Primeros `bytes` del archivo
+export const readHead = (file, bytes) => readRange(file, 0, bytes);
+
+// Últimos `bytes` del archivo
+export const readTail = (file, bytes) => readRange(file, -bytes, bytes);
+
+// Cuerpo para storage.put: stream desde el temporal o el buffer
+export const uploadBody = (file) => file.buffer ?? fs.createReadStream(file.path);
+
+// Contenido como stream en ambos casos (para recorrerlo con for await)
+export const uploadStream = (file) => (file.buffer ? Readable.from([file.buffer]) : fs.createReadStream(file.path));
+
+// SHA-256 del archivo (ya calculado si se recibió en disco)
+export const hashOf = (file) => file.sha256 ?? sha256(file.buffer);
+
+// Archivos de la petición (req.file, req.files como lista o por campo)
+export const filesOf = (req) =>
+  [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())].filter(Boolean);
+
+// Borra los temporales de la petición (al terminar la respuesta)
+export const discardUploads = (req) =>
+  Promise.all(filesOf(req).filter((f) => f.path).map((f) => fs.promises.rm(f.path, { force: true })));
+
+// Borra temporales que quedaron de un proceso anterior (p. ej. un corte)
+export async function sweepSpool(dir, maxAgeMs) {
+  let removed = 0;
+  const limit = Date.now() - maxAgeMs;
+  for (const name of await fs.promises.readdir(dir).catch(() => [])) {
+    if (!name.endsWith(".part")) continue;
+    const full = path.join(dir, name);
+    const st = await fs.promises.stat(full).catch(() => null);
+    if (st && st.mtimeMs < limit) {
+      await fs.promises.rm(full, { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Nombre seguro para claves de objetos a partir del nombre que mandó el
+ * cliente: sin carpetas, acentos, espacios ni caracteres especiales, y con
+ * longitud acotada ("Factura Nº 12 (copia).PDF" -> "Factura-No-12-copia.pdf").
+ * @param {string} name
+ * @param {object} [opts]
+ * @param {string} [opts.fallback]  si no queda nada utilizable
+ * @param {number} [opts.maxLength] largo máximo sin la extensión
+ */
+export function safeObjectName(name, { fallback = "documento.pdf", maxLength = 80 } = {}) {
+  const base = String(name ?? "").split(/[\\/]/).pop();
+  const rawExt = path.extname(base);
+  const ext = rawExt.toLowerCase().replace(/[^.a-z0-9]/g, "").slice(0, 10);
+  const stem = base
+    .slice(0, base.length - rawExt.length)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/([-._])[-._]+/g, "$1")
+    .replace(/^[-._]+|[-._]+$/g, "")
+    .slice(0, maxLength);
+  return stem && ext.length > 1 ? `${stem}${ext}` : stem || fallback;
+}
@@ -0,0 +1,198 @@
+import { html, confirmJs } from "../html.js";
+import { LOCALES } from "../i18n.js";
+import { sessionBar } from "./layout.js";
+
+// Cuentas (ver lib/accountsRouter.js): inicio de sesión, cuenta propia,
+// usuarios de la empresa y empresas
+
+const page = (content) => String(html`
+  <div style="font-family: Arial, sans-serif; margin: 30px; max-width: 1000px;">
+    ${content}
+  </div>`);
+
+const error = (message) => message && html`<p style="color:#dc3545">${message}</p>`;
+
+const tenantLabel = (t) => `${t.name} (${t.ruc})`;
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {string} data.next       ruta local a la que se vuelve tras ingresar
+ * @param {string} [data.message]  error (texto plano)
+ */
+export function loginPage(i18n, { next, message = "" }) {
+  const { t } = i18n;
+  return page(html`
+    <div style="text-align:center">
+      <h2>🔐 ${t("auth.login")}</h2>
+      ${error(message)}
+      <form action="/login" method="post" style="display:inline-block; border:1px solid #ddd; padding:20px; border-radius:10px; text-align:left">
+        <input type="hidden" name="next" value="${next}" />
+        <label>${t("login.username")}<br/><input name="username" autocomplete="username" autofocus required /></label><br/><br/>
+        <label>${t("login.password")}<br/><input type="password" name="password" autocomplete="current-password" required /></label><br/><br/>
+        <button type="submit" style="background:#007bff; color:white; border:none; padding:8px 16px; border-radius:6px; cursor:pointer">${t("auth.login")}</button>
+      </form>
+      <p style="margin-top:16px"><a href="/consulta">${t("home.links.consulta")}</a></p>
+    </div>`);
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session    { user, tenant }
+ * @param {string} [data.message]  error del último formulario (texto plano)
+ */
+export function accountPage(i18n, { session, message = "" }) {
+  const { t } = i18n;
+  const { user } = session;
+  return page(html`
+    ${sessionBar(i18n, session)}
+    <h2>👤 ${t("session.account")}</h2>
+    <p><a href="/manage">← ${t("manage.title")}</a></p>
+    <p><strong>${t("login.username")}:</strong> ${user.username} · <strong>${t("account.role")}:</strong> ${t(`role.${user.role}`)}</p>
+    ${error(message)}
+    <h3>${t("account.password")}</h3>
+    <form action="/account/password" method="post">
+      <label>${t("account.password.current")} <input type="password" name="current" autocomplete="current-password" required /></label>
+      <label>${t("account.password.new")} <input type="password" name="password" autocomplete="new-password" required /></label>
+      <button type="submit">${t("detail.save")}</button>
+    </form>
+    <p style="color:#666; font-size:13px">${t("account.password.note")}</p>
+    <h3>${t("account.language")}</h3>
+    <form action="/account/locale" method="post">
+      <select name="locale">
+        <option value="">${t("account.language.auto")}</option>
+        ${Object.entries(LOCALES).map(([code, label]) => html`<option value="${code}"${user.locale === code && " selected"}>${label}</option>`)}
+      </select>
+      <button type="submit">${t("account.language.save")}</button>
+    </form>`);
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session        { user, tenant }
+ * @param {object[]} data.users        usuarios visibles (ya ordenados)
+ * @param {object[]} data.tenants      empresas (para los nombres y el selector)
+ * @param {string|null} data.scope     empresa activa (null = todas: se elige en el formulario)
+ * @param {string[]} data.roles        roles que puede asignar quien mira la página
+ * @param {Function} data.canManage    (user) si puede cambiar ese usuario
+ * @param {string} [data.message]      error del último formulario (texto plano)
+ */
+export function usersPage(i18n, { session, users, tenants, scope, roles, canManage, message = "" }) {
+  const { t } = i18n;
+  const tenantName = (ruc) => {
+    const tenant = tenants.find((x) => x.ruc === ruc);
+    return tenant ? tenantLabel(tenant) : ruc || "—";
+  };
+  const rows = users.map((u) => {
+    const name = encodeURIComponent(u.username);
+    const self = u.username === session.user.username;
+    const action = (path, label, extra = "", confirmText = "") => html`
+            <form action="/admin/users/${name}/${path}" method="post" style="display:inline"${confirmText && html` onsubmit="${confirmJs(confirmText)}"`}>
+              ${extra}<button type="submit">${label}</button>
+            </form>`;
+    return html`
+        <tr>
+          <td>${u.username}${self && ` (${t("users.you")})`}</td>
+          <td>${t(`role.${u.role}`)}</td>
+          <td>${u.role === "superadmin" ? t("users.allTenants") : tenantName(u.tenant)}</td>
+          <td>${u.disabled ? t("users.disabled") : t("users.active")}</td>
+          <td>
+            ${canManage(u) && html`
+              ${action("password", t("account.password"), html`<input type="password" name="password" autocomplete="new-password" placeholder="${t("users.newPassword")}" required /> `)}
+              ${!self && action("toggle", u.disabled ? t("users.enable") : t("users.disable"))}
+              ${!self && action("delete", t("delete.action"), "", t("users.deleteConfirm"))}`}
+          </td>
+        </tr>`;
+  });
+  const tenantField = scope === null
+    ? html`<label>${t("users.tenant")}
+          <select name="tenant">
+            <option value="">${t("users.noTenant")}</option>
+            ${tenants.map((x) => html`<option value="${x.ruc}">${tenantLabel(x)}</option>`)}
+          </select>
+        </label>`
+    : html`<input type="hidden" name="tenant" value="${scope}" />`;
+  return page(html`
+      ${sessionBar(i18n, session)}
+      <h2>👥 ${t("session.users")}</h2>
+      <p><a href="/manage">← ${t("manage.title")}</a></p>
+      ${error(message)}
+      <table border="1" cellspacing="0" cellpadding="6" style="border-collapse:collapse; width:100%;">
+        <thead><tr style="background:#f7f7f7"><th>${t("login.username")}</th><th>${t("account.role")}</th><th>${t("users.tenant")}</th><th>${t("manage.status")}</th><th>${t("manage.actions")}</th></tr></thead>
+        <tbody>${rows.length ? rows : html`<tr><td colspan="5" style="text-align:center; color:#666">${t("users.empty")}</td></tr>`}</tbody>
+      </table>
+      <h3>${t("users.new")}</h3>
+      <form action="/admin/users" method="post" style="border:1px solid #ddd; padding:16px; border-radius:10px; max-width:600px">
+        <label>${t("login.username")} <input name="username" required /></label>
+        <label>${t("login.password")} <input type="password" name="password" autocomplete="new-password" required /></label><br/><br/>
+        <label>${t("account.role")}
+          <select name="role">
+            ${roles.map((r) => html`<option value="${r}">${t(`role.${r}`)}</option>`)}
+          </select>
+        </label>
+        ${tenantField}
+        <br/><br/><button type="submit">${t("users.create")}</button>
+      </form>`);
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session       { user, tenant }
+ * @param {object[]} data.tenants     empresas (ya ordenadas)
+ * @param {string|null} data.current  empresa activa del superadministrador (null = todas)
+ * @param {string} [data.message]     error del último formulario (texto plano)
+ */
+export function tenantsPage(i18n, { session, tenants, current, message = "" }) {
+  const { t, h } = i18n;
+  const rows = tenants.map((x) => {
+    const form = `tenant-${x.ruc}`;
+    return html`
+        <tr>
+          <td><code>${x.ruc}</code></td>
+          <td><input form="${form}" name="name" value="${x.name}" required /></td>
+          <td><input form="${form}" name="s3Prefix" value="${x.s3Prefix || ""}" placeholder="${t("tenants.defaultPrefix")}" /></td>
+          <td><input form="${form}" type="number" name="defaultTtlDays" min="0" max="3650" value="${x.defaultTtlDays ?? ""}" placeholder="${t("tenants.globalTtl")}" style="width:90px" /></td>
+          <td><form id="${form}" action="/admin/tenants/${x.ruc}" method="post"><button type="submit">${t("detail.save")}</button></form></td>
+          <td>
+            <form action="/admin/tenants/${x.ruc}/logo" method="post" enctype="multipart/form-data" style="display:inline">
+              <input type="file" name="logo" accept="image/png" required /> <button type="submit">${t("tenants.logo.upload")}</button>
+            </form>
+            ${x.logoKey && html`<form action="/admin/tenants/${x.ruc}/logo" method="post" style="display:inline"><input type="hidden" name="remove" value="1" /><button type="submit">${t("tenants.logo.remove")}</button></form> ✔️`}
+          </td>
+        </tr>`;
+  });
+  return page(html`
+      ${sessionBar(i18n, session)}
+      <h2>🏢 ${t("session.tenants")}</h2>
+      <p><a href="/manage">← ${t("manage.title")}</a> | <a href="/admin/users">${t("session.users")}</a></p>
+      ${error(message)}
+      <form action="/admin/tenant" method="post">
+        <label>${t("tenants.workWith")}
+          <select name="ruc">
+            <option value="">${t("session.allTenants")}</option>
+            ${tenants.map((x) => html`<option value="${x.ruc}"${x.ruc === current && " selected"}>${tenantLabel(x)}</option>`)}
+          </select>
+        </label>
+        <button type="submit">${t("tenants.switch")}</button>
+      </form>
+      <br/>
+      <table border="1" cellspacing="0" cellpadding="6" style="border-collapse:collapse; width:100%;">
+        <thead><tr style="background:#f7f7f7"><th>RUC</th><th>${t("tenants.name")}</th><th>${t("tenants.prefix")}</th><th>${t("tenants.ttl")}</th><th></th><th>${t("tenants.logo")}</th></tr></thead>
+        <tbody>${rows.length ? rows : html`<tr><td colspan="6" style="text-align:center; color:#666">${t("tenants.empty")}</td></tr>`}</tbody>
+      </table>
+      <p style="color:#666; font-size:13px">
+        ${t("tenants.note")}
+        ${h("tenants.logo.note", { param: html`<code>?logo=1</code>` })}
+      </p>
+      <h3>${t("tenants.new")}</h3>
+      <form action="/admin/tenants" method="post" style="border:1px solid #ddd; padding:16px; border-radius:10px; max-width:600px">
+        <label>RUC <input name="ruc" inputmode="numeric" maxlength="11" required /></label>
+        <label>${t("tenants.name")} <input name="name" required /></label><br/><br/>
+        <label>${t("tenants.prefix.short")} <input name="s3Prefix" placeholder="${t("tenants.prefix.placeholder")}" /></label>
+        <label>${t("tenants.ttl.short")} <input type="number" name="defaultTtlDays" min="0" max="3650" style="width:90px" /></label>
+        <br/><br/><button type="submit">${t("users.create")}</button>
+      </form>`);
+}
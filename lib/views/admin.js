@@ -0,0 +1,157 @@
+import { html, confirmJs } from "../html.js";
+import { RECONCILE_KINDS } from "../reconcile.js";
+import { sessionBar } from "./layout.js";
+
+// Tareas de administración: purga, reindexado, conciliación del almacenamiento
+// y cuarentena del antivirus. GET muestra lo que se haría y POST lo ejecuta.
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session        { user, tenant }
+ * @param {number} data.expired        documentos vencidos que irán a la papelera
+ * @param {number} data.due            documentos de la papelera que se borrarán
+ * @param {number} data.retentionDays  días en la papelera
+ * @param {boolean} data.pruneLogs     también se recortan los registros (purga global)
+ */
+export function purgePage(i18n, { session, expired, due, retentionDays, pruneLogs }) {
+  const { t } = i18n;
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>🧹 ${t("manage.purge")}</h2>
+      <p><a href="/manage">← ${t("manage.title")}</a></p>
+      <ul>
+        <li>${t("purge.expired", { n: expired })}</li>
+        <li>${t("purge.due", { n: due, days: retentionDays })}</li>
+        ${pruneLogs && html`<li>${t("purge.logs")}</li>`}
+      </ul>
+      <form action="/admin/purge" method="post" onsubmit="${confirmJs(t("purge.confirm"))}">
+        <button type="submit">${t("purge.run")}</button>
+      </form>
+    </div>`);
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session  { user, tenant }
+ * @param {object} data.counts   { created, qrCreated, assigned }
+ */
+export function reindexPage(i18n, { session, counts }) {
+  const { t } = i18n;
+  const pending = counts.created + counts.qrCreated + counts.assigned;
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>🔄 ${t("reindex.title")}</h2>
+      <p><a href="/tokens">← Tokens</a> · <a href="/admin/reconcile">${t("reconcile.title")}</a></p>
+      <ul>
+        <li>${t("reindex.created", { n: counts.created })}</li>
+        <li>${t("reindex.qrCreated", { n: counts.qrCreated })}</li>
+        <li>${t("reindex.assigned", { n: counts.assigned })}</li>
+      </ul>
+      <form action="/admin/reindex" method="post">
+        <button type="submit"${!pending && " disabled"}>${t("reindex.run")}</button>
+      </form>
+    </div>`);
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session     { user, tenant }
+ * @param {object} data.report      ver buildReconcileReport (lib/reconcile.js)
+ * @param {object[]|null} [data.results]  correcciones aplicadas: { id, fix, ok, error? }
+ */
+export function reconcilePage(i18n, { session, report, results = null }) {
+  const { t } = i18n;
+  const sections = Object.entries(RECONCILE_KINDS)
+    .filter(([kind]) => report.counts[kind])
+    .map(([kind, fixes]) => {
+      const rows = report.issues
+        .filter((i) => i.kind === kind)
+        .map((i) => html`
+          <tr>
+            <td><input type="checkbox" name="issues" value="${i.id}" checked /></td>
+            <td>${i.token && html`<a href="/manage/${encodeURIComponent(i.token)}"><code>${i.token.slice(0, 12)}…</code></a>`}</td>
+            <td><code>${i.key || ""}</code></td>
+            <td>${i.detail || ""}${i.uploadedAt && html`<br/><small>${t("reconcile.uploaded")}: ${i18n.dateTime(i.uploadedAt)}</small>`}</td>
+          </tr>`);
+      return html`
+        <h3>${t(`reconcile.kind.${kind}`)} (${report.counts[kind]})</h3>
+        <p>${t("reconcile.fix")}:
+          ${fixes.length > 1
+            ? html`<select name="mode_${kind}">${fixes.map((f) => html`<option value="${f}">${t(`reconcile.fix.${kind}.${f}`)}</option>`)}</select>`
+            : t(`reconcile.fix.${kind}.${fixes[0]}`)}
+        </p>
+        <table border="1" cellspacing="0" cellpadding="4" style="border-collapse:collapse; width:100%; max-width:1100px; font-size:13px">
+          <thead><tr style="background:#f7f7f7"><th></th><th>Token</th><th>${t("reconcile.object")}</th><th>${t("detail.emails.detail")}</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>`;
+    });
+  const failed = results ? results.filter((r) => !r.ok) : [];
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>🧮 ${t("reconcile.title")}</h2>
+      <p><a href="/manage">← ${t("manage.title")}</a> | <a href="/admin/reconcile?format=json">JSON</a></p>
+      ${results && html`
+      <h3>${t("reconcile.result")}</h3>
+      <p>${t("reconcile.applied", { ok: results.length - failed.length, failed: failed.length })}</p>
+      <ul>${failed.map((r) => html`<li><code>${r.id}</code>: ${r.error || t("reconcile.skipped")}</li>`)}</ul>`}
+      <p>${t("reconcile.scanned", { entries: report.scanned.entries, backups: report.scanned.backups, objects: report.scanned.objects })}
+        ${report.issues.length ? html`<strong>${t("reconcile.issues", { n: report.issues.length })}</strong> ${t("reconcile.dryRun")}` : `✅ ${t("reconcile.clean")}`}</p>
+      ${report.issues.length > 0 && html`
+      <form action="/admin/reconcile" method="post" onsubmit="${confirmJs(t("reconcile.confirm"))}">
+        ${sections}
+        <p><button type="submit" style="background:#dc3545; color:white; border:none; padding:10px 16px; border-radius:6px; cursor:pointer">${t("reconcile.apply")}</button></p>
+      </form>`}
+    </div>`);
+}
+
+/**
+ * Archivos bloqueados por el antivirus. No se publican; el administrador puede
+ * descargarlos (como binario) para revisarlos o eliminarlos.
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session   { user, tenant }
+ * @param {object[]} data.items   entradas de la cuarentena (lib/quarantine.js)
+ * @param {object} data.scanner   { enabled, name, url, action: "reject" | "quarantine" }
+ */
+export function quarantinePage(i18n, { session, items, scanner }) {
+  const { t } = i18n;
+  const rows = items.map((q) => {
+    const id = encodeURIComponent(q.id);
+    return html`
+        <tr>
+          <td>${i18n.dateTime(q.createdAt)}</td>
+          <td>${q.originalName}<br/><small><code>${q.sha256}</code></small></td>
+          <td>${q.signature}</td>
+          <td>${q.uploadedBy || "-"}</td>
+          <td>${q.tenant || "-"}</td>
+          <td>
+            <a href="/admin/quarantine/${id}/file">${t("quarantine.download")}</a>
+            <form action="/admin/quarantine/${id}/delete" method="post" style="display:inline" onsubmit="${confirmJs(t("quarantine.deleteConfirm"))}">
+              <button type="submit">${t("delete.action")}</button>
+            </form>
+          </td>
+        </tr>`;
+  });
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>🦠 ${t("manage.quarantine")}</h2>
+      <p><a href="/manage">← ${t("manage.title")}</a></p>
+      <p>${t("quarantine.scanner")}: ${scanner.enabled
+        ? `${scanner.name} (${scanner.url}) · ${t(`quarantine.action.${scanner.action}`)}`
+        : t("quarantine.disabled")}</p>
+      <table border="1" cellspacing="0" cellpadding="6" style="border-collapse:collapse; width:100%; max-width:1100px;">
+        <thead><tr style="background:#f7f7f7"><th>${t("detail.accesses.date")}</th><th>${t("upload.file")}</th><th>${t("quarantine.signature")}</th><th>${t("quarantine.uploadedBy")}</th><th>${t("quarantine.tenant")}</th><th>${t("manage.actions")}</th></tr></thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td colspan="6" style="text-align:center; color:#666">${t("quarantine.empty")}</td></tr>`}
+        </tbody>
+      </table>
+      <p style="color:#666; font-size:13px">${t("quarantine.warning")}</p>
+    </div>`);
+}
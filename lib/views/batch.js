@@ -0,0 +1,92 @@
+import { html } from "../html.js";
+import { MAX_TTL_DAYS } from "../linkPolicy.js";
+import { sessionBar, messagePage } from "./layout.js";
+
+// Subida por lotes (/batch) y reporte de un lote
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session   { user, tenant }
+ * @param {number} data.ttlDays   vigencia por defecto de la empresa (0 = sin vencimiento)
+ * @param {number} data.maxFiles  documentos por lote
+ * @param {string} data.idempotencyKey  clave del formulario (reenviarlo no crea otro lote)
+ */
+export function batchFormPage(i18n, { session, ttlDays, maxFiles, idempotencyKey }) {
+  const { t } = i18n;
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 40px; text-align:center">
+      ${sessionBar(i18n, session)}
+      <h2>📦 ${t("home.links.batch")}</h2>
+      <form action="/batch" method="post" enctype="multipart/form-data" style="border:1px solid #ddd; padding:20px; display:inline-block; border-radius:10px">
+        <input type="hidden" name="idempotencyKey" value="${idempotencyKey}" />
+        <label>${t("batch.files", { n: maxFiles })}</label><br/>
+        <input type="file" name="pdfs" accept="application/pdf,.pdf,.zip,application/zip" multiple required />
+        <br/><br/>
+        <label><input type="checkbox" name="stamp" value="1" /> ${t("batch.stamp")}</label>
+        <input type="hidden" name="stampCaption" value="1" />
+        <br/><br/>
+        <label>${t("home.access.ttlDays")}: <input type="number" name="ttlDays" min="0" max="${MAX_TTL_DAYS}" placeholder="${ttlDays > 0 ? ttlDays : t("common.noExpiry")}" style="width:90px" /></label>
+        <label><input type="checkbox" name="noExpiry" value="1" /> ${t("common.noExpiry")}</label>
+        <br/><br/>
+        <label>${t("batch.duplicate")}:
+          <select name="duplicate">
+            <option value="ask">${t("batch.duplicate.ask")}</option>
+            <option value="reuse">${t("duplicate.reuse")}</option>
+            <option value="new">${t("duplicate.new")}</option>
+          </select>
+        </label>
+        <br/><br/>
+        <button type="submit" style="background:#007bff; color:white; border:none; padding:10px 20px; border-radius:6px; cursor:pointer">${t("batch.submit")}</button>
+      </form>
+      <p style="margin-top:16px"><a href="/">← ${t("batch.single")}</a></p>
+    </div>`);
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session  { user, tenant }
+ * @param {object} data.report   lote presentado (ver presentBatch en server.js)
+ */
+export function batchReportPage(i18n, { session, report }) {
+  const { t } = i18n;
+  const rows = report.results.map((r) => html`
+        <tr>
+          <td>${r.ok ? (r.reused ? "♻️" : "✅") : "❌"}</td>
+          <td>${r.name}</td>
+          <td>
+            ${r.ok
+              ? html`<a href="${r.viewUrl}" target="_blank">${t("list.viewPdf")}</a> | <a href="${r.qrUrl}" target="_blank">QR</a>${r.reused && ` (${t("batch.reused")})`}`
+              : r.error}
+            ${r.duplicateOf && html` <a href="/manage/${encodeURIComponent(r.duplicateOf)}">${t("batch.viewExisting")}</a>`}
+          </td>
+          <td>${r.ok ? (r.expiresAt ? i18n.dateTime(r.expiresAt) : t("common.noExpiry")) : "-"}</td>
+        </tr>`);
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>📦 ${t("batch.result")}</h2>
+      <p>${t("batch.summary", { ok: report.succeeded, total: report.total })}${report.failed > 0 && `, ${t("batch.failed", { n: report.failed })}`}.</p>
+      <p>
+        <a href="${report.sheetUrl}">🖨️ ${t("batch.sheet")}</a> |
+        <a href="/batch/${encodeURIComponent(report.id)}?format=json">${t("batch.json")}</a> |
+        <a href="/batch">${t("batch.another")}</a> |
+        <a href="/manage">${t("tokens.manage")}</a>
+      </p>
+      <table border="1" cellspacing="0" cellpadding="6" style="border-collapse:collapse">
+        <thead><tr><th></th><th>${t("upload.file")}</th><th>${t("batch.linksOrError")}</th><th>${t("sort.expiresAt")}</th></tr></thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td colspan="4">${t("batch.empty")}</td></tr>`}
+        </tbody>
+      </table>
+    </div>`);
+}
+
+// POST /batch con opciones inválidas (estampado, enlace o duplicados)
+export const batchInvalidPage = (i18n, errors) =>
+  messagePage(i18n, {
+    title: `⚠️ ${i18n.t("batch.invalid")}`,
+    items: Object.values(errors),
+    back: { href: "/batch", label: `← ${i18n.t("batch.backToForm")}` },
+  });
@@ -0,0 +1,151 @@
+import { html, confirmJs } from "../html.js";
+import { linkStatus, MAX_TTL_DAYS, MAX_VIEWS_LIMIT } from "../linkPolicy.js";
+import { sessionBar } from "./layout.js";
+import { emailForm } from "./upload.js";
+
+// Detalle de un documento (/manage/:token) y confirmación de envío a la papelera
+
+// Resumen y últimos accesos del token, con enlaces de exportación
+function accessSection(i18n, token, { summary, items, shown, retentionDays }) {
+  const { t } = i18n;
+  const path = encodeURIComponent(token);
+  const outcomes = Object.entries(summary.byOutcome).map(([k, n]) => `${t(`accessOutcome.${k}`)}: ${n}`).join(" · ");
+  return html`
+      <p>
+        ${t("detail.accesses.total", { n: summary.total })}${outcomes && ` (${outcomes})`} ·
+        ${t("detail.accesses.visitors", { n: summary.visitors })} · ${t("detail.accesses.qrScans", { n: summary.qrScans })} ·
+        ${t("detail.accesses.last")}: ${summary.lastAt ? i18n.dateTime(summary.lastAt) : t("manage.never").toLowerCase()}
+      </p>
+      <p>${t("detail.accesses.export")}: <a href="/manage/${path}/accesses?format=csv">CSV</a> · <a href="/manage/${path}/accesses?format=json">JSON</a>
+        ${retentionDays > 0 && ` · ${t("detail.accesses.retention", { n: retentionDays })}`}</p>
+      <table border="1" cellspacing="0" cellpadding="4" style="border-collapse:collapse; width:100%">
+        <thead><tr style="background:#f7f7f7"><th>${t("detail.accesses.date")}</th><th>${t("detail.accesses.outcome")}</th><th>${t("detail.accesses.source")}</th><th>${t("detail.accesses.ip")}</th><th>${t("detail.accesses.browser")}</th></tr></thead>
+        <tbody>
+          ${items.length
+            ? items.map((a) => html`
+          <tr>
+            <td>${i18n.dateTime(a.at)}</td>
+            <td>${t(`accessOutcome.${a.outcome}`)}</td>
+            <td>${a.referrer || t(`accessSource.${a.source}`)}</td>
+            <td><code>${a.ipHash || "-"}</code></td>
+            <td style="font-size:12px">${a.userAgent || "-"}</td>
+          </tr>`)
+            : html`<tr><td colspan="5" style="text-align:center; color:#666">${t("detail.accesses.empty")}</td></tr>`}
+        </tbody>
+      </table>
+      ${summary.total > shown && html`<p style="color:#666">${t("detail.accesses.shown", { n: shown })}</p>`}`;
+}
+
+// Envíos por correo del documento (historial y formulario para enviar otro)
+function emailSection(i18n, token, { records, enabled, canSend }) {
+  const { t } = i18n;
+  const path = encodeURIComponent(token);
+  return html`
+      <table border="1" cellspacing="0" cellpadding="4" style="border-collapse:collapse; width:100%">
+        <thead><tr style="background:#f7f7f7"><th>${t("detail.emails.to")}</th><th>${t("detail.emails.date")}</th><th>${t("manage.status")}</th><th>${t("detail.emails.attempts")}</th><th>${t("detail.emails.detail")}</th><th></th></tr></thead>
+        <tbody>
+          ${records.length
+            ? records.map((r) => html`
+          <tr>
+            <td>${r.to}</td>
+            <td>${i18n.dateTime(r.sentAt || r.createdAt)}</td>
+            <td>${t(`emailStatus.${r.status}`)}${r.attachPdf && " · 📎 PDF"}</td>
+            <td>${r.attempts}</td>
+            <td style="font-size:12px">${r.lastError || ""}${r.requestedBy && html` <span style="color:#666">(${r.requestedBy})</span>`}</td>
+            <td>${r.status === "failed" && canSend && html`<form action="/manage/${path}/emails/${encodeURIComponent(r.id)}/retry" method="post" style="margin:0"><button type="submit">${t("detail.emails.retry")}</button></form>`}</td>
+          </tr>`)
+            : html`<tr><td colspan="6" style="text-align:center; color:#666">${t("detail.emails.empty")}</td></tr>`}
+        </tbody>
+      </table>
+      ${canSend && emailForm(i18n, token, enabled)}`;
+}
+
+/**
+ * Política del enlace (vencimiento, vistas, contraseña, revocación y reemisión
+ * del token), registro de accesos y envíos por correo.
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session   { user, tenant }
+ * @param {object} data.entry     documento
+ * @param {string} [data.message] error del último formulario (texto plano)
+ * @param {object} data.accesses  { summary, items, shown, retentionDays } (ver lib/accessLog.js)
+ * @param {object} data.emails    { records, enabled, canSend } (ver lib/mailer.js)
+ */
+export function documentPage(i18n, { session, entry, message = "", accesses, emails }) {
+  const { t } = i18n;
+  const token = encodeURIComponent(entry.token);
+  const status = linkStatus(entry);
+  const replaced = Boolean(entry.replacedBy);
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px; max-width: 720px;">
+      ${sessionBar(i18n, session)}
+      <h2>📄 ${entry.originalName || entry.filename || t("detail.document")}</h2>
+      <p><a href="/manage">← ${t("manage.title")}</a></p>
+      ${message && html`<p style="color:#dc3545">${message}</p>`}
+      <table cellpadding="4">
+        <tr><td><strong>${t("manage.status")}</strong></td><td>${t(`status.${status}`)}</td></tr>
+        <tr><td><strong>${t("upload.expires")}</strong></td><td>${entry.expiresAt ? i18n.dateTime(entry.expiresAt) : t("common.noExpiry")}</td></tr>
+        <tr><td><strong>${t("view.views")}</strong></td><td>${entry.maxViews ? t("view.viewsOf", { views: entry.views || 0, max: entry.maxViews }) : `${entry.views || 0} (${t("home.access.noLimit").toLowerCase()})`}</td></tr>
+        <tr><td><strong>${t("home.access.password")}</strong></td><td>${entry.passwordHash ? t("common.yes") : t("common.no")}</td></tr>
+        ${entry.pages > 0 && html`<tr><td><strong>PDF</strong></td><td>${t("detail.pdfInfo", { version: entry.pdfVersion, pages: entry.pages })}${entry.scannedAt && ` · ${t("detail.scanned")}`}</td></tr>`}
+        <tr><td><strong>SHA-256</strong></td><td>${entry.sha256 ? html`<code style="word-break:break-all">${entry.sha256}</code> · <a href="/verify/${token}" target="_blank">${t("upload.publicVerify")}</a>` : t("detail.noHash")}</td></tr>
+        ${entry.revokedAt && html`<tr><td><strong>${t("status.revoked")}</strong></td><td>${i18n.dateTime(entry.revokedAt)}</td></tr>`}
+        ${replaced && html`<tr><td><strong>${t("detail.replacedBy")}</strong></td><td><a href="/manage/${encodeURIComponent(entry.replacedBy)}">${t("detail.newToken")}</a></td></tr>`}
+        ${entry.reissuedFrom && html`<tr><td><strong>${t("detail.replaces")}</strong></td><td><a href="/manage/${encodeURIComponent(entry.reissuedFrom)}">${t("detail.oldToken")}</a></td></tr>`}
+      </table>
+      ${!replaced && html`<p><a href="/view/${token}" target="_blank">${t("list.viewPdf")}</a> | <a href="/qr/${token}" target="_blank">${t("list.viewQr")}</a></p>`}
+
+      <h3>${t("detail.policy")}</h3>
+      <form action="/manage/${token}/policy" method="post">
+        <label>${t("manage.extend")} <input type="number" name="extendDays" min="1" max="${MAX_TTL_DAYS}" style="width:80px" /> ${t("manage.days")}</label>
+        ${t("detail.or")} <label>${t("detail.expiresOn")} <input type="date" name="expiresAt" /></label>
+        <label><input type="checkbox" name="noExpiry" value="1" /> ${t("common.noExpiry")}</label><br/><br/>
+        <label>${t("home.access.maxViews")} <input type="number" name="maxViews" min="0" max="${MAX_VIEWS_LIMIT}" placeholder="${entry.maxViews || t("home.access.noLimit")}" style="width:100px" /> (${t("detail.zeroNoLimit")})</label>
+        <label><input type="checkbox" name="resetViews" value="1" /> ${t("detail.resetViews")}</label><br/><br/>
+        <button type="submit"${replaced && " disabled"}>${t("detail.save")}</button>
+      </form>
+
+      <h3>${t("home.access.password")}</h3>
+      <form action="/manage/${token}/policy" method="post">
+        <input type="password" name="password" autocomplete="new-password" placeholder="${t("detail.newPassword")}" />
+        ${entry.passwordHash && html`<label><input type="checkbox" name="removePassword" value="1" /> ${t("detail.removePassword")}</label>`}
+        <button type="submit"${replaced && " disabled"}>${t("detail.save")}</button>
+      </form>
+
+      <h3>${t("manage.accesses")}</h3>
+      ${accessSection(i18n, entry.token, accesses)}
+
+      <h3 id="email">${t("detail.emails")}</h3>
+      ${emailSection(i18n, entry.token, emails)}
+
+      <h3>${t("detail.revokeOrReissue")}</h3>
+      <form action="/manage/${token}/revoke" method="post" style="display:inline" onsubmit="${confirmJs(t("detail.revokeConfirm"))}">
+        <button type="submit"${entry.revokedAt && " disabled"} style="color:#dc3545">${t("detail.revoke")}</button>
+      </form>
+      <form action="/manage/${token}/reissue" method="post" style="display:inline" onsubmit="${confirmJs(t("detail.reissueConfirm"))}">
+        <button type="submit"${replaced && " disabled"}>${t("detail.reissue")}</button>
+      </form>
+    </div>`);
+}
+
+/**
+ * Confirmación de GET /delete/:token (el envío va por POST con token CSRF)
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session        { user, tenant }
+ * @param {object} data.entry          documento
+ * @param {number} data.retentionDays  días que se conserva en la papelera
+ */
+export function deleteConfirmPage(i18n, { session, entry, retentionDays }) {
+  const { t } = i18n;
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>🗑️ ${t("delete.title")}</h2>
+      <p>${t("delete.body", { name: entry.originalName || entry.filename, days: retentionDays })}</p>
+      <form action="/delete/${encodeURIComponent(entry.token)}" method="post">
+        <button type="submit" style="color:#dc3545">${t("delete.title")}</button>
+        <a href="/manage">${t("common.cancel")}</a>
+      </form>
+    </div>`);
+}
@@ -0,0 +1,226 @@
+import { html, confirmJs } from "../html.js";
+import { invoiceLabel } from "../sunat.js";
+import { linkStatus, MAX_TTL_DAYS } from "../linkPolicy.js";
+import { DOCUMENT_STATUSES, PAGE_SIZES, queryString } from "../documentQuery.js";
+import { hasRole } from "../auth.js";
+import { sessionBar, deleteButton } from "./layout.js";
+
+// Listados de documentos: /tokens y /manage (búsqueda, orden, paginación y
+// acciones). Los datos llegan ya filtrados y paginados (ver lib/documentQuery.js).
+
+function listingFilters(i18n, path, query, errors) {
+  const { t } = i18n;
+  return html`
+      ${errors && html`<p style="color:#dc3545">${Object.values(errors).join(" ")}</p>`}
+      <form action="${path}" method="get" style="border:1px solid #ddd; padding:12px; border-radius:10px; margin-bottom:12px">
+        <input name="q" value="${query.q ?? ""}" placeholder="${t("list.search")}" style="width:240px" />
+        <select name="status">
+          <option value="">${t("list.allStatuses")}</option>
+          ${DOCUMENT_STATUSES.map((s) => html`<option value="${s}"${query.status === s ? " selected" : ""}>${t(`status.${s}`)}</option>`)}
+        </select>
+        ${t("list.uploadedFrom")} <input type="date" name="from" value="${query.from ?? ""}" /> ${t("list.uploadedTo")} <input type="date" name="to" value="${query.to ?? ""}" />
+        ${t("list.size")} <input name="minKb" value="${query.minKb ?? ""}" inputmode="decimal" placeholder="${t("list.min")}" style="width:60px" />
+        ${t("list.sizeTo")} <input name="maxKb" value="${query.maxKb ?? ""}" inputmode="decimal" placeholder="${t("list.max")}" style="width:60px" /> KB
+        <select name="limit">${PAGE_SIZES.map((n) => html`<option value="${n}"${query.limit === n ? " selected" : ""}>${t("list.perPage", { n })}</option>`)}</select>
+        <input type="hidden" name="sort" value="${query.sort}" />
+        <input type="hidden" name="dir" value="${query.dir}" />
+        <button type="submit">${t("list.searchButton")}</button>
+        <a href="${path}">${t("list.clear")}</a> ·
+        <a href="${path}${queryString(query, { format: "csv" })}">${t("list.exportCsv")}</a>
+      </form>`;
+}
+
+// Encabezado que ordena por la columna (un segundo clic invierte el orden)
+function sortHeader(i18n, path, query, field) {
+  const active = query.sort === field;
+  const dir = active && query.dir === "desc" ? "asc" : "desc";
+  const arrow = active ? (query.dir === "desc" ? " ▼" : " ▲") : "";
+  return html`<a href="${path}${queryString(query, { sort: field, dir })}">${i18n.t(`sort.${field}`)}${arrow}</a>`;
+}
+
+const pagination = (i18n, path, query, page) => html`
+      <p>
+        ${i18n.t("list.total", { n: page.total })}
+        ${page.prev && html` · <a href="${path}${queryString(query)}">« ${i18n.t("list.first")}</a> · <a href="${path}${queryString(query, { before: page.prev })}">‹ ${i18n.t("list.prev")}</a>`}
+        ${page.next && html` · <a href="${path}${queryString(query, { after: page.next })}">${i18n.t("list.next")} ›</a>`}
+      </p>`;
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session  { user, tenant }
+ * @param {object} data.query    ver parseDocumentQuery
+ * @param {object} [data.page]   ver queryDocuments (falta si la query tiene errores)
+ * @param {object} [data.errors]
+ */
+export function tokensPage(i18n, { session, query, page, errors }) {
+  const { t } = i18n;
+  const canDelete = hasRole(session.user, "admin");
+  const rows = (page?.items || []).map((info) => {
+    const token = encodeURIComponent(info.token);
+    const status = linkStatus(info);
+    return html`
+        <tr>
+          <td><code>${info.token}</code></td>
+          <td>${info.originalName || "-"}</td>
+          <td><code>${info.filename || "-"}</code></td>
+          <td>${info.createdAt ? i18n.dateTime(info.createdAt) : "-"}</td>
+          <td>${info.expiresAt ? i18n.dateTime(info.expiresAt) : t("common.noExpiry")} ${status !== "active" && `(${t(`status.${status}`).toLowerCase()})`}</td>
+          <td>
+            <a href="/view/${token}" target="_blank">${t("list.viewPdf")}</a> |
+            <a href="/qr/${token}" target="_blank">${t("list.viewQr")}</a>
+            ${canDelete && html`| ${deleteButton(i18n, info.token)}`}
+          </td>
+        </tr>`;
+  });
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>${t("tokens.title")}</h2>
+      <p><a href="/">← ${t("upload.backToForm")}</a> | <a href="/manage">${t("tokens.manage")}</a></p>
+      ${listingFilters(i18n, "/tokens", query, errors)}
+      <table border="1" cellspacing="0" cellpadding="6">
+        <thead>
+          <tr>
+            <th>Token</th>
+            <th>${sortHeader(i18n, "/tokens", query, "originalName")}</th>
+            <th>${t("tokens.file")}</th>
+            <th>${sortHeader(i18n, "/tokens", query, "createdAt")}</th>
+            <th>${sortHeader(i18n, "/tokens", query, "expiresAt")}</th>
+            <th>${t("list.links")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td colspan="6">${t("tokens.empty")}</td></tr>`}
+        </tbody>
+      </table>
+      ${page && pagination(i18n, "/tokens", query, page)}
+    </div>
+  `);
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data  como tokensPage, más:
+ * @param {string} data.here  URL actual (vuelta de las acciones en lote)
+ * @param {{ action: string, n: number }|null} data.done  resultado de la última acción en lote
+ * @param {object} [data.emails]  envíos por correo de los documentos de la página: { [token]: { count, last } }
+ */
+export function managePage(i18n, { session, query, page, errors, here, done, emails = {} }) {
+  const { t } = i18n;
+  const canEdit = hasRole(session.user, "admin");
+  const rows = (page?.items || []).map((info) => {
+    const token = encodeURIComponent(info.token);
+    const status = linkStatus(info);
+    const name = info.originalName || info.filename;
+    const sent = emails[info.token];
+    return html`
+        <tr>
+          ${canEdit && html`<td><input type="checkbox" name="tokens" value="${info.token}" form="bulk" /></td>`}
+          <td>${name}${info.invoice && html`<br/><small>${invoiceLabel(info.invoice)}</small>`}</td>
+          <td>${i18n.dateTime(info.createdAt)}${info.size > 0 && ` (${i18n.number(info.size / 1024, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} KB)`}</td>
+          <td>${t(`status.${status}`)}${info.passwordHash && " · 🔒"}</td>
+          <td>${info.expiresAt ? i18n.date(info.expiresAt) : t("common.noExpiry")}</td>
+          <td>${info.views || 0}${info.maxViews > 0 && ` / ${info.maxViews}`}</td>
+          <td>${info.lastViewedAt ? i18n.dateTime(info.lastViewedAt) : t("manage.never")}</td>
+          <td><a href="/view/${token}" target="_blank">PDF</a> | <a href="/qr/${token}" target="_blank">QR</a></td>
+          <td>
+            ${sent && html`<span title="${sent.last.to}">${t(`emailStatus.${sent.last.status}`)} · ${i18n.dateTime(sent.last.createdAt)}${sent.count > 1 && ` (${sent.count})`}</span><br/>`}
+            ${status === "active" && html`<a href="/manage/${token}#email">✉️ ${t("manage.emails.send")}</a>`}
+          </td>
+          <td>
+            <a href="/manage/${token}">${t("manage.detail")}</a>
+            ${canEdit && html`| ${deleteButton(i18n, info.token, { name })}`}
+          </td>
+        </tr>`;
+  });
+  const columns = canEdit ? 10 : 9;
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>📂 ${t("manage.title")}</h2>
+      <p>
+        <a href="/">← ${t("upload.backToForm")}</a> |
+        ${t("manage.accesses")}: <a href="/admin/accesses?format=csv">CSV</a> · <a href="/admin/accesses?format=json">JSON</a>
+        ${canEdit && html`| <a href="/admin/webhooks">Webhooks</a> | <a href="/admin/quarantine">${t("manage.quarantine")}</a> | <a href="/admin/reconcile">${t("manage.reconcile")}</a> | <a href="/manage/trash">${t("manage.trash")}</a> | <a href="/admin/purge">${t("manage.purge")}</a>`}
+      </p>
+      ${done && html`<p style="color:#28a745">${t(`manage.bulk.${done.action}`, { n: done.n })}</p>`}
+      ${listingFilters(i18n, "/manage", query, errors)}
+      ${canEdit && html`
+      <form id="bulk" action="/manage/bulk" method="post" style="margin-bottom:8px">
+        <input type="hidden" name="back" value="${here}" />
+        ${t("manage.selected")}:
+        <button type="submit" name="action" value="extend">${t("manage.extend")}</button>
+        <input type="number" name="extendDays" min="1" max="${MAX_TTL_DAYS}" value="30" style="width:70px" /> ${t("manage.days")} ·
+        <button type="submit" name="action" value="delete" style="color:#dc3545" onclick="${confirmJs(t("manage.bulkDeleteConfirm"))}">${t("delete.action")}</button>
+      </form>`}
+      <table border="1" cellspacing="0" cellpadding="6" style="border-collapse:collapse; width:100%; max-width:1100px;">
+        <thead>
+          <tr style="background:#f7f7f7">
+            ${canEdit && html`<th><input type="checkbox" onclick="document.querySelectorAll('input[name=tokens]').forEach((c) => (c.checked = this.checked))" /></th>`}
+            <th>${sortHeader(i18n, "/manage", query, "originalName")}</th>
+            <th>${sortHeader(i18n, "/manage", query, "createdAt")} (${sortHeader(i18n, "/manage", query, "size")})</th>
+            <th>${t("manage.status")}</th>
+            <th>${sortHeader(i18n, "/manage", query, "expiresAt")}</th>
+            <th>${sortHeader(i18n, "/manage", query, "views")}</th>
+            <th>${t("manage.lastView")}</th><th>${t("list.links")}</th><th>${t("manage.emails")}</th><th>${t("manage.actions")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td colspan="${columns}" style="text-align:center; color:#666">${t("manage.empty")}</td></tr>`}
+        </tbody>
+      </table>
+      ${page && pagination(i18n, "/manage", query, page)}
+    </div>
+  `);
+}
+
+/**
+ * Papelera: documentos eliminados o vencidos que aún se pueden restaurar
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session        { user, tenant }
+ * @param {object[]} data.items        { entry, expired, purgeAt }, más recientes primero
+ * @param {number} data.retentionDays  días en la papelera antes del borrado definitivo
+ * @param {string} [data.done]         acción recién hecha: restored | purged
+ * @param {string} [data.error]        error al restaurar (texto plano)
+ */
+export function trashPage(i18n, { session, items, retentionDays, done, error }) {
+  const { t } = i18n;
+  const rows = items.map(({ entry: e, expired, purgeAt }) => {
+    const token = encodeURIComponent(e.token);
+    const name = e.originalName || e.filename || t("detail.document");
+    return html`
+        <tr>
+          <td>${name}${e.invoice && html`<br/><small>${invoiceLabel(e.invoice)}</small>`}</td>
+          <td>${i18n.dateTime(e.createdAt)}</td>
+          <td>${i18n.dateTime(e.deletedAt)}<br/><small>${e.deleteReason && t(`status.${e.deleteReason}`)}${e.deletedBy && ` ${t("trash.by", { user: e.deletedBy })}`}</small></td>
+          <td>${e.expiresAt ? i18n.date(e.expiresAt) : t("common.noExpiry")}</td>
+          <td>${i18n.date(purgeAt)}</td>
+          <td>
+            <form action="/manage/trash/${token}/restore" method="post" style="display:inline">
+              ${expired && html`${t("manage.extend")} <input type="number" name="extendDays" min="1" max="${MAX_TTL_DAYS}" value="30" required style="width:60px" /> ${t("manage.days")}`}
+              <button type="submit">${t("trash.restore")}</button>
+            </form>
+            <form action="/manage/trash/${token}/purge" method="post" style="display:inline" onsubmit="${confirmJs(t("trash.purgeConfirm", { name }))}">
+              <button type="submit" style="color:#dc3545">${t("trash.purge")}</button>
+            </form>
+          </td>
+        </tr>`;
+  });
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>🗑️ ${t("manage.trash")}</h2>
+      <p><a href="/manage">← ${t("manage.title")}</a></p>
+      <p>${t("trash.intro", { days: retentionDays })}</p>
+      ${done && html`<p style="color:#28a745">${t(`trash.done.${done}`)}</p>`}
+      ${error && html`<p style="color:#dc3545">${error}</p>`}
+      <table border="1" cellspacing="0" cellpadding="6" style="border-collapse:collapse; width:100%; max-width:1100px;">
+        <thead><tr style="background:#f7f7f7"><th>${t("sort.originalName")}</th><th>${t("sort.createdAt")}</th><th>${t("status.deleted")}</th><th>${t("sort.expiresAt")}</th><th>${t("trash.purgeAt")}</th><th>${t("manage.actions")}</th></tr></thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td colspan="6" style="text-align:center; color:#666">${t("trash.empty")}</td></tr>`}
+        </tbody>
+      </table>
+    </div>`);
+}
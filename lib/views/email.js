@@ -0,0 +1,71 @@
+import { html } from "../html.js";
+import { invoiceLabel } from "../sunat.js";
+
+// Correo al cliente con el enlace y el QR de un documento (ver lib/mailer.js).
+// Estilos en línea: los clientes de correo ignoran <style> y las clases.
+
+/**
+ * @param {object} i18n   traductor del idioma del correo (i18n.translator(locale))
+ * @param {object} data
+ * @param {object} data.entry      documento
+ * @param {object|null} data.tenant empresa emisora
+ * @param {string} data.viewUrl    enlace público (con ?src=email)
+ * @param {string} data.qrCid      Content-ID de la imagen del QR
+ * @param {string|null} data.message nota de quien envía
+ * @param {boolean} data.attached  el PDF va adjunto
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function documentEmail(i18n, { entry, tenant, viewUrl, qrCid, message, attached }) {
+  const { t } = i18n;
+  const invoice = entry.invoice;
+  const document = invoice
+    ? `${t(`invoiceType.${invoice.tipo}`)} ${invoiceLabel(invoice)}`
+    : entry.originalName || t("email.document");
+  const company = tenant ? tenant.name || `RUC ${tenant.ruc}` : null;
+  const subject = company ? t("email.subject.from", { document, company }) : t("email.subject", { document });
+  const intro = company ? t("email.intro.from", { company }) : t("email.intro");
+  const rows = [
+    [t("email.documentLabel"), document],
+    invoice?.total && [t("invoice.total"), i18n.money(invoice.total, invoice.moneda)],
+    invoice?.fechaEmision && [t("invoice.fechaEmision"), invoice.fechaEmision],
+    entry.expiresAt && [t("email.expires"), i18n.dateTime(entry.expiresAt)],
+  ].filter(Boolean);
+  const notes = [
+    entry.passwordHash && `🔒 ${t("email.password")}`,
+    attached && `📎 ${t("email.attached")}`,
+  ].filter(Boolean);
+
+  const body = html`
+    <div style="font-family: Arial, sans-serif; max-width:560px; margin:0 auto; color:#222; font-size:15px">
+      <p>${t("email.greeting")}</p>
+      <p>${intro}</p>
+      <table cellpadding="4" style="border-collapse:collapse">
+        ${rows.map(([label, value]) => html`<tr><td style="color:#666">${label}</td><td><strong>${value}</strong></td></tr>`)}
+      </table>
+      ${message && html`<p style="border-left:3px solid #ddd; padding-left:10px; white-space:pre-line">${message}</p>`}
+      <p style="margin:24px 0">
+        <a href="${viewUrl}" style="background:#007bff; color:#fff; text-decoration:none; padding:12px 20px; border-radius:6px; display:inline-block">${t("email.button")}</a>
+      </p>
+      <p>${t("email.qr")}</p>
+      <img src="cid:${qrCid}" alt="QR" width="200" height="200" style="border:1px solid #ddd; padding:6px" />
+      ${notes.map((n) => html`<p>${n}</p>`)}
+      <p style="font-size:12px; color:#666">${t("email.linkFallback")}<br/><a href="${viewUrl}" style="color:#666">${viewUrl}</a></p>
+      <p style="font-size:12px; color:#999">${t("email.footer")}</p>
+    </div>`;
+
+  const text = [
+    t("email.greeting"),
+    "",
+    intro,
+    "",
+    ...rows.map(([label, value]) => `${label}: ${value}`),
+    ...(message ? ["", message] : []),
+    "",
+    `${t("email.button")}: ${viewUrl}`,
+    ...(notes.length ? ["", ...notes] : []),
+    "",
+    t("email.footer"),
+  ].join("\n");
+
+  return { subject, text, html: String(body) };
+}
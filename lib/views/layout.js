@@ -0,0 +1,44 @@
+import { html, confirmJs } from "../html.js";
+import { hasRole } from "../auth.js";
+
+// Piezas comunes de las páginas. Cada vista recibe `i18n` (traductor de la
+// petición, ver lib/i18n.js) y los datos ya cargados; no accede al almacenamiento.
+
+// Barra con el usuario, la empresa activa y los enlaces de cuentas
+export function sessionBar(i18n, { user, tenant }) {
+  if (!user) return "";
+  const { t } = i18n;
+  const links = [
+    hasRole(user, "admin") && html`<a href="/admin/users">${t("session.users")}</a>`,
+    hasRole(user, "superadmin") && html`<a href="/admin/tenants">${t("session.tenants")}</a>`,
+    html`<a href="/account">${t("session.account")}</a>`,
+  ].filter(Boolean);
+  const company = tenant ? `${tenant.name || tenant.ruc} (${tenant.ruc})` : t("session.allTenants");
+  return html`
+    <div style="font-family: Arial, sans-serif; font-size:13px; text-align:right; border-bottom:1px solid #eee; padding-bottom:6px; margin-bottom:12px">
+      👤 ${user.username} · ${t(`role.${user.role}`)} · 🏢 ${company} | ${links.map((l, i) => (i ? html` | ${l}` : l))}
+      <form action="/logout" method="post" style="display:inline"><button type="submit">${t("session.logout")}</button></form>
+    </div>`;
+}
+
+// Botón para enviar un documento a la papelera (POST con confirmación; con
+// `link` se ve como los enlaces de acción de las tablas)
+export function deleteButton(i18n, token, { label, name, link = true } = {}) {
+  const { t } = i18n;
+  const confirmText = name ? t("delete.confirmNamed", { name }) : t("delete.confirm");
+  const style = link
+    ? "background:none; border:none; padding:0; color:#dc3545; cursor:pointer; font:inherit; text-decoration:underline"
+    : "background:none; border:none; color:#dc3545; font-weight:600; cursor:pointer; font-size:inherit";
+  return html`<form action="/delete/${encodeURIComponent(token)}" method="post" style="display:inline" onsubmit="${confirmJs(confirmText)}"><button type="submit" style="${style}">${label || t("delete.action")}</button></form>`;
+}
+
+// Página corta con un título y un mensaje (errores de formulario, avisos)
+export function messagePage(i18n, { title, message = "", items = [], back = null }) {
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 40px; text-align:center">
+      <h2>${title}</h2>
+      ${message && html`<p>${message}</p>`}
+      ${items.length > 0 && html`<ul style="display:inline-block; text-align:left">${items.map((m) => html`<li>${m}</li>`)}</ul>`}
+      ${back && html`<p><a href="${back.href}">${back.label}</a></p>`}
+    </div>`);
+}
@@ -0,0 +1,105 @@
+import { html } from "../html.js";
+import { TIPOS_COMPROBANTE } from "../sunat.js";
+
+// Páginas públicas sin sesión: consulta de comprobantes (/consulta) y
+// verificación de integridad de un PDF (/verify)
+
+/**
+ * Exige los seis datos impresos; el mensaje es el mismo si no hay coincidencia
+ * o si solo coinciden algunos datos.
+ * @param {object} i18n
+ * @param {object} [data]
+ * @param {object} [data.values]   datos enviados (se vuelven a mostrar saneados)
+ * @param {string} [data.message]  error (texto plano)
+ */
+export function consultaPage(i18n, { values = {}, message = "" } = {}) {
+  const { t } = i18n;
+  const clean = (name, re) => String(values[name] || "").replace(re, "");
+  return String(html`
+  <div style="font-family: Arial, sans-serif; margin: 40px; text-align:center">
+    <h2>🔎 ${t("consulta.title")}</h2>
+    <p>${t("consulta.intro")}</p>
+    ${message && html`<p style="color:#dc3545">${message}</p>`}
+    <form action="/consulta" method="post" style="display:inline-grid; grid-template-columns:1fr 1fr; gap:8px 16px; text-align:left; border:1px solid #ddd; padding:20px; border-radius:10px">
+      <label>${t("invoice.rucEmisor")}<br/><input name="rucEmisor" value="${clean("rucEmisor", /\D/g)}" inputmode="numeric" maxlength="11" required /></label>
+      <label>${t("invoice.tipo")}<br/>
+        <select name="tipo" required>
+          ${Object.keys(TIPOS_COMPROBANTE).map((k) => html`<option value="${k}"${values.tipo === k && " selected"}>${k} - ${t(`invoiceType.${k}`)}</option>`)}
+        </select>
+      </label>
+      <label>${t("invoice.serie")}<br/><input name="serie" value="${clean("serie", /[^A-Za-z0-9]/g)}" maxlength="4" placeholder="F001" required /></label>
+      <label>${t("invoice.numero")}<br/><input name="numero" value="${clean("numero", /\D/g)}" inputmode="numeric" maxlength="8" required /></label>
+      <label>${t("invoice.fechaEmision")}<br/><input type="date" name="fechaEmision" value="${clean("fechaEmision", /[^0-9-]/g)}" required /></label>
+      <label>${t("invoice.total")}<br/><input name="total" value="${clean("total", /[^0-9.,]/g)}" placeholder="0.00" required /></label>
+      <button type="submit" style="grid-column: span 2; background:#007bff; color:white; border:none; padding:10px 20px; border-radius:6px; cursor:pointer">${t("consulta.submit")}</button>
+    </form>
+    <p style="margin-top:16px"><a href="/">← ${t("consulta.home")}</a></p>
+  </div>`);
+}
+
+// Datos públicos de un documento registrado (ver verificationOf en server.js)
+const verificationRows = (i18n, v) => {
+  const { t } = i18n;
+  return html`
+        <tr><td><strong>${t("verify.registered")}</strong></td><td>${i18n.dateTime(v.registeredAt)}</td></tr>
+        ${v.issuer && html`<tr><td><strong>${t("verify.issuer")}</strong></td><td>${v.issuer.name || ""} (RUC ${v.issuer.ruc})</td></tr>`}
+        ${v.invoice && html`<tr><td><strong>${t("upload.invoice")}</strong></td><td>${v.invoice}</td></tr>`}
+        <tr><td><strong>${t("verify.link")}</strong></td><td>${t(`status.${v.status}`)}</td></tr>`;
+};
+
+const verifyForm = (i18n, action) => html`
+      <form action="${action}" method="post" enctype="multipart/form-data" style="border:1px solid #ddd; padding:16px; border-radius:10px">
+        <input type="file" name="pdf" accept="application/pdf" required />
+        <button type="submit" style="background:#007bff; color:white; border:none; padding:8px 16px; border-radius:6px; cursor:pointer">${i18n.t("verify.submit")}</button>
+      </form>`;
+
+/**
+ * @param {object} i18n
+ * @param {object} [data]
+ * @param {object[]|null} [data.results]  documentos que coinciden: verificación más `match` (original | stamped)
+ * @param {string} [data.message]         error (texto plano)
+ */
+export function verifySearchPage(i18n, { results = null, message = "" } = {}) {
+  const { t } = i18n;
+  return String(html`
+  <div style="font-family: Arial, sans-serif; margin: 40px; max-width: 720px">
+    <h2>🛡️ ${t("home.links.verify")}</h2>
+    <p>${t("verify.intro")}</p>
+    ${message && html`<p style="color:#dc3545">${message}</p>`}
+    ${verifyForm(i18n, "/verify")}
+    ${results && results.map((r) => html`
+      <h3>✅ ${t(`verify.match.${r.match}`)}</h3>
+      <table cellpadding="4">${verificationRows(i18n, r)}</table>`)}
+    <p style="margin-top:16px"><a href="/consulta">${t("home.links.consulta")}</a> · <a href="/">← ${t("consulta.home")}</a></p>
+  </div>`);
+}
+
+const INTEGRITY_ICONS = { intact: "✅", altered: "❌", missing: "⚠️" };
+const integrityText = (i18n, result) => `${INTEGRITY_ICONS[result]} ${i18n.t(`verify.integrity.${result}`)}`;
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.entry         documento (el nombre no se muestra si tiene contraseña)
+ * @param {object} data.verification  ver verificationOf en server.js
+ * @param {object} data.integrity     { original?, stamped? }: intact | altered | missing
+ * @param {string|null} [data.match]  resultado de comparar un PDF subido (undefined si no se subió)
+ */
+export function verifyTokenPage(i18n, { entry, verification: v, integrity, match }) {
+  const { t } = i18n;
+  return String(html`
+  <div style="font-family: Arial, sans-serif; margin: 40px; max-width: 720px">
+    <h2>🛡️ ${t("verify.title")}</h2>
+    ${!entry.passwordHash && html`<p><strong>${entry.originalName || entry.filename}</strong></p>`}
+    <table cellpadding="4">
+      ${verificationRows(i18n, v)}
+      ${v.sha256
+        ? html`<tr><td><strong>SHA-256</strong></td><td><code style="word-break:break-all">${v.sha256}</code></td></tr>
+      <tr><td><strong>${t("verify.integrity")}</strong></td><td>${integrityText(i18n, integrity.original)}${integrity.stamped && html`<br/>${t("verify.stampedCopy")}: ${integrityText(i18n, integrity.stamped)}`}</td></tr>`
+        : html`<tr><td colspan="2" style="color:#666">${t("verify.noHash")}</td></tr>`}
+    </table>
+    ${match !== undefined && html`<h3>${match ? `✅ ${t(`verify.match.${match}`)}` : `❌ ${t("verify.noMatch")}`}</h3>`}
+    ${v.sha256 && html`<h3>${t("verify.compare")}</h3>${verifyForm(i18n, `/verify/${encodeURIComponent(entry.token)}`)}`}
+    <p style="margin-top:16px"><a href="/verify">${t("verify.another")}</a></p>
+  </div>`);
+}
@@ -0,0 +1,215 @@
+import { html } from "../html.js";
+import { TIPOS_COMPROBANTE, TIPOS_DOC_IDENTIDAD, invoiceLabel } from "../sunat.js";
+import { MAX_TTL_DAYS, MAX_VIEWS_LIMIT } from "../linkPolicy.js";
+import { STAMP_SIZE_MM } from "../stamp.js";
+import { hasRole } from "../auth.js";
+import { sessionBar, deleteButton, messagePage } from "./layout.js";
+
+// Formulario de subida (/) y resultado de POST /upload
+
+const options = (entries, selected = "") =>
+  entries.map(([value, label]) => html`<option value="${value}"${value === selected ? " selected" : ""}>${label}</option>`);
+
+const uploadButton = (t) =>
+  html`<a href="/" style="display:inline-block; background:#28a745; color:white; text-decoration:none; padding:10px 16px; border-radius:6px;">➕ ${t("upload.another")}</a>`;
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session  { user, tenant }
+ * @param {number} data.ttlDays  vigencia por defecto de la empresa (0 = sin vencimiento)
+ * @param {string} data.qrMode   contenido del QR por defecto (QR_MODE)
+ * @param {string} data.idempotencyKey  clave del formulario (reenviarlo no crea otro token)
+ */
+export function homePage(i18n, { session, ttlDays, qrMode, idempotencyKey }) {
+  const { t } = i18n;
+  return String(html`
+    ${sessionBar(i18n, session)}
+    <h1>📄 ${t("home.title")}</h1>
+    <form action="/upload" method="post" enctype="multipart/form-data">
+      <input type="hidden" name="idempotencyKey" value="${idempotencyKey}" />
+      <label>${t("home.pdf")}</label><br/>
+      <input type="file" name="pdf" accept="application/pdf" required />
+      <br/><br/>
+      <label>${t("home.xml")}</label><br/>
+      <input type="file" name="xml" accept=".xml,application/xml,text/xml" />
+      <br/><br/>
+      <label>${t("home.cdr")}</label><br/>
+      <input type="file" name="cdr" accept=".zip,application/zip" />
+      <br/><br/>
+      <details>
+        <summary>${t("home.invoice")}</summary>
+        <div class="grid">
+          <label>${t("invoice.rucEmisor")} <input name="rucEmisor" inputmode="numeric" maxlength="11" /></label>
+          <label>${t("invoice.tipo")}
+            <select name="tipo">
+              <option value=""></option>
+              ${options(Object.keys(TIPOS_COMPROBANTE).map((k) => [k, `${k} - ${t(`invoiceType.${k}`)}`]))}
+            </select>
+          </label>
+          <label>${t("invoice.serie")} <input name="serie" placeholder="F001" maxlength="4" /></label>
+          <label>${t("invoice.numero")} <input name="numero" inputmode="numeric" maxlength="8" /></label>
+          <label>${t("invoice.igv")} <input name="igv" placeholder="0.00" /></label>
+          <label>${t("invoice.total")} <input name="total" placeholder="0.00" /></label>
+          <label>${t("invoice.fechaEmision")} <input type="date" name="fechaEmision" /></label>
+          <label>${t("invoice.tipoDocAdquirente")}
+            <select name="tipoDocAdquirente">
+              <option value=""></option>
+              ${options(Object.keys(TIPOS_DOC_IDENTIDAD).map((k) => [k, `${k} - ${t(`idType.${k}`)}`]))}
+            </select>
+          </label>
+          <label>${t("invoice.numDocAdquirente")} <input name="numDocAdquirente" maxlength="15" /></label>
+          <label>${t("invoice.hash")} <input name="hash" /></label>
+          <label>${t("home.qrMode")}
+            <select name="qrMode">
+              <option value="">${t("home.qrMode.default", { mode: qrMode })}</option>
+              ${options(["url", "sunat", "combined"].map((m) => [m, t(`qrMode.${m}`)]))}
+            </select>
+          </label>
+        </div>
+      </details>
+      <details>
+        <summary>${t("home.stamp")}</summary>
+        <div class="grid">
+          <label><span><input type="checkbox" name="stamp" value="1" /> ${t("home.stamp.enable")}</span></label>
+          <label>${t("home.stamp.page")}
+            <select name="stampPage">
+              ${options(["first", "last"].map((p) => [p, t(`stampPage.${p}`)]))}
+            </select>
+          </label>
+          <label>${t("home.stamp.corner")}
+            <select name="stampCorner">
+              ${options(["bottom-right", "bottom-left", "top-right", "top-left"].map((c) => [c, t(`stampCorner.${c}`)]))}
+            </select>
+          </label>
+          <label>${t("home.stamp.size")} <input type="number" name="stampSize" min="${STAMP_SIZE_MM.min}" max="${STAMP_SIZE_MM.max}" value="${STAMP_SIZE_MM.default}" /></label>
+          <label><span><input type="checkbox" name="stampCaption" value="1" checked /> ${t("home.stamp.caption")}</span></label>
+          <label><span><input type="checkbox" name="stampUrl" value="1" /> ${t("home.stamp.url")}</span></label>
+        </div>
+      </details>
+      <details>
+        <summary>${t("home.access")}</summary>
+        <div class="grid">
+          <label>${t("home.access.ttlDays")} <input type="number" name="ttlDays" min="0" max="${MAX_TTL_DAYS}" placeholder="${ttlDays > 0 ? ttlDays : t("common.noExpiry")}" /></label>
+          <label><span><input type="checkbox" name="noExpiry" value="1" /> ${t("common.noExpiry")}</span></label>
+          <label>${t("home.access.maxViews")} <input type="number" name="maxViews" min="1" max="${MAX_VIEWS_LIMIT}" placeholder="${t("home.access.noLimit")}" /></label>
+          <label>${t("home.access.password")} <input type="password" name="password" autocomplete="new-password" placeholder="${t("home.access.noPassword")}" /></label>
+        </div>
+      </details>
+      <br/>
+      <label>${t("home.duplicate")}
+        <select name="duplicate">
+          ${options(["ask", "reuse", "new"].map((d) => [d, t(`duplicate.${d}`)]))}
+        </select>
+      </label>
+      <br/><br/>
+      <button type="submit">${t("home.submit")}</button>
+    </form>
+    <p style="margin-top:16px">
+      <a href="/tokens">${t("home.links.tokens")}</a> |
+      <a href="/batch">${t("home.links.batch")}</a> |
+      <a href="/consulta">${t("home.links.consulta")}</a> |
+      <a href="/verify">${t("home.links.verify")}</a>
+    </p>
+    <style>
+      body { font-family: Arial, sans-serif; margin: 40px; text-align: center; }
+      form { border: 1px solid #ddd; padding: 20px; display: inline-block; border-radius: 10px; }
+      button { background: #007bff; color: white; border: none; padding: 10px 20px; border-radius: 6px; cursor: pointer; }
+      button:hover { background: #0056b3; }
+      details { text-align: left; margin-top: 8px; }
+      .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 8px 16px; margin-top: 10px; }
+      .grid label { display: flex; flex-direction: column; font-size: 13px; }
+    </style>
+  `);
+}
+
+const backToForm = (t) => ({ href: "/", label: `← ${t("upload.backToForm")}` });
+
+// Errores de POST /upload: datos inválidos, archivo rechazado o estampado fallido
+export const uploadInvalidPage = (i18n, errors) =>
+  messagePage(i18n, { title: `⚠️ ${i18n.t("upload.invalid")}`, items: Object.values(errors), back: backToForm(i18n.t) });
+
+export const uploadRejectedPage = (i18n, { blocked, message }) =>
+  messagePage(i18n, {
+    title: blocked ? `🦠 ${i18n.t("upload.blocked")}` : `⚠️ ${i18n.t("upload.rejected")}`,
+    message,
+    back: backToForm(i18n.t),
+  });
+
+export const stampFailedPage = (i18n, message) =>
+  messagePage(i18n, { title: `⚠️ ${i18n.t("upload.stampFailed")}`, message, back: backToForm(i18n.t) });
+
+export function duplicatePage(i18n, existing) {
+  const { t, h } = i18n;
+  return String(html`
+      <div style="font-family: Arial, sans-serif; margin: 40px; text-align:center">
+        <h2>⚠️ ${t("upload.duplicate.title")}</h2>
+        <p>${h("upload.duplicate.body", {
+          name: html`<strong>${existing.originalName || existing.filename}</strong>`,
+          date: i18n.dateTime(existing.createdAt),
+        })}</p>
+        <p><a href="/manage/${encodeURIComponent(existing.token)}">${t("duplicate.reuse")}</a></p>
+        <p>${t("upload.duplicate.hint")}</p>
+        <p><a href="/">← ${t("upload.backToForm")}</a></p>
+      </div>`);
+}
+
+// Envío del enlace y el QR por correo (POST /manage/:token/email)
+export function emailForm(i18n, token, enabled) {
+  const { t } = i18n;
+  if (!enabled) return html`<p style="color:#666">✉️ ${t("upload.email.disabled")}</p>`;
+  return html`
+      <form action="/manage/${encodeURIComponent(token)}/email" method="post" style="border:1px solid #ddd; padding:12px 16px; border-radius:10px; display:inline-block; text-align:left; margin:8px 0">
+        <strong>✉️ ${t("upload.email.title")}</strong><br/><br/>
+        <label>${t("upload.email.to")}<br/><input type="email" name="to" multiple required placeholder="cliente@empresa.pe" style="width:320px" /></label><br/><br/>
+        <label>${t("upload.email.message")}<br/><textarea name="message" rows="2" maxlength="1000" style="width:320px"></textarea></label><br/>
+        <label><input type="checkbox" name="attachPdf" value="1" /> ${t("upload.email.attachPdf")}</label><br/><br/>
+        <button type="submit">${t("upload.email.send")}</button>
+      </form>`;
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session   { user, tenant }
+ * @param {object} data.entry     entrada creada (o reutilizada)
+ * @param {string} data.fileName  nombre del archivo subido
+ * @param {string} data.viewUrl   URL pública del documento
+ * @param {boolean} data.emailEnabled  hay SMTP configurado (formulario de envío al cliente)
+ */
+export function uploadResultPage(i18n, { session, entry, fileName, viewUrl, emailEnabled }) {
+  const { t } = i18n;
+  const token = encodeURIComponent(entry.token);
+  const qr = `/qr/${token}`;
+  const invoice = entry.invoice;
+  return String(html`
+    <div style="text-align:center; font-family: Arial, sans-serif; margin: 40px;">
+      <h2>✅ ${t("upload.done")}</h2>
+      <p>${uploadButton(t)}</p>
+      ${entry.reused && html`<p>♻️ ${t("upload.reused")}</p>`}
+      <p><strong>${t("upload.file")}:</strong> ${fileName}</p>
+      ${invoice && html`<p><strong>${t("upload.invoice")}:</strong> ${t(`invoiceType.${invoice.tipo}`)} ${invoiceLabel(invoice)} · ${t("invoice.total")} ${i18n.money(invoice.total, invoice.moneda)} · QR: ${entry.qrMode}</p>`}
+      <p><strong>${t("upload.expires")}:</strong> ${entry.expiresAt ? i18n.dateTime(entry.expiresAt) : t("common.noExpiry")}</p>
+      ${entry.maxViews > 0 && html`<p><strong>${t("home.access.maxViews")}:</strong> ${entry.maxViews}</p>`}
+      ${entry.passwordHash && html`<p>🔒 ${t("upload.password")}</p>`}
+      ${entry.sha256 && html`<p><strong>SHA-256:</strong> <code>${entry.sha256}</code> · <a href="/verify/${token}" target="_blank">${t("upload.publicVerify")}</a></p>`}
+      <p><strong>${t("upload.url")}:</strong> <a href="${viewUrl}" target="_blank">${viewUrl}</a></p>
+      ${entry.stampedS3Key && html`<p>${t("upload.stamped")} · <a href="${viewUrl}?raw=1&version=original" target="_blank">${t("upload.original")}</a></p>`}
+
+      <h3>${t("upload.qrPreview")}</h3>
+      <img src="${qr}" alt="QR Code" width="300" style="border:1px solid #ccc; padding:10px; border-radius:10px"/><br/><br/>
+
+      <a href="${qr}?download=1">⬇️ ${t("upload.qrDownload")}</a> ·
+      <a href="${qr}?download=1&format=svg">SVG</a> ·
+      <a href="${qr}?download=1&format=pdf">PDF</a> ·
+      <a href="${qr}?download=1&dpi=600&sizeMm=30">PNG 600 DPI</a>
+      ${session.tenant?.logoKey && html`· <a href="${qr}?download=1&format=svg&logo=1">${t("upload.svgLogo")}</a>`}<br/><br/>
+      ${entry.xmlS3Key && html`<a href="/view/${token}/xml">⬇️ ${t("upload.xml")}</a><br/>`}
+      ${entry.cdrS3Key && html`<a href="/view/${token}/cdr">⬇️ ${t("upload.cdr")}</a><br/>`}
+      ${emailForm(i18n, entry.token, emailEnabled)}
+      ${hasRole(session.user, "admin") && html`<p>${deleteButton(i18n, entry.token, { label: `🗑️ ${t("upload.delete")}`, link: false })}</p>`}
+      ${uploadButton(t)}
+      <div style="margin-top:12px"><a href="/manage/${token}">🔗 ${t("upload.configure")}</a> | <a href="/manage">📂 ${t("upload.manage")}</a></div>
+    </div>
+  `);
+}
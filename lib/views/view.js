@@ -0,0 +1,148 @@
+import { html, escapeHtml } from "../html.js";
+import { invoiceLabel } from "../sunat.js";
+
+// Páginas públicas de /view/:token: documento, contraseña y enlace no disponible
+
+// Enlace no disponible (vencido, revocado, sin vistas o eliminado)
+export function unavailablePage(i18n, entry, status) {
+  const { t, h } = i18n;
+  const body = {
+    expired: () => h("view.expired.body", { date: html`<strong>${i18n.dateTime(entry.expiresAt)}</strong>` }),
+    revoked: () => t("view.revoked.body"),
+    exhausted: () => h("view.exhausted.body", { max: html`<strong>${entry.maxViews}</strong>` }),
+    deleted: () => t("view.deleted.body"),
+  }[status];
+  const icon = { expired: "⏰", revoked: "🚫", exhausted: "👁️", deleted: "🗑️" }[status];
+  return String(html`<div style="font-family: Arial; margin:40px; text-align:center">
+           <h2>${icon} ${t(`view.${status}.title`)}</h2>
+           <p>${body()}</p>
+           <p><a href="/">${t("view.uploadNew")}</a></p>
+         </div>`);
+}
+
+export const passwordPage = (i18n, action, message = "") =>
+  String(html`
+  <div style="font-family: Arial; margin:40px; text-align:center">
+    <h2>🔒 ${i18n.t("view.password.title")}</h2>
+    <p>${i18n.t("view.password.body")}</p>
+    ${message && html`<p style="color:#dc3545">${message}</p>`}
+    <form action="${action}" method="post" style="display:inline-block; border:1px solid #ddd; padding:20px; border-radius:10px">
+      <input type="password" name="password" autofocus required />
+      <button type="submit" style="background:#007bff; color:white; border:none; padding:8px 16px; border-radius:6px; cursor:pointer">${i18n.t("view.password.submit")}</button>
+    </form>
+  </div>`);
+
+// Errores cortos de /view (token inexistente, archivo faltante), ya escapados
+export const viewErrorText = (i18n, kind) => `❌ ${escapeHtml(i18n.t(`view.error.${kind}`))}`;
+
+/**
+ * Página de /view/:token: datos del comprobante, visor pdf.js y botones de
+ * descarga e impresión. El PDF se pide a /view/:token/pdf con un ticket firmado.
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.entry
+ * @param {object|null} data.tenant  empresa del documento (nombre y logo)
+ * @param {string} data.ticket       ticket firmado para /view/:token/pdf
+ * @param {number} data.ticketMinutes
+ */
+export function viewLandingPage(i18n, { entry, tenant, ticket, ticketMinutes }) {
+  const { t } = i18n;
+  const token = encodeURIComponent(entry.token);
+  const invoice = entry.invoice;
+  const issuerName = tenant?.name || invoice?.nombreEmisor || "";
+  const issuerRuc = entry.tenant || invoice?.rucEmisor || "";
+  const title = invoice
+    ? t("view.invoiceTitle", { type: t(`invoiceType.${invoice.tipo}`), number: invoiceLabel(invoice) })
+    : entry.originalName || entry.filename || t("view.document");
+  const fileUrl = (params = "") => `/view/${token}/pdf?ticket=${encodeURIComponent(ticket)}${params}`;
+  const rows = [
+    invoice && [t("invoice.fechaEmision"), invoice.fechaEmision ? i18n.date(`${invoice.fechaEmision}T12:00:00Z`) : ""],
+    invoice && [t("view.total"), i18n.money(invoice.total, invoice.moneda)],
+    invoice?.nombreAdquirente && [t("view.buyer"), invoice.nombreAdquirente],
+    [t("view.validUntil"), entry.expiresAt ? i18n.dateTime(entry.expiresAt) : t("common.noExpiry")],
+    entry.maxViews > 0 && [t("view.views"), t("view.viewsOf", { views: entry.views || 0, max: entry.maxViews })],
+  ].filter(Boolean);
+  return String(html`<!doctype html>
+<html lang="${i18n.locale}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0; background: #f4f5f7; color: #222; }
+    header { background: white; border-bottom: 1px solid #ddd; padding: 16px 20px; display: flex; gap: 16px; align-items: center; }
+    header img { max-height: 56px; max-width: 120px; }
+    main { max-width: 900px; margin: 0 auto; padding: 20px; }
+    table { border-collapse: collapse; margin: 8px 0 16px; }
+    td { padding: 4px 12px 4px 0; }
+    .actions a, .actions button { display: inline-block; background: #007bff; color: white; text-decoration: none; border: none; padding: 10px 16px; border-radius: 6px; cursor: pointer; font-size: 15px; margin: 0 8px 8px 0; }
+    .actions .secondary { background: #6c757d; }
+    #viewer canvas { display: block; width: 100%; height: auto; margin: 0 auto 12px; background: white; box-shadow: 0 1px 4px rgba(0,0,0,.2); }
+    #viewer p { color: #666; }
+    footer { color: #666; font-size: 13px; padding: 8px 0 24px; }
+    @media print {
+      header, .details, .actions, footer { display: none; }
+      main { padding: 0; max-width: none; }
+      #viewer canvas { box-shadow: none; margin: 0; page-break-after: always; }
+    }
+  </style>
+</head>
+<body>
+  <header>
+    ${tenant?.logoKey && html`<img src="/view/${token}/logo" alt="" />`}
+    <div>
+      <strong>${issuerName || t("view.issuerFallback")}</strong>
+      ${issuerRuc && html`<br/><small>RUC ${issuerRuc}</small>`}
+    </div>
+  </header>
+  <main>
+    <div class="details">
+      <h2>${title}</h2>
+      <table>${rows.map(([k, v]) => html`<tr><td><strong>${k}</strong></td><td>${v}</td></tr>`)}</table>
+    </div>
+    <div class="actions">
+      <a href="${fileUrl("&download=1")}">⬇️ ${t("view.download")}</a>
+      <button type="button" id="print">🖨️ ${t("view.print")}</button>
+      ${entry.stampedS3Key && html`<a class="secondary" href="${fileUrl("&version=original&download=1")}">${t("view.original")}</a>`}
+      ${entry.xmlS3Key && html`<a class="secondary" href="/view/${token}/xml">XML</a>`}
+      ${entry.cdrS3Key && html`<a class="secondary" href="/view/${token}/cdr">CDR</a>`}
+    </div>
+    <div id="viewer" data-src="${fileUrl()}">
+      <p>${t("view.loading")} <a href="${fileUrl()}" target="_blank">${t("view.openHere")}</a>.</p>
+    </div>
+    <p id="viewer-error" hidden>❌ ${t("view.loadFailed")} <a href="${fileUrl()}" target="_blank">${t("view.openHere")}</a>.</p>
+    <footer>
+      ${entry.sha256 && html`<a href="/verify/${token}">${t("view.verify")}</a> · `}
+      ${t("view.ticketNotice", { minutes: ticketMinutes })}
+    </footer>
+  </main>
+  <script type="module">
+    import * as pdfjsLib from "/vendor/pdfjs/pdf.min.mjs";
+    pdfjsLib.GlobalWorkerOptions.workerSrc = "/vendor/pdfjs/pdf.worker.min.mjs";
+    const viewer = document.getElementById("viewer");
+    document.getElementById("print").addEventListener("click", () => window.print());
+    try {
+      const pdf = await pdfjsLib.getDocument(viewer.dataset.src).promise;
+      viewer.replaceChildren();
+      // Resolución doble para que la impresión y el zoom del móvil se vean nítidos
+      const scale = 2;
+      for (let n = 1; n <= pdf.numPages; n++) {
+        const page = await pdf.getPage(n);
+        const viewport = page.getViewport({ scale });
+        const canvas = document.createElement("canvas");
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        canvas.style.maxWidth = viewport.width / scale + "px";
+        viewer.appendChild(canvas);
+        await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+      }
+    } catch {
+      // Sin visor (PDF ilegible o ticket vencido): queda el enlace directo
+      viewer.replaceChildren();
+      document.getElementById("viewer-error").hidden = false;
+    }
+  </script>
+</body>
+</html>`);
+}
@@ -0,0 +1,141 @@
+import { html, confirmJs } from "../html.js";
+import { WEBHOOK_EVENTS, DELIVERY_STATUSES } from "../webhooks.js";
+import { sessionBar } from "./layout.js";
+
+// Webhooks: endpoints, registro de entregas y detalle de una entrega (ver lib/webhooks.js)
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session      { user, tenant }
+ * @param {object[]} data.endpoints  endpoints de la empresa de la petición
+ * @param {number} data.maxAttempts  intentos por entrega
+ * @param {string} [data.message]    error del formulario (texto plano)
+ */
+export function webhooksPage(i18n, { session, endpoints, maxAttempts, message = "" }) {
+  const { t } = i18n;
+  const rows = endpoints.map((w) => {
+    const id = encodeURIComponent(w.id);
+    const action = (path, label, confirmText = "") => html`
+            <form action="/admin/webhooks/${id}/${path}" method="post" style="display:inline"${confirmText && html` onsubmit="${confirmJs(confirmText)}"`}>
+              <button type="submit">${label}</button>
+            </form>`;
+    return html`
+        <tr>
+          <td>${w.url}${w.description && html`<br/><small>${w.description}</small>`}</td>
+          <td style="font-size:12px">${w.events.map((e, i) => html`${i > 0 && html`<br/>`}${e}`)}</td>
+          <td>${w.active ? t("webhooks.active") : t("webhooks.paused")}</td>
+          <td><details><summary>${t("webhooks.show")}</summary><code>${w.secret}</code></details></td>
+          <td>
+            <a href="/admin/webhooks/deliveries?webhook=${id}">${t("webhooks.deliveries")}</a>
+            ${action("ping", t("webhooks.ping"))}
+            ${action("toggle", w.active ? t("webhooks.pause") : t("webhooks.activate"))}
+            ${action("rotate", t("webhooks.rotate"), t("webhooks.rotateConfirm"))}
+            ${action("delete", t("delete.action"), t("webhooks.deleteConfirm"))}
+          </td>
+        </tr>`;
+  });
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>🔔 Webhooks</h2>
+      <p><a href="/manage">← ${t("manage.title")}</a> | <a href="/admin/webhooks/deliveries">${t("webhooks.log")}</a></p>
+      ${message && html`<p style="color:#dc3545">${message}</p>`}
+      <table border="1" cellspacing="0" cellpadding="6" style="border-collapse:collapse; width:100%; max-width:1100px;">
+        <thead><tr style="background:#f7f7f7"><th>URL</th><th>${t("webhooks.events")}</th><th>${t("manage.status")}</th><th>${t("webhooks.secret")}</th><th>${t("manage.actions")}</th></tr></thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td colspan="5" style="text-align:center; color:#666">${t("webhooks.empty")}</td></tr>`}
+        </tbody>
+      </table>
+      <h3>${t("webhooks.new")}</h3>
+      <form action="/admin/webhooks" method="post" style="border:1px solid #ddd; padding:16px; border-radius:10px; max-width:600px">
+        <label>URL <input name="url" type="url" required placeholder="https://erp.example.com/webhooks/e-factura" style="width:100%" /></label><br/><br/>
+        <label>${t("webhooks.description")} <input name="description" style="width:100%" /></label><br/><br/>
+        ${t("webhooks.eventsHint")}<br/>
+        ${WEBHOOK_EVENTS.map((e) => html`<label><input type="checkbox" name="events" value="${e}" /> <code>${e}</code> · ${t(`webhookEvent.${e}`)}</label><br/>`)}
+        <br/><button type="submit">${t("webhooks.register")}</button>
+      </form>
+      <p style="color:#666; font-size:13px">
+        ${t("webhooks.signature")} <code>X-Webhook-Signature: sha256=HMAC(secret, "&lt;X-Webhook-Timestamp&gt;.&lt;body&gt;")</code>.
+        ${t("webhooks.retries", { n: maxAttempts })}
+      </p>
+    </div>`);
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session       { user, tenant }
+ * @param {object[]} data.deliveries  entregas filtradas
+ * @param {string} [data.status]      filtro por estado
+ * @param {string} [data.webhookId]   filtro por endpoint
+ */
+export function deliveriesPage(i18n, { session, deliveries, status, webhookId }) {
+  const { t } = i18n;
+  const filter = (value, label) => {
+    const query = new URLSearchParams({ ...(value && { status: value }), ...(webhookId && { webhook: webhookId }) });
+    return html`<a href="/admin/webhooks/deliveries?${query}"${(status || "") === value && html` style="font-weight:bold"`}>${label}</a>`;
+  };
+  const filters = [filter("", t("deliveries.all")), ...DELIVERY_STATUSES.map((s) => filter(s, t(`deliveryStatus.${s}`)))];
+  const rows = deliveries.map((d) => html`
+        <tr>
+          <td>${i18n.dateTime(d.createdAt)}</td>
+          <td><code>${d.event}</code></td>
+          <td>${d.url}</td>
+          <td>${t(`deliveryStatus.${d.status}`)}${d.redeliveryOf && ` (${t("deliveries.redelivery")})`}</td>
+          <td>${d.attempts}</td>
+          <td>${d.lastStatus ?? "-"}${d.lastError && ` · ${d.lastError}`}</td>
+          <td>${d.nextAttemptAt ? i18n.dateTime(d.nextAttemptAt) : "-"}</td>
+          <td><a href="/admin/webhooks/deliveries/${encodeURIComponent(d.id)}">${t("manage.detail")}</a></td>
+        </tr>`);
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px;">
+      ${sessionBar(i18n, session)}
+      <h2>📬 ${t("deliveries.title")}</h2>
+      <p><a href="/admin/webhooks">← Webhooks</a></p>
+      <p>${filters.map((f, i) => html`${i > 0 && " | "}${f}`)}</p>
+      <table border="1" cellspacing="0" cellpadding="6" style="border-collapse:collapse; width:100%; max-width:1200px;">
+        <thead><tr style="background:#f7f7f7"><th>${t("deliveries.created")}</th><th>${t("deliveries.event")}</th><th>URL</th><th>${t("manage.status")}</th><th>${t("deliveries.attempts")}</th><th>${t("deliveries.lastResponse")}</th><th>${t("deliveries.nextAttempt")}</th><th></th></tr></thead>
+        <tbody>
+          ${rows.length ? rows : html`<tr><td colspan="8" style="text-align:center; color:#666">${t("deliveries.empty")}</td></tr>`}
+        </tbody>
+      </table>
+    </div>`);
+}
+
+/**
+ * @param {object} i18n
+ * @param {object} data
+ * @param {object} data.session   { user, tenant }
+ * @param {object} data.delivery  entrega con su historial de intentos
+ * @param {string} data.body      cuerpo enviado (JSON con sangría si se pudo)
+ */
+export function deliveryPage(i18n, { session, delivery: d, body }) {
+  const { t } = i18n;
+  const history = (d.history || []).map((h) => html`
+          <tr><td>${i18n.dateTime(h.at)}</td><td>${h.status ?? "-"}</td><td>${h.error || "OK"}</td><td>${h.durationMs} ms</td></tr>`);
+  return String(html`
+    <div style="font-family: Arial, sans-serif; margin: 30px; max-width: 900px;">
+      ${sessionBar(i18n, session)}
+      <h2>📬 ${t("deliveries.delivery")} <code>${d.event}</code></h2>
+      <p><a href="/admin/webhooks/deliveries">← ${t("webhooks.log")}</a></p>
+      <p><strong>URL:</strong> ${d.url}<br/>
+         <strong>${t("manage.status")}:</strong> ${t(`deliveryStatus.${d.status}`)} · ${t("deliveries.attemptsCount", { n: d.attempts })}
+         ${d.nextAttemptAt && ` · ${t("deliveries.next")}: ${i18n.dateTime(d.nextAttemptAt)}`}<br/>
+         <strong>${t("deliveries.eventId")}:</strong> <code>${d.eventId}</code>
+         ${d.redeliveryOf && html`<br/><strong>${t("deliveries.redeliveryOf")}:</strong> <a href="/admin/webhooks/deliveries/${encodeURIComponent(d.redeliveryOf)}">${t("deliveries.original")}</a>`}</p>
+      <form action="/admin/webhooks/deliveries/${encodeURIComponent(d.id)}/redeliver" method="post">
+        <button type="submit">🔁 ${t("deliveries.redeliver")}</button>
+      </form>
+      <h3>${t("deliveries.attempts")}</h3>
+      <table border="1" cellspacing="0" cellpadding="6" style="border-collapse:collapse">
+        <thead><tr><th>${t("detail.accesses.date")}</th><th>HTTP</th><th>${t("detail.accesses.outcome")}</th><th>${t("deliveries.duration")}</th></tr></thead>
+        <tbody>
+          ${history.length ? history : html`<tr><td colspan="4">${t("deliveries.noAttempts")}</td></tr>`}
+        </tbody>
+      </table>
+      ${d.lastResponse && html`<h3>${t("deliveries.lastResponse")}</h3><pre style="background:#f7f7f7; padding:10px; white-space:pre-wrap">${d.lastResponse}</pre>`}
+      <h3>${t("deliveries.body")}</h3>
+      <pre style="background:#f7f7f7; padding:10px; white-space:pre-wrap">${body}</pre>
+    </div>`);
+}
@@ -0,0 +1,277 @@
+import crypto from "crypto";
+import path from "path";
+import { createMetadataStore } from "./metadataStore.js";
+
+// Webhooks salientes firmados para el ciclo de vida de los documentos.
+//
+// Cada entrega es un POST JSON con estos encabezados:
+//   X-Webhook-Id         id del evento (igual en reintentos y reenvíos)
+//   X-Webhook-Event      tipo de evento
+//   X-Webhook-Timestamp  segundos Unix del envío
+//   X-Webhook-Signature  sha256=<hex>, HMAC-SHA256 con el secreto del endpoint
+//                        sobre "<timestamp>.<cuerpo>"
+// El receptor debe recalcular la firma y rechazar timestamps muy antiguos.
+//
+// Endpoints y entregas se guardan en logs append-only (lib/metadataStore.js),
+// así la cola de reintentos sobrevive a un reinicio.
+
+// Eventos y estados de entrega (etiquetas en lib/locales: webhookEvent.* y deliveryStatus.*)
+export const WEBHOOK_EVENTS = ["document.uploaded", "document.viewed", "document.expired", "document.deleted", "document.restored"];
+export const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+const HISTORY_LIMIT = 20;
+const RESPONSE_SNIPPET = 500;
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+// Valida los datos de un endpoint del formulario/API. Devuelve { endpoint } o { errors }.
+export function parseEndpoint(body = {}) {
+  const errors = {};
+  const url = String(body.url || "").trim();
+  try {
+    const u = new URL(url);
+    if (!["http:", "https:"].includes(u.protocol)) throw new Error();
+  } catch {
+    errors.url = "URL inválida (http o https).";
+  }
+  const requested = [].concat(body.events ?? []).flatMap((e) => String(e).split(",")).map((e) => e.trim()).filter(Boolean);
+  const unknown = requested.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) errors.events = `Eventos desconocidos: ${unknown.join(", ")}.`;
+  if (Object.keys(errors).length) return { errors };
+  return {
+    endpoint: {
+      url,
+      // Sin filtro se reciben todos los eventos
+      events: requested.length ? Array.from(new Set(requested)) : [...WEBHOOK_EVENTS],
+      description: String(body.description || "").trim().slice(0, 200) || null,
+    },
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir          carpeta de los logs (DATA_DIR)
+ * @param {number} [opts.maxAttempts] intentos antes de marcar la entrega como fallida
+ * @param {number} [opts.baseDelayMs] espera del primer reintento (luego se duplica)
+ * @param {number} [opts.maxDelayMs]  tope de espera entre reintentos
+ * @param {number} [opts.timeoutMs]   tiempo máximo de cada POST
+ */
+export function createWebhooks({
+  dir,
+  maxAttempts = 8,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+  timeoutMs = 10 * 1000,
+}) {
+  const endpoints = createMetadataStore({ file: path.join(dir, "webhooks.log"), key: "id" });
+  const deliveries = createMetadataStore({
+    file: path.join(dir, "webhook-deliveries.log"),
+    key: "id",
+    indexes: { status: (d) => d.status, webhook: (d) => d.webhookId },
+  });
+  let timer = null;
+  let running = null;
+
+  const backoff = (attempts) => Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+
+  const queueDelivery = (endpoint, event) =>
+    deliveries.put({
+      id: crypto.randomUUID(),
+      webhookId: endpoint.id,
+      tenant: endpoint.tenant ?? null,
+      url: endpoint.url,
+      eventId: event.id,
+      event: event.event,
+      body: JSON.stringify(event),
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      history: [],
+    });
+
+  // Un intento de entrega: POST firmado y registro del resultado
+  async function attempt(delivery) {
+    const endpoint = await endpoints.get(delivery.webhookId);
+    if (!endpoint) {
+      return deliveries.update(delivery.id, { status: "failed", lastError: "El endpoint fue eliminado.", nextAttemptAt: null });
+    }
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let status = null;
+    let error = null;
+    let response = null;
+    try {
+      const res = await fetch(endpoint.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "e-factura-webhooks/1",
+          "X-Webhook-Id": delivery.eventId,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(endpoint.secret, timestamp, delivery.body),
+        },
+        body: delivery.body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      status = res.status;
+      response = (await res.text().catch(() => "")).slice(0, RESPONSE_SNIPPET);
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (e) {
+      error = e?.name === "TimeoutError" ? "Tiempo de espera agotado." : e?.cause?.code || e?.message || "Error de red";
+    }
+
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+    const ok = !error;
+    const giveUp = !ok && attempts >= maxAttempts;
+    return deliveries.update(delivery.id, (d) => ({
+      attempts,
+      status: ok ? "delivered" : giveUp ? "failed" : "pending",
+      lastAttemptAt: now.toISOString(),
+      lastStatus: status,
+      lastError: error,
+      lastResponse: response,
+      deliveredAt: ok ? now.toISOString() : null,
+      nextAttemptAt: ok || giveUp ? null : new Date(now.getTime() + backoff(attempts)).toISOString(),
+      history: [
+        { at: now.toISOString(), status, error, durationMs: Date.now() - started },
+        ...(d.history || []),
+      ].slice(0, HISTORY_LIMIT),
+    }));
+  }
+
+  // Procesa las entregas pendientes cuyo reintento ya toca (una a la vez)
+  async function processDue() {
+    if (running) return running;
+    running = (async () => {
+      const now = new Date().toISOString();
+      const due = (await deliveries.findBy("status", "pending"))
+        .filter((d) => !d.nextAttemptAt || d.nextAttemptAt <= now)
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+      for (const d of due) {
+        try {
+          await attempt(d);
+        } catch (e) {
+          console.error(e);
+        }
+      }
+      return due.length;
+    })();
+    try {
+      return await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  const kick = () => {
+    processDue().catch((e) => console.error(e));
+  };
+
+  return {
+    async load() {
+      await endpoints.load();
+      await deliveries.load();
+    },
+    // Revisa la cola cada `intervalMs` (el timer no mantiene vivo el proceso)
+    start(intervalMs = 5000) {
+      if (timer) return;
+      timer = setInterval(kick, intervalMs);
+      timer.unref();
+      kick();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    processDue,
+
+    listEndpoints: () => endpoints.list(),
+    getEndpoint: (id) => endpoints.get(id),
+    addEndpoint(data) {
+      return endpoints.put({
+        id: crypto.randomUUID(),
+        ...data,
+        secret: newSecret(),
+        active: true,
+        createdAt: new Date().toISOString(),
+      });
+    },
+    updateEndpoint: (id, patch) => endpoints.update(id, patch),
+    rotateSecret: (id) => endpoints.update(id, { secret: newSecret() }),
+    removeEndpoint: (id) => endpoints.delete(id),
+
+    /**
+     * Encola el evento para cada endpoint activo suscrito y dispara el envío.
+     * Los endpoints de una empresa solo reciben eventos con su `tenant`; los
+     * globales (sin empresa) reciben todos.
+     * Devuelve el evento (con su id) y la cantidad de entregas creadas.
+     */
+    async emit(event, data, { tenant = null } = {}) {
+      const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+      const targets = (await endpoints.list()).filter(
+        (e) => e.active && e.events.includes(event) && (!e.tenant || e.tenant === tenant)
+      );
+      for (const endpoint of targets) await queueDelivery(endpoint, payload);
+      if (targets.length) kick();
+      return { event: payload, queued: targets.length };
+    },
+    // Evento de prueba para un endpoint (no depende del filtro)
+    async ping(id) {
+      const endpoint = await endpoints.get(id);
+      if (!endpoint) return null;
+      const payload = { id: crypto.randomUUID(), event: "ping", createdAt: new Date().toISOString(), data: {} };
+      const delivery = await queueDelivery(endpoint, payload);
+      kick();
+      return delivery;
+    },
+
+    // Sin `tenant` (undefined) se listan las entregas de todas las empresas
+    listDeliveries({ webhookId, status, tenant, limit = 200 } = {}) {
+      return deliveries.list({
+        filter: (d) =>
+          (!webhookId || d.webhookId === webhookId) &&
+          (!status || d.status === status) &&
+          (tenant === undefined || d.tenant === tenant),
+        limit,
+      });
+    },
+    getDelivery: (id) => deliveries.get(id),
+    // Reenvío manual: entrega nueva con el mismo cuerpo (mismo id de evento)
+    async redeliver(id) {
+      const original = await deliveries.get(id);
+      if (!original) return null;
+      const copy = await deliveries.put({
+        ...original,
+        id: crypto.randomUUID(),
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        createdAt: new Date().toISOString(),
+        redeliveryOf: original.id,
+        lastAttemptAt: null,
+        lastStatus: null,
+        lastError: null,
+        lastResponse: null,
+        deliveredAt: null,
+        history: [],
+      });
+      kick();
+      return copy;
+    },
+    // Borra entregas terminadas anteriores a `before` (Date)
+    async prune(before) {
+      const cutoff = before.toISOString();
+      const old = await deliveries.list({ filter: (d) => d.status !== "pending" && d.createdAt < cutoff });
+      for (const d of old) await deliveries.delete(d.id);
+      return old.length;
+    },
+  };
+}
@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import { Unzip, UnzipInflate } from "fflate";
+import { nanoid } from "nanoid";
+import { sha256 } from "./integrity.js";
+import { uploadStream } from "./uploads.js";
+
+// Extracción de PDFs desde un ZIP (subida por lotes).
+// El ZIP se lee en streaming y cada PDF se escribe como temporal en `dir`, así
+// que en memoria queda a lo sumo una entrada. Se corta la descompresión de las
+// entradas que superan el tamaño máximo (zip bombs), aunque no lo declaren.
+
+export const isZip = (file) =>
+  (file.originalname || "").toLowerCase().endsWith(".zip") ||
+  ["application/zip", "application/x-zip-compressed"].includes(file.mimetype) ||
+  (file.buffer?.length >= 4 && file.buffer.readUInt32LE(0) === 0x04034b50);
+
+const baseName = (p) => p.split("/").pop();
+const isIgnored = (p) =>
+  p.endsWith("/") || p.startsWith("__MACOSX/") || baseName(p).startsWith(".");
+
+/**
+ * Devuelve { files, skipped }:
+ *  files:   [{ originalname, path, size, sha256, mimetype }] con forma de archivo
+ *           recibido en disco (ver lib/uploads.js); quien llama borra los temporales
+ *  skipped: [{ name, error }] entradas que no se pudieron usar
+ * @param {object} zip  archivo recibido ({ path } o { buffer })
+ * @param {object} opts
+ * @param {string} opts.dir  carpeta de temporales
+ */
+export async function extractPdfsFromZip(zip, { dir, maxFiles = 100, maxBytes = Infinity } = {}) {
+  const files = [];
+  const skipped = [];
+  const complete = []; // entradas descomprimidas pendientes de escribir
+  const tooBig = (name) => skipped.push({ name, error: "Supera el tamaño máximo permitido." });
+  let entries = 0;
+  let accepted = 0;
+
+  const unzip = new Unzip((entry) => {
+    const { name } = entry;
+    entries++;
+    if (isIgnored(name)) return;
+    if (!name.toLowerCase().endsWith(".pdf")) return void skipped.push({ name, error: "No es un PDF." });
+    if (entry.originalSize > maxBytes) return void tooBig(name);
+    if (accepted >= maxFiles) {
+      return void skipped.push({ name, error: `Se superó el máximo de ${maxFiles} archivos por lote.` });
+    }
+    accepted++;
+    const chunks = [];
+    let size = 0;
+    entry.ondata = (err, data, final) => {
+      if (err) throw err;
+      size += data.length;
+      if (size > maxBytes) {
+        entry.terminate();
+        chunks.length = 0;
+        return void tooBig(name);
+      }
+      chunks.push(data);
+      if (final) complete.push({ name, data: Buffer.concat(chunks) });
+    };
+    entry.start();
+  });
+  unzip.register(UnzipInflate);
+
+  // Las entradas se completan durante push(); se escriben antes de leer más
+  const flush = async () => {
+    for (let next = complete.shift(); next; next = complete.shift()) {
+      const target = path.join(dir, `${nanoid(21)}.part`);
+      files.push({ originalname: baseName(next.name), path: target, size: next.data.length, sha256: sha256(next.data), mimetype: "application/pdf" });
+      await fs.promises.writeFile(target, next.data, { flag: "wx" });
+    }
+  };
+
+  try {
+    for await (const chunk of uploadStream(zip)) {
+      unzip.push(chunk);
+      await flush();
+    }
+    unzip.push(new Uint8Array(0), true);
+    await flush();
+    if (!entries) throw new Error("ZIP sin entradas");
+  } catch {
+    await Promise.all(files.map((f) => fs.promises.rm(f.path, { force: true })));
+    return { files: [], skipped: [{ name: "", error: "El ZIP está dañado o no se puede leer." }] };
+  }
+  return { files, skipped };
+}
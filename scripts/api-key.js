@@ -0,0 +1,11 @@
+// Genera una API key nueva y muestra el valor para API_KEYS.
+// Uso: npm run api-key -- [nombre] [RUC de la empresa]
+import crypto from "crypto";
+import { hashApiKey } from "../lib/api.js";
+
+const name = (process.argv[2] || "erp").replace(/[,:@]/g, "-");
+const ruc = (process.argv[3] || "").replace(/\D/g, "");
+const key = crypto.randomBytes(32).toString("base64url");
+
+console.log(`API key (entrégala al cliente, no se vuelve a mostrar):\n  ${key}\n`);
+console.log(`Agrega a API_KEYS (separa varias con comas):\n  ${name}${ruc ? `@${ruc}` : ""}:${hashApiKey(key)}`);
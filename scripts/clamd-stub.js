@@ -0,0 +1,42 @@
+// Imitación mínima de clamd para desarrollo: atiende INSTREAM y marca como
+// infectado todo archivo que contenga la cadena de prueba EICAR.
+// Uso: npm run clamd-stub -- [puerto]   (por defecto 3310)
+//      SCANNER_URL=clamd://127.0.0.1:3310 npm start
+import net from "net";
+
+const EICAR = "EICAR-STANDARD-ANTIVIRUS-TEST-FILE";
+const port = Number(process.argv[2] || 3310);
+
+const server = net.createServer((socket) => {
+  let buffer = Buffer.alloc(0);
+  let command = null;
+  const data = [];
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    if (command === null) {
+      const end = buffer.indexOf(0);
+      if (end < 0) return;
+      command = buffer.subarray(0, end).toString();
+      buffer = buffer.subarray(end + 1);
+      if (command !== "zINSTREAM") {
+        socket.end("UNKNOWN COMMAND\0");
+        return;
+      }
+    }
+    while (buffer.length >= 4) {
+      const size = buffer.readUInt32BE(0);
+      if (size === 0) {
+        const infected = Buffer.concat(data).includes(EICAR);
+        socket.end(infected ? "stream: Eicar-Test-Signature FOUND\0" : "stream: OK\0");
+        return;
+      }
+      if (buffer.length < 4 + size) return;
+      data.push(buffer.subarray(4, 4 + size));
+      buffer = buffer.subarray(4 + size);
+    }
+  });
+  socket.on("error", () => {});
+});
+
+server.listen(port, "127.0.0.1", () => console.log(`🦠 clamd de prueba en 127.0.0.1:${port}`));
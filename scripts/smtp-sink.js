@@ -0,0 +1,114 @@
+// Receptor SMTP mínimo para desarrollo: acepta todo lo que llega (con o sin
+// AUTH) y guarda cada mensaje como .eml en una carpeta, sin reenviarlo.
+// Uso: npm run smtp-sink -- [puerto] [carpeta] [--fail=N]
+//      (por defecto 2525 y <tmp>/smtp-sink; --fail=N responde 451 a los
+//      primeros N mensajes para probar los reintentos)
+//      SMTP_URL=smtp://127.0.0.1:2525 MAIL_FROM=facturas@example.com npm start
+import net from "net";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const args = process.argv.slice(2);
+const failArg = args.find((a) => a.startsWith("--fail="));
+const [portArg, dirArg] = args.filter((a) => !a.startsWith("--"));
+const port = Number(portArg || 2525);
+const dir = path.resolve(dirArg || path.join(os.tmpdir(), "smtp-sink"));
+let failLeft = failArg ? Number(failArg.slice(7)) || 0 : 0;
+let count = 0;
+fs.mkdirSync(dir, { recursive: true });
+
+const headerOf = (raw, name) => new RegExp(`^${name}:\\s*(.*)$`, "im").exec(raw)?.[1] ?? "";
+const decodeWord = (s) =>
+  s.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (m, b64) => Buffer.from(b64, "base64").toString("utf8"));
+
+const server = net.createServer((socket) => {
+  let buffer = "";
+  let inData = false;
+  let data = [];
+  let envelope = { from: null, to: [] };
+  let authStep = null;
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply("220 smtp-sink listo");
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      if (inData) {
+        if (line !== ".") {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+          continue;
+        }
+        inData = false;
+        const raw = data.join("\r\n");
+        data = [];
+        if (failLeft > 0) {
+          failLeft--;
+          reply("451 4.3.0 Falla simulada (--fail)");
+          continue;
+        }
+        const file = path.join(dir, `${Date.now()}-${++count}.eml`);
+        fs.writeFileSync(file, `X-Envelope-From: ${envelope.from}\r\nX-Envelope-To: ${envelope.to.join(", ")}\r\n${raw}\r\n`);
+        console.log(`✉️  ${envelope.from} → ${envelope.to.join(", ")} · ${decodeWord(headerOf(raw, "Subject"))} · ${file}`);
+        envelope = { from: null, to: [] };
+        reply("250 2.0.0 Guardado");
+        continue;
+      }
+      if (authStep) {
+        authStep = authStep === "user" ? "pass" : null;
+        reply(authStep ? "334 UGFzc3dvcmQ6" : "235 2.7.0 Autenticado");
+        continue;
+      }
+      const [verb] = line.split(" ");
+      switch (verb.toUpperCase()) {
+        case "EHLO":
+          reply("250-smtp-sink");
+          reply("250-AUTH PLAIN LOGIN");
+          reply("250 8BITMIME");
+          break;
+        case "HELO":
+          reply("250 smtp-sink");
+          break;
+        case "AUTH":
+          if (/^AUTH LOGIN$/i.test(line)) {
+            authStep = "user";
+            reply("334 VXNlcm5hbWU6");
+          } else {
+            reply("235 2.7.0 Autenticado");
+          }
+          break;
+        case "MAIL":
+          envelope = { from: /<(.*)>/.exec(line)?.[1] ?? "", to: [] };
+          reply("250 2.1.0 OK");
+          break;
+        case "RCPT":
+          envelope.to.push(/<(.*)>/.exec(line)?.[1] ?? "");
+          reply("250 2.1.5 OK");
+          break;
+        case "DATA":
+          inData = true;
+          reply("354 Termina con <CRLF>.<CRLF>");
+          break;
+        case "RSET":
+          envelope = { from: null, to: [] };
+          reply("250 2.0.0 OK");
+          break;
+        case "NOOP":
+          reply("250 2.0.0 OK");
+          break;
+        case "QUIT":
+          reply("221 2.0.0 Adiós");
+          socket.end();
+          break;
+        default:
+          reply("502 5.5.2 Comando no soportado");
+      }
+    }
+  });
+  socket.on("error", () => {});
+});
+
+server.listen(port, "127.0.0.1", () => console.log(`📮 SMTP de prueba en 127.0.0.1:${port} (mensajes en ${dir})`));
@@ -0,0 +1,60 @@
+// Alta de empresas y usuarios desde la consola (útil para el primer acceso).
+// Uso:
+//   npm run user -- tenant <RUC> "<Razón social>"
+//   npm run user -- add <usuario> <rol> [RUC]     (rol: viewer | uploader | admin | superadmin)
+//   npm run user -- passwd <usuario>
+// La contraseña se toma de USER_PASSWORD o se pide por la consola.
+import path from "path";
+import readline from "readline/promises";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { createAccounts, parseNewUser, parseTenant, isValidPassword } from "../lib/auth.js";
+import { resolveDataDir, moveStateFiles } from "../lib/dataDir.js";
+
+dotenv.config();
+// Mismas carpetas que el servidor (server.js)
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const uploadDir = process.env.UPLOAD_DIR ? path.resolve(process.env.UPLOAD_DIR) : path.join(root, "uploads");
+const dataDir = resolveDataDir(uploadDir, process.env.DATA_DIR);
+moveStateFiles(uploadDir, dataDir);
+const accounts = createAccounts({ dir: dataDir });
+await accounts.load();
+
+const fail = (message) => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+async function askPassword() {
+  if (process.env.USER_PASSWORD) return process.env.USER_PASSWORD;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const password = await rl.question("Contraseña: ");
+  rl.close();
+  return password;
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === "tenant") {
+  const { tenant, errors } = parseTenant({ ruc: args[0], name: args[1] });
+  if (errors) fail(Object.values(errors).join(" "));
+  if (!(await accounts.addTenant(tenant))) fail("Ya existe una empresa con ese RUC.");
+  console.log(`🏢 Empresa ${tenant.ruc} (${tenant.name}) creada.`);
+} else if (command === "add") {
+  const [username, role = "viewer", tenant = null] = args;
+  const { user, password, errors } = parseNewUser({ username, role, password: await askPassword() });
+  if (errors) fail(Object.values(errors).join(" "));
+  if (user.role !== "superadmin" && !(await accounts.getTenant(tenant))) {
+    fail("Indica el RUC de una empresa existente (créala con: npm run user -- tenant <RUC> <nombre>).");
+  }
+  if (!(await accounts.addUser({ ...user, tenant }, password))) fail("El usuario ya existe.");
+  console.log(`👤 Usuario ${user.username} creado.`);
+} else if (command === "passwd") {
+  if (!(await accounts.getUser(args[0]))) fail("Usuario no encontrado.");
+  const password = await askPassword();
+  if (!isValidPassword(password)) fail("La contraseña debe tener al menos 8 caracteres.");
+  await accounts.setPassword(args[0].toLowerCase(), password);
+  console.log("🔑 Contraseña actualizada; las sesiones abiertas se cerraron.");
+} else {
+  fail('Uso: npm run user -- tenant <RUC> "<Razón social>" | add <usuario> <rol> [RUC] | passwd <usuario>');
+}
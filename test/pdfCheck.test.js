@@ -0,0 +1,70 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PDFDocument } from "pdf-lib";
+import { inspectPdfFile, PdfError } from "../lib/pdfCheck.js";
+
+// Validación de los PDFs subidos tal como llegan de multer: archivos en disco
+// ({ path, size }) sin cargarlos antes en memoria
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdfcheck-"));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Archivo recibido en disco con el contenido indicado
+let count = 0;
+function spooled(content) {
+  const file = path.join(dir, `${++count}.part`);
+  fs.writeFileSync(file, content);
+  return { path: file, size: Buffer.byteLength(content) };
+}
+
+async function pdfWithPages(n) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < n; i++) doc.addPage();
+  return Buffer.from(await doc.save({ addDefaultPage: false }));
+}
+
+const rejectsWith = (promise, status, code) =>
+  assert.rejects(promise, (err) => err instanceof PdfError && err.status === status && err.code === code);
+
+test("cuenta las páginas de un PDF válido", async () => {
+  const { version, pages, buffer } = await inspectPdfFile(spooled(await pdfWithPages(3)));
+  assert.equal(pages, 3);
+  assert.match(version, /^\d\.\d$/);
+  assert.ok(Buffer.isBuffer(buffer));
+});
+
+test("rechaza un archivo sin firma %PDF-", async () => {
+  await rejectsWith(inspectPdfFile(spooled("hola, no soy un PDF\n%%EOF")), 415, "not_pdf");
+});
+
+test("rechaza un archivo con firma y %%EOF pero sin estructura PDF", async () => {
+  await rejectsWith(inspectPdfFile(spooled("%PDF-1.4\nthis is not a pdf at all\n%%EOF")), 422, "corrupted");
+});
+
+test("rechaza un PDF truncado", async () => {
+  const pdf = await pdfWithPages(1);
+  await rejectsWith(inspectPdfFile(spooled(pdf.subarray(0, Math.floor(pdf.length / 2)))), 422, "corrupted");
+});
+
+test("rechaza un PDF truncado aunque termine en %%EOF", async () => {
+  const pdf = await pdfWithPages(1);
+  const truncated = Buffer.concat([pdf.subarray(0, Math.floor(pdf.length / 2)), Buffer.from("\n%%EOF\n")]);
+  await rejectsWith(inspectPdfFile(spooled(truncated)), 422, "corrupted");
+});
+
+test("rechaza un PDF sin páginas", async () => {
+  await rejectsWith(inspectPdfFile(spooled(await pdfWithPages(0))), 422, "no_pages");
+});
+
+test("no carga en memoria un PDF que supera maxBytes", async () => {
+  const pdf = await pdfWithPages(1);
+  await rejectsWith(inspectPdfFile(spooled(pdf), { maxBytes: pdf.length - 1 }), 413, "too_large");
+  const { pages } = await inspectPdfFile(spooled(pdf), { maxBytes: pdf.length });
+  assert.equal(pages, 1);
+});